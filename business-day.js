@@ -0,0 +1,87 @@
+// business-day.js — "today", day buckets and report ranges in the business timezone (BUSINESS_TZ,
+// default Africa/Nairobi) rather than the server clock, which is UTC on Vercel. The SQL side uses
+// business_tz() from supabase/020_business_timezone.sql; keep the two set to the same zone.
+// Pure functions, no I/O (unit tests: npm run test:business-day).
+
+const DEFAULT_TZ = 'Africa/Nairobi';
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatters = new Map();
+function wallClock(date, tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(
+      tz,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: tz,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  const out = {};
+  for (const p of formatters.get(tz).formatToParts(date)) out[p.type] = p.value;
+  return out;
+}
+
+function isValidTz(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds the zone is ahead of UTC at `date` (Nairobi: +3h all year)
+function offsetMs(date, tz) {
+  const w = wallClock(date, tz);
+  const wallAsUtc = Date.UTC(+w.year, +w.month - 1, +w.day, +w.hour, +w.minute, +w.second);
+  return wallAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// 'YYYY-MM-DD' of the business day containing `date`
+function businessDay(date = new Date(), tz = DEFAULT_TZ) {
+  const w = wallClock(new Date(date), tz);
+  return `${w.year}-${w.month}-${w.day}`;
+}
+
+// 'HH:MM:SS' on the business clock
+function businessTime(date = new Date(), tz = DEFAULT_TZ) {
+  const w = wallClock(new Date(date), tz);
+  return `${w.hour}:${w.minute}:${w.second}`;
+}
+
+function addDays(day, n) {
+  const [, y, m, d] = DAY_RE.exec(day);
+  return new Date(Date.UTC(+y, +m - 1, +d + n)).toISOString().slice(0, 10);
+}
+
+// UTC instant (ISO) at which business day `day` starts
+function dayStart(day, tz = DEFAULT_TZ) {
+  const [, y, m, d] = DAY_RE.exec(day);
+  const midnightUtc = Date.UTC(+y, +m - 1, +d);
+  // Second pass settles zones whose offset changes around that midnight (DST)
+  let t = midnightUtc - offsetMs(new Date(midnightUtc), tz);
+  t = midnightUtc - offsetMs(new Date(t), tz);
+  return new Date(t).toISOString();
+}
+
+/**
+ * A query value as a business day: 'YYYY-MM-DD' is taken as that calendar day (not UTC
+ * midnight), a timestamp or Date as the business day it falls in. null if unparseable.
+ */
+function toDay(v, tz = DEFAULT_TZ) {
+  if (typeof v === 'string' && DAY_RE.test(v.trim())) {
+    const day = v.trim();
+    return addDays(day, 0) === day ? day : null;
+  }
+  const date = v instanceof Date ? v : new Date(v);
+  return Number.isNaN(date.getTime()) ? null : businessDay(date, tz);
+}
+
+module.exports = { DEFAULT_TZ, isValidTz, businessDay, businessTime, addDays, dayStart, toDay };
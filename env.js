@@ -7,6 +7,10 @@ const required = [
 ];
 const optional = [
   'SUPABASE_JWT_SECRET', 'APP_URL', 'API_URL', 'DOCS_CSP_EXTRA', 'COMMIT_SHA',
+  'DARAJA_BASE_URL', 'DARAJA_CONSUMER_KEY', 'DARAJA_CONSUMER_SECRET', 'DARAJA_SHORTCODE',
+  'DARAJA_PASSKEY', 'DARAJA_CALLBACK_URL', 'DARAJA_CALLBACK_SECRET', 'DARAJA_CALLBACK_IPS',
+  'TRUST_PROXY', 'IDEMPOTENCY_TTL_HOURS', 'USSD_CALLBACK_SECRET', 'USSD_PREFIX', 'USSD_POOL_LOW_WATERMARK', 'BUSINESS_TZ', 'DARAJA_B2C_SHORTCODE', 'DARAJA_B2C_INITIATOR', 'DARAJA_B2C_SECURITY_CREDENTIAL',
+  'PENDING_SWEEP_MIN_AGE_SECONDS', 'PENDING_TIMEOUT_SECONDS', 'PENDING_SWEEP_INTERVAL_MS', 'PENDING_SWEEP_BATCH',
 ];
 
 function getEnv() {
@@ -0,0 +1,224 @@
+// export-writer.js — writes report rows to a stream as CSV or XLSX while they are still being
+// fetched, so an export of a long range never sits in memory. XLSX is a minimal workbook (one
+// sheet, inline strings) zipped on the fly: entries carry data descriptors, so sizes and CRCs
+// are written after the deflated data instead of before it. No dependencies beyond node:zlib
+// (unit tests: npm run test:export-writer).
+
+const zlib = require('zlib');
+const { Readable, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+// Text cells starting with = + - @ are prefixed so spreadsheets don't run them as formulas
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'number') return String(v);
+  let str = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+function toCsv(rows, columns) {
+  const head = columns.map(csvCell).join(',');
+  return [head, ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(','))].join('\r\n') + '\r\n';
+}
+
+// Waits out backpressure; a client that hangs up mid-download ends the export
+async function write(out, chunk) {
+  if (out.write(chunk)) return;
+  await new Promise((resolve) => {
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  });
+  if (out.destroyed) throw new Error('export aborted: connection closed');
+}
+
+// ---- XLSX
+
+const xmlText = (s) =>
+  String(s)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+function colName(i) {
+  let s = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function xlsxRow(values, r) {
+  const cells = values.map((v, i) => {
+    const ref = `${colName(i)}${r}`;
+    if (v === null || v === undefined || v === '') return '';
+    if (typeof v === 'number' && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+    const text = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(text)}</t></is></c>`;
+  });
+  return `<row r="${r}">${cells.join('')}</row>`;
+}
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function workbookParts(sheetName) {
+  return {
+    '[Content_Types].xml':
+      `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>',
+    '_rels/.rels':
+      `${XML_HEAD}<Relationships xmlns="${NS_PKG_REL}">` +
+      `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml':
+      `${XML_HEAD}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+      `<sheets><sheet name="${xmlText(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels':
+      `${XML_HEAD}<Relationships xmlns="${NS_PKG_REL}">` +
+      `<Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+  };
+}
+
+// Excel refuses sheet names over 31 characters or with []:*?/\
+const sheetNameOf = (name) => String(name || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+
+function dosDateTime(d = new Date()) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+// Streaming zip (deflate, data descriptors, no zip64: entries and archive stay under 4 GB)
+function zipWriter(out) {
+  const entries = [];
+  const { time, date } = dosDateTime();
+  let offset = 0;
+  const put = async (buf) => {
+    offset += buf.length;
+    await write(out, buf);
+  };
+
+  async function add(name, chunks) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const entry = { nameBuf, offset, crc: 0, size: 0, csize: 0 };
+    const head = Buffer.alloc(30);
+    head.writeUInt32LE(0x04034b50, 0);
+    head.writeUInt16LE(20, 4); // version needed
+    head.writeUInt16LE(0x0808, 6); // data descriptor + UTF-8 names
+    head.writeUInt16LE(8, 8); // deflate
+    head.writeUInt16LE(time, 10);
+    head.writeUInt16LE(date, 12);
+    head.writeUInt16LE(nameBuf.length, 26);
+    await put(Buffer.concat([head, nameBuf]));
+
+    await pipeline(
+      Readable.from(chunks),
+      new Transform({
+        transform(c, _enc, cb) {
+          const b = Buffer.from(c);
+          entry.crc = zlib.crc32(b, entry.crc);
+          entry.size += b.length;
+          cb(null, b);
+        },
+      }),
+      zlib.createDeflateRaw(),
+      new Writable({
+        write(c, _enc, cb) {
+          entry.csize += c.length;
+          write(out, c).then(() => cb(), cb);
+        },
+      })
+    );
+    offset += entry.csize;
+
+    const desc = Buffer.alloc(16);
+    desc.writeUInt32LE(0x08074b50, 0);
+    desc.writeUInt32LE(entry.crc, 4);
+    desc.writeUInt32LE(entry.csize, 8);
+    desc.writeUInt32LE(entry.size, 12);
+    await put(desc);
+    entries.push(entry);
+  }
+
+  async function finish() {
+    const start = offset;
+    for (const e of entries) {
+      const c = Buffer.alloc(46);
+      c.writeUInt32LE(0x02014b50, 0);
+      c.writeUInt16LE(20, 4); // version made by
+      c.writeUInt16LE(20, 6);
+      c.writeUInt16LE(0x0808, 8);
+      c.writeUInt16LE(8, 10);
+      c.writeUInt16LE(time, 12);
+      c.writeUInt16LE(date, 14);
+      c.writeUInt32LE(e.crc, 16);
+      c.writeUInt32LE(e.csize, 20);
+      c.writeUInt32LE(e.size, 24);
+      c.writeUInt16LE(e.nameBuf.length, 28);
+      c.writeUInt32LE(e.offset, 42);
+      await put(Buffer.concat([c, e.nameBuf]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await put(end);
+  }
+
+  return { add, finish };
+}
+
+/**
+ * Writes `pages` (an async iterable of row arrays) to `out` as `format` and ends it. `columns`
+ * are [{ key, label }]; cells are read from row[key]. A header row always goes first, so an
+ * empty range still opens as a table with the right columns.
+ */
+async function writeExport(out, format, columns, pages, { sheet } = {}) {
+  if (!EXPORT_FORMATS[format]) throw new Error(`unknown export format ${format}`);
+  const valuesOf = (row) => columns.map((c) => row[c.key]);
+
+  if (format === 'csv') {
+    await write(out, columns.map((c) => csvCell(c.label)).join(',') + '\r\n');
+    for await (const rows of pages) {
+      if (rows.length) await write(out, rows.map((r) => valuesOf(r).map(csvCell).join(',') + '\r\n').join(''));
+    }
+    out.end();
+    return;
+  }
+
+  const zip = zipWriter(out);
+  for (const [name, xml] of Object.entries(workbookParts(sheetNameOf(sheet)))) await zip.add(name, [xml]);
+  await zip.add(
+    'xl/worksheets/sheet1.xml',
+    (async function* sheetXml() {
+      yield `${XML_HEAD}<worksheet xmlns="${NS_MAIN}"><sheetData>`;
+      yield xlsxRow(columns.map((c) => c.label), 1);
+      let r = 1;
+      for await (const rows of pages) {
+        if (rows.length) yield rows.map((row) => xlsxRow(valuesOf(row), ++r)).join('');
+      }
+      yield '</sheetData></worksheet>';
+    })()
+  );
+  await zip.finish();
+  out.end();
+}
+
+module.exports = { EXPORT_FORMATS, csvCell, toCsv, writeExport };
@@ -0,0 +1,137 @@
+// fee-arrears.js — which business days a matatu didn't pay its SACCO daily fee, how much it
+// owes and how old the debt is. Callers pass what was due per day (the ruleset's
+// sacco_daily_fee_kes) and what was paid per day (manual daily_fees plus net SACCO_FEE
+// splits). Pure functions, no I/O (unit tests: npm run test:fee-arrears).
+
+const { addDays } = require('./business-day');
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// Age in days of an unpaid day, counted from the day after it (yesterday's fee is 1 day old)
+const AGEING_BUCKETS = [
+  { label: '1-7', max: 7 },
+  { label: '8-30', max: 30 },
+  { label: '31-60', max: 60 },
+  { label: '61-90', max: 90 },
+  { label: '90+', max: Infinity },
+];
+
+const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+
+// Business days from..to, both inclusive
+function dayRange(from, to) {
+  const days = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) days.push(d);
+  return days;
+}
+
+function emptyBuckets() {
+  return Object.fromEntries(AGEING_BUCKETS.map((b) => [b.label, 0]));
+}
+
+function bucketOf(age) {
+  return AGEING_BUCKETS.find((b) => age <= b.max).label;
+}
+
+/**
+ * Daily-fee position of one matatu over business days [from, to]. `expectedFor(day)` is the
+ * fee due that day (0 = nothing due); `paid` maps day → KES paid. Payments clear the oldest
+ * shortfall first, so settling three days at the office on the third clears all three; what
+ * is left over is credit. Ages are measured at the end of `to`.
+ */
+function feeArrears({ from, to, expectedFor, paid = new Map() }) {
+  const days = dayRange(from, to).map((day) => ({ day, expected_kes: round2(expectedFor(day)) }));
+  let pool = round2(days.reduce((sum, d) => sum + Number(paid.get(d.day) || 0), 0));
+  const paidKes = pool;
+  const unpaid = [];
+  const buckets = emptyBuckets();
+  for (const d of days) {
+    if (!(d.expected_kes > 0)) continue;
+    const cover = Math.min(pool, d.expected_kes);
+    pool = round2(pool - cover);
+    const short = round2(d.expected_kes - cover);
+    if (short <= 0) continue;
+    const age = daysBetween(d.day, to) + 1;
+    unpaid.push({ day: d.day, expected_kes: d.expected_kes, short_kes: short, age_days: age });
+    buckets[bucketOf(age)] = round2(buckets[bucketOf(age)] + short);
+  }
+  const expected = round2(days.reduce((sum, d) => sum + d.expected_kes, 0));
+  const arrears = round2(unpaid.reduce((sum, u) => sum + u.short_kes, 0));
+  return {
+    from,
+    to,
+    days_due: days.filter((d) => d.expected_kes > 0).length,
+    expected_kes: expected,
+    paid_kes: paidKes,
+    arrears_kes: arrears,
+    credit_kes: Math.max(pool, 0),
+    days_unpaid: unpaid.length,
+    oldest_unpaid: unpaid.length ? unpaid[0].day : null,
+    buckets,
+    unpaid,
+  };
+}
+
+// The last row of a change log ([{ day, ... }], oldest first) from before `day` started
+function inEffectAt(log, day) {
+  let hit = null;
+  for (const r of log) {
+    if (r.day >= day) break;
+    hit = r;
+  }
+  return hit;
+}
+
+/**
+ * Whether a matatu owes the fee on `day`, from its active-flag log ([{ day, active }], oldest
+ * first; 030_matatu_fee_history.sql). A day it was on the road for any part of counts; before
+ * the first logged change it counts as active.
+ */
+function activeOn(log, day) {
+  const before = inEffectAt(log, day);
+  const changes = log.filter((r) => r.day === day);
+  if (!before && !changes.length) return true;
+  return Boolean(before?.active) || changes.some((r) => r.active);
+}
+
+// The matatu's daily-fee override when `day` started, from its log ([{ day, sacco_daily_fee_kes }]);
+// null = the SACCO fee applies
+function overrideOn(log, day) {
+  const r = inEffectAt(log, day);
+  return r && r.sacco_daily_fee_kes != null ? Number(r.sacco_daily_fee_kes) : null;
+}
+
+// SACCO_FEE KES that fares took: SPLIT rows net of their REVERSALs. ADJUSTMENT rows are left
+// out, so a refund posted today for an older day doesn't undo the fee taken today
+function feeSplitKes(rows) {
+  return round2(rows.filter((r) => r.kind !== 'ADJUSTMENT').reduce((sum, r) => sum + Number(r.amount_kes || 0), 0));
+}
+
+/**
+ * SACCO_FEE ledger rows by the business day they count for. A REFUND resolution's adjustment
+ * (`refunds` are daily_fee_resolutions rows with a ledger_entry_id) counts on the day it
+ * corrects rather than the day it was posted; refunds of days outside [from, to] drop out.
+ * `refunds` may list the same resolution twice.
+ */
+function placeFeeRefunds(splits, refunds, { from, to }) {
+  const byEntry = new Map(refunds.map((r) => [r.ledger_entry_id, r]));
+  const placed = splits.filter((r) => !byEntry.has(r.id));
+  for (const r of byEntry.values()) {
+    if (r.day >= from && r.day <= to) {
+      placed.push({ id: r.ledger_entry_id, matatu_id: r.matatu_id, day: r.day, amount_kes: -Number(r.amount_kes), kind: 'ADJUSTMENT' });
+    }
+  }
+  return placed;
+}
+
+// Adds per-matatu buckets/amounts into SACCO totals
+function sumArrears(rows) {
+  const totals = { expected_kes: 0, paid_kes: 0, arrears_kes: 0, credit_kes: 0, buckets: emptyBuckets() };
+  for (const r of rows) {
+    for (const k of ['expected_kes', 'paid_kes', 'arrears_kes', 'credit_kes']) totals[k] = round2(totals[k] + r[k]);
+    for (const b of AGEING_BUCKETS) totals.buckets[b.label] = round2(totals.buckets[b.label] + r.buckets[b.label]);
+  }
+  return totals;
+}
+
+module.exports = { AGEING_BUCKETS, activeOn, dayRange, feeArrears, feeSplitKes, overrideOn, placeFeeRefunds, sumArrears };
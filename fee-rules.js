@@ -0,0 +1,248 @@
+// fee-rules.js — how a fare is split: shared by /api/fees/quote, STK/C2B settlement and the
+// ruleset validator. Pure functions, no I/O (unit tests: npm run test:fee-rules).
+//
+// A ruleset has the flat legacy fields (fare_fee_flat_kes, savings_percent, loan_repay_percent,
+// sacco_daily_fee_kes) and optionally `fee_rules`, which overrides any of three components:
+//   { service_fee?: Rule, savings?: Rule, loan_repay?: Rule }
+// where Rule is one of
+//   { type: 'FLAT',    amount_kes }
+//   { type: 'PERCENT', percent, min_kes?, max_kes? }            percent of the fare, then clamped
+//   { type: 'BANDS',   bands: [{ up_to_kes, fee_kes }], above_kes? }
+// Bands are checked in order; a fare falls in the first band with fare <= up_to_kes, so
+// [{ up_to_kes: 50, fee_kes: 1 }, { up_to_kes: 100, fee_kes: 2 }] means 0–50 → 1, 50.01–100 → 2.
+// Fares above the last band pay `above_kes` (default: the last band's fee).
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const COMPONENTS = ['service_fee', 'savings', 'loan_repay'];
+const RULE_KEYS = {
+  FLAT: ['type', 'amount_kes'],
+  PERCENT: ['type', 'percent', 'min_kes', 'max_kes'],
+  BANDS: ['type', 'bands', 'above_kes'],
+};
+const MAX_BANDS = 20;
+const LEGACY_FIELDS = ['fare_fee_flat_kes', 'savings_percent', 'sacco_daily_fee_kes', 'loan_repay_percent'];
+
+// The three component rules of a ruleset, with legacy fields filling whatever fee_rules leaves out
+function componentRules(rules = {}) {
+  const fr = rules.fee_rules || {};
+  return {
+    service_fee: fr.service_fee || { type: 'FLAT', amount_kes: Number(rules.fare_fee_flat_kes ?? 2.5) },
+    savings: fr.savings || { type: 'PERCENT', percent: Number(rules.savings_percent || 0) },
+    loan_repay: fr.loan_repay || { type: 'PERCENT', percent: Number(rules.loan_repay_percent || 0) },
+  };
+}
+
+function ruleAmount(rule, fare) {
+  switch (rule.type) {
+    case 'FLAT':
+      return round2(rule.amount_kes);
+    case 'PERCENT': {
+      let v = (Number(rule.percent) / 100) * fare;
+      if (rule.min_kes != null) v = Math.max(v, Number(rule.min_kes));
+      if (rule.max_kes != null) v = Math.min(v, Number(rule.max_kes));
+      return round2(v);
+    }
+    case 'BANDS': {
+      const band = rule.bands.find((b) => fare <= Number(b.up_to_kes));
+      return round2(band ? band.fee_kes : rule.above_kes ?? rule.bands[rule.bands.length - 1].fee_kes);
+    }
+    default:
+      throw new Error(`unknown fee rule type ${rule.type}`);
+  }
+}
+
+/**
+ * Ledger parts for one fare. The service fee is charged on top of the fare; savings and loan
+ * repayment come out of it and together never exceed it (a minimum can't push the owner's
+ * share below zero). The SACCO daily fee is only taken when `takeDailyFee` is set. Loan
+ * repayment never exceeds `loanOutstanding` (0 when the matatu has no active loan; omitted =
+ * uncapped, for previews that don't know the loan).
+ */
+function computeSplits({ amount, rules, takeDailyFee, loanOutstanding = Infinity }) {
+  const fare = round2(amount);
+  const c = componentRules(rules);
+  const serviceFee = ruleAmount(c.service_fee, fare);
+  const savings = Math.min(ruleAmount(c.savings, fare), fare);
+  const loanRepay = Math.min(ruleAmount(c.loan_repay, fare), round2(fare - savings), round2(Math.max(loanOutstanding, 0)));
+  const saccoDaily = takeDailyFee ? round2(rules.sacco_daily_fee_kes) : 0;
+
+  const parts = [
+    { type: 'FARE', amount_kes: fare },
+    { type: 'SERVICE_FEE', amount_kes: serviceFee },
+  ];
+  if (saccoDaily > 0) parts.push({ type: 'SACCO_FEE', amount_kes: saccoDaily });
+  if (savings > 0) parts.push({ type: 'SAVINGS', amount_kes: savings });
+  if (loanRepay > 0) parts.push({ type: 'LOAN_REPAY', amount_kes: loanRepay });
+  return parts;
+}
+
+/**
+ * Splits for a payment where the passenger chose what to pay (C2B): `charged` already includes
+ * the service fee, so the fare is what is left once its own fee is taken back out (the inverse
+ * of the STK charge, fare + fee). Cents the fee rule can't land on exactly go to the service
+ * fee, so FARE + SERVICE_FEE always equals what M-Pesa moved.
+ */
+function splitsForCharged({ charged, rules, ...rest }) {
+  const total = round2(Math.max(Number(charged) || 0, 0));
+  const rule = componentRules(rules).service_fee;
+  let fare = total;
+  for (let i = 0; i < 20; i++) {
+    const next = round2(Math.max(total - ruleAmount(rule, fare), 0));
+    if (next === fare) break;
+    fare = next;
+  }
+  // Percent rounding and band edges can leave the fixed point a cent or two over
+  while (fare > 0 && round2(fare + ruleAmount(rule, fare)) > total) fare = round2(fare - 0.01);
+  return computeSplits({ amount: fare, rules, ...rest }).map((p) =>
+    p.type === 'SERVICE_FEE' ? { ...p, amount_kes: round2(total - fare) } : p
+  );
+}
+
+const isAmount = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+function ruleProblem(rule, name) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return `${name} must be an object`;
+  const keys = RULE_KEYS[rule.type];
+  if (!keys) return `${name}.type must be one of ${Object.keys(RULE_KEYS).join(', ')}`;
+  const extra = Object.keys(rule).find((k) => !keys.includes(k));
+  if (extra) return `${name}.${extra} is not allowed for ${rule.type}`;
+
+  if (rule.type === 'FLAT') {
+    if (!isAmount(rule.amount_kes)) return `${name}.amount_kes must be a number >= 0`;
+  } else if (rule.type === 'PERCENT') {
+    if (!isAmount(rule.percent) || rule.percent > 100) return `${name}.percent must be between 0 and 100`;
+    for (const k of ['min_kes', 'max_kes']) {
+      if (rule[k] != null && !isAmount(rule[k])) return `${name}.${k} must be a number >= 0`;
+    }
+    if (rule.min_kes != null && rule.max_kes != null && rule.min_kes > rule.max_kes) return `${name}.min_kes cannot exceed max_kes`;
+  } else {
+    if (!Array.isArray(rule.bands) || !rule.bands.length || rule.bands.length > MAX_BANDS) {
+      return `${name}.bands must list 1-${MAX_BANDS} bands`;
+    }
+    let prev = 0;
+    for (const [i, b] of rule.bands.entries()) {
+      const at = `${name}.bands[${i}]`;
+      if (!b || typeof b !== 'object' || Object.keys(b).some((k) => k !== 'up_to_kes' && k !== 'fee_kes')) {
+        return `${at} must be { up_to_kes, fee_kes }`;
+      }
+      if (!isAmount(b.up_to_kes) || b.up_to_kes <= prev) return `${at}.up_to_kes must be greater than ${prev}`;
+      if (!isAmount(b.fee_kes)) return `${at}.fee_kes must be a number >= 0`;
+      prev = b.up_to_kes;
+    }
+    if (rule.above_kes != null && !isAmount(rule.above_kes)) return `${name}.above_kes must be a number >= 0`;
+  }
+  return null;
+}
+
+function feeRulesProblem(fr) {
+  if (fr == null) return null;
+  if (typeof fr !== 'object' || Array.isArray(fr)) return 'fee_rules must be an object';
+  const extra = Object.keys(fr).find((k) => !COMPONENTS.includes(k));
+  if (extra) return `fee_rules.${extra} is not a component (use ${COMPONENTS.join(', ')})`;
+  for (const k of COMPONENTS) {
+    if (fr[k] == null) continue;
+    const problem = ruleProblem(fr[k], `fee_rules.${k}`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+// Why a ruleset (legacy fields + optional fee_rules) can't be saved, or null
+function rulesetProblem(r) {
+  for (const k of LEGACY_FIELDS) {
+    if (!Number.isFinite(Number(r[k])) || Number(r[k]) < 0) return `${k} must be a number >= 0`;
+  }
+  const frProblem = feeRulesProblem(r.fee_rules);
+  if (frProblem) return frProblem;
+  const c = componentRules(r);
+  if (c.savings.type === 'PERCENT' && c.loan_repay.type === 'PERCENT' && c.savings.percent + c.loan_repay.percent > 100) {
+    return 'savings and loan_repay percentages cannot exceed 100 together';
+  }
+  return null;
+}
+
+// Flat field → the fee_rules component it describes
+const FIELD_COMPONENT = { fare_fee_flat_kes: 'service_fee', savings_percent: 'savings', loan_repay_percent: 'loan_repay' };
+
+/**
+ * A matatu's override layered on its SACCO ruleset, field by field: set fields win, null ones
+ * inherit. Overriding a flat field replaces the SACCO's fee_rules entry for that component
+ * (otherwise the SACCO rule would still win); override fee_rules entries win over both.
+ * `override_fields` lists what the override changed.
+ */
+function mergeOverride(rules, override) {
+  if (!override) return { ...rules, override_fields: [] };
+  const fee_rules = { ...(rules.fee_rules || {}) };
+  const merged = { ...rules };
+  const fields = [];
+  for (const k of LEGACY_FIELDS) {
+    if (override[k] == null) continue;
+    merged[k] = Number(override[k]);
+    if (FIELD_COMPONENT[k]) delete fee_rules[FIELD_COMPONENT[k]];
+    fields.push(k);
+  }
+  for (const k of COMPONENTS) {
+    if (override.fee_rules?.[k] == null) continue;
+    fee_rules[k] = override.fee_rules[k];
+    fields.push(`fee_rules.${k}`);
+  }
+  merged.fee_rules = Object.keys(fee_rules).length ? fee_rules : null;
+  merged.override_fields = fields;
+  return merged;
+}
+
+// Why an override can't be saved (before merging), or null. Every field is optional; null = inherit.
+function overrideProblem(o) {
+  for (const k of LEGACY_FIELDS) {
+    if (o[k] != null && (!Number.isFinite(Number(o[k])) || Number(o[k]) < 0)) return `${k} must be a number >= 0`;
+  }
+  const frProblem = feeRulesProblem(o.fee_rules);
+  if (frProblem) return frProblem;
+  const set = LEGACY_FIELDS.some((k) => o[k] != null) || COMPONENTS.some((k) => o.fee_rules?.[k] != null);
+  return set ? null : 'override sets no fields (clear it instead)';
+}
+
+/**
+ * Re-split past fares in time order, as if `rulesFor(matatu_id)` had applied. The SACCO daily fee
+ * goes on each matatu's first trip per `dayOf(created_at)`, mirroring live quoting. Loan
+ * repayment starts from `loanOutstanding(matatu_id)` (0 = no active loan; omitted = uncapped)
+ * and each replayed repayment draws it down.
+ * Returns Map matatu_id → { trips, totals: { FARE, SERVICE_FEE, ... } }. Nothing is written.
+ */
+function replayTotals({ txs, rulesFor, dayOf, loanOutstanding = () => Infinity }) {
+  const byMatatu = new Map();
+  const feeTaken = new Set();
+  const owed = new Map();
+  const ordered = [...txs].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  for (const t of ordered) {
+    const dayKey = `${t.matatu_id}|${dayOf(t.created_at)}`;
+    if (!owed.has(t.matatu_id)) owed.set(t.matatu_id, loanOutstanding(t.matatu_id));
+    const parts = computeSplits({
+      amount: t.fare_amount_kes,
+      rules: rulesFor(t.matatu_id),
+      takeDailyFee: !feeTaken.has(dayKey),
+      loanOutstanding: owed.get(t.matatu_id),
+    });
+    if (parts.some((p) => p.type === 'SACCO_FEE')) feeTaken.add(dayKey);
+    const repaid = parts.find((p) => p.type === 'LOAN_REPAY');
+    if (repaid) owed.set(t.matatu_id, round2(owed.get(t.matatu_id) - repaid.amount_kes));
+    if (!byMatatu.has(t.matatu_id)) byMatatu.set(t.matatu_id, { trips: 0, totals: {} });
+    const m = byMatatu.get(t.matatu_id);
+    m.trips += 1;
+    for (const p of parts) m.totals[p.type] = round2((m.totals[p.type] || 0) + p.amount_kes);
+  }
+  return byMatatu;
+}
+
+module.exports = {
+  computeSplits,
+  splitsForCharged,
+  replayTotals,
+  componentRules,
+  ruleAmount,
+  rulesetProblem,
+  mergeOverride,
+  overrideProblem,
+  COMPONENTS,
+};
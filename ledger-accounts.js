@@ -0,0 +1,63 @@
+// ledger-accounts.js — the chart of accounts behind ledger_entries and how report totals are
+// read back out of it. Each split type posts one balanced debit/credit pair; the SQL side is
+// post_ledger_entry() in supabase/021_accounts.sql, keep the two in step.
+// Pure functions, no I/O (unit tests: npm run test:ledger-accounts).
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const ACCOUNTS = {
+  COLLECTIONS: { owner: 'PLATFORM', normal_side: 'DEBIT' }, // fares + service fees received
+  SERVICE_FEES: { owner: 'PLATFORM', normal_side: 'CREDIT' },
+  DAILY_FEES: { owner: 'SACCO', normal_side: 'CREDIT' },
+  OWNER_PAYABLE: { owner: 'MATATU', normal_side: 'CREDIT' }, // fares less deductions; balance = NET_TO_OWNER
+  SAVINGS: { owner: 'MATATU', normal_side: 'CREDIT' },
+  LOAN_REPAYMENTS: { owner: 'MATATU', normal_side: 'CREDIT' },
+};
+
+// Split type → { debit, credit } account codes. Every type credits a different account, so a
+// credit column totals exactly one type.
+const POSTINGS = {
+  FARE: { debit: 'COLLECTIONS', credit: 'OWNER_PAYABLE' },
+  SERVICE_FEE: { debit: 'COLLECTIONS', credit: 'SERVICE_FEES' },
+  SACCO_FEE: { debit: 'OWNER_PAYABLE', credit: 'DAILY_FEES' },
+  SAVINGS: { debit: 'OWNER_PAYABLE', credit: 'SAVINGS' },
+  LOAN_REPAY: { debit: 'OWNER_PAYABLE', credit: 'LOAN_REPAYMENTS' },
+};
+
+// Balance on the account's normal side (positive = what it normally holds)
+function balanceOf(row) {
+  const debit = Number(row.debit_kes || 0);
+  const credit = Number(row.credit_kes || 0);
+  return round2(row.normal_side === 'DEBIT' ? debit - credit : credit - debit);
+}
+
+/**
+ * account_activity rows → the per-type totals summarizeLedger returns, plus NET_TO_OWNER.
+ * A type appears once any of its credit accounts has activity.
+ */
+function totalsFromActivity(rows) {
+  const totals = {};
+  let net = 0;
+  for (const r of rows || []) {
+    for (const [type, p] of Object.entries(POSTINGS)) {
+      if (p.credit === r.code) totals[type] = round2((totals[type] || 0) + Number(r.credit_kes || 0));
+    }
+    if (r.code === 'OWNER_PAYABLE') net += balanceOf(r);
+  }
+  return { ...totals, NET_TO_OWNER: round2(net) };
+}
+
+// Sum of balances per account code, and whether debits equal credits across the rows
+function trialBalance(rows) {
+  const by_code = {};
+  let debit = 0;
+  let credit = 0;
+  for (const r of rows || []) {
+    by_code[r.code] = round2((by_code[r.code] || 0) + balanceOf(r));
+    debit += Number(r.debit_kes || 0);
+    credit += Number(r.credit_kes || 0);
+  }
+  return { by_code, debit_kes: round2(debit), credit_kes: round2(credit), balanced: round2(debit) === round2(credit) };
+}
+
+module.exports = { ACCOUNTS, POSTINGS, balanceOf, totalsFromActivity, trialBalance };
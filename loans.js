@@ -0,0 +1,101 @@
+// loans.js — owner loan schedules and where a loan stands on a business day: outstanding,
+// arrears, next instalment. Repayments are the LOAN_REPAY ledger rows tagged with the loan
+// (supabase/023_loans.sql); callers pass their sum in. Pure functions, no I/O
+// (unit tests: npm run test:loans).
+//
+// Interest is flat on the principal for the whole term; principal + interest is repaid in
+// `installments` equal instalments (the last absorbs rounding), the first one period after
+// `disbursed_on`.
+
+const { addDays, toDay } = require('./business-day');
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const MAX_INSTALLMENTS = 520;
+
+// Same day-of-month `n` months on, clamped to the month's last day (31 Jan + 1 → 28/29 Feb)
+function addMonths(day, n) {
+  const [y, m, d] = day.split('-').map(Number);
+  const last = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + n, Math.min(d, last))).toISOString().slice(0, 10);
+}
+
+function dueDate(start, frequency, k) {
+  if (frequency === 'DAILY') return addDays(start, k);
+  if (frequency === 'WEEKLY') return addDays(start, 7 * k);
+  return addMonths(start, k);
+}
+
+const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+
+function loanSchedule(loan) {
+  const principal = round2(loan.principal_kes);
+  const total = loan.total_due_kes != null ? round2(loan.total_due_kes) : round2(principal + round2((principal * Number(loan.interest_percent || 0)) / 100));
+  const n = Number(loan.installments);
+  const each = Math.floor((total / n) * 100) / 100;
+  const installments = [];
+  let cumulative = 0;
+  for (let k = 1; k <= n; k++) {
+    const amount = k === n ? round2(total - each * (n - 1)) : each;
+    cumulative = round2(cumulative + amount);
+    installments.push({ n: k, due_date: dueDate(loan.disbursed_on, loan.frequency, k), amount_kes: amount, cumulative_kes: cumulative });
+  }
+  return { principal_kes: principal, interest_kes: round2(total - principal), total_due_kes: total, installments };
+}
+
+/**
+ * Where a loan stands at the end of business day `asOf` given `repaid` (net LOAN_REPAY
+ * total). Repayments fill instalments oldest first; arrears are what fell due and isn't
+ * covered, aged from the oldest instalment still short.
+ */
+function loanPosition(loan, repaid, asOf) {
+  const s = loanSchedule(loan);
+  const paid = round2(repaid);
+  const schedule = s.installments.map((i) => {
+    const paidKes = round2(Math.min(Math.max(paid - (i.cumulative_kes - i.amount_kes), 0), i.amount_kes));
+    let status = 'UPCOMING';
+    if (paidKes >= i.amount_kes) status = 'PAID';
+    else if (i.due_date <= asOf) status = 'OVERDUE';
+    else if (paidKes > 0) status = 'PARTIAL';
+    return { ...i, paid_kes: paidKes, status };
+  });
+  const fallenDue = schedule.filter((i) => i.due_date <= asOf);
+  const dueToDate = fallenDue.length ? fallenDue[fallenDue.length - 1].cumulative_kes : 0;
+  const arrears = round2(Math.max(dueToDate - paid, 0));
+  const oldestShort = schedule.find((i) => i.paid_kes < i.amount_kes);
+  const next = schedule.find((i) => i.due_date > asOf && i.paid_kes < i.amount_kes);
+  return {
+    principal_kes: s.principal_kes,
+    interest_kes: s.interest_kes,
+    total_due_kes: s.total_due_kes,
+    repaid_kes: paid,
+    outstanding_kes: round2(Math.max(s.total_due_kes - paid, 0)),
+    overpaid_kes: round2(Math.max(paid - s.total_due_kes, 0)),
+    due_to_date_kes: dueToDate,
+    arrears_kes: arrears,
+    days_in_arrears: arrears > 0 && oldestShort ? daysBetween(oldestShort.due_date, asOf) : 0,
+    next_due: next ? { due_date: next.due_date, amount_kes: round2(next.amount_kes - next.paid_kes) } : null,
+    schedule,
+  };
+}
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// First problem with a new-loan body, or null
+function loanProblem(b = {}) {
+  if (!isNum(b.principal_kes) || b.principal_kes <= 0) return 'principal_kes must be a number > 0';
+  if (b.interest_percent != null && (!isNum(b.interest_percent) || b.interest_percent < 0 || b.interest_percent > 100)) {
+    return 'interest_percent must be a number between 0 and 100';
+  }
+  if (!Number.isInteger(b.installments) || b.installments < 1 || b.installments > MAX_INSTALLMENTS) {
+    return `installments must be an integer between 1 and ${MAX_INSTALLMENTS}`;
+  }
+  if (b.frequency != null && !FREQUENCIES.includes(b.frequency)) return `frequency must be one of ${FREQUENCIES.join(', ')}`;
+  if (b.disbursed_on != null && !(typeof b.disbursed_on === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(b.disbursed_on) && toDay(b.disbursed_on))) {
+    return 'disbursed_on must be YYYY-MM-DD';
+  }
+  return null;
+}
+
+module.exports = { FREQUENCIES, addMonths, loanSchedule, loanPosition, loanProblem };
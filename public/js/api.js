@@ -104,6 +104,26 @@
     try { return JSON.parse(text); } catch { return { raw: text }; }
   }
 
+  // File download (CSV/XLSX exports): same headers as j(), saved under the server's filename
+  async function download(path, params) {
+    const h = {};
+    const rootTok = getRoot();
+    const authTok = getAuth();
+    if (rootTok) h['x-admin-token'] = rootTok;
+    if (authTok) h['Authorization'] = `Bearer ${authTok}`;
+
+    const res = await fetch(`${BASE()}${path}${params ? qstr(params) : ''}`, { headers: h });
+    if (!res.ok) throw new Error((await res.text()) || `${res.status} ${res.statusText}`);
+    const cd = res.headers.get('Content-Disposition') || '';
+    const name = (cd.match(/filename="?([^";]+)"?/) || [])[1] || 'export';
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement('a');
+    a.href = url; a.download = name;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return name;
+  }
+
   function logout(redirect = '/auth/role-select.html') {
     try { clearAuth(); } catch {}
     try { clearRoot(); } catch {}
@@ -124,6 +144,7 @@
     post: (p, b)     => j(p, { method: 'POST', body: b }),
     del:  (p)        => j(p, { method: 'DELETE' }),
     jpost: (p, b)    => j(p, { method: 'POST', body: b }), // alias for convenience
+    download,        // (path, params?) → saves the response as a file
 
     // headers helper (for simple fetch calls)
     authHeader: () => {
@@ -144,19 +165,71 @@
 
     // rules / fees
     getRules:     (saccoId) => TT.get(`/api/admin/rulesets/${encodeURIComponent(saccoId)}`),
-    updateRules:  (b)       => TT.post('/api/admin/rulesets', b),
+    updateRules:  (b)       => TT.post('/api/admin/rulesets', b), // { sacco_id, ...fields, effective_from?, note? }
+    rulesVersions:(saccoId) => TT.get(`/api/admin/rulesets/${encodeURIComponent(saccoId)}/versions`),
+    cancelRulesVersion:(saccoId, version) => TT.del(`/api/admin/rulesets/${encodeURIComponent(saccoId)}/versions/${encodeURIComponent(version)}`),
+    rulesOverrides:(saccoId)=> TT.get(`/api/admin/rulesets/${encodeURIComponent(saccoId)}/overrides`),
+    matatuRules:  (id, at)  => TT.get(`/api/admin/matatus/${encodeURIComponent(id)}/ruleset`, at ? { at } : undefined),
+    setMatatuOverride:(id, b) => TT.post(`/api/admin/matatus/${encodeURIComponent(id)}/ruleset-override`, b), // { savings_percent?, ..., fee_rules?, note? }
+    clearMatatuOverride:(id) => TT.del(`/api/admin/matatus/${encodeURIComponent(id)}/ruleset-override`),
     feeQuote:     (b)       => TT.post('/api/fees/quote', b),
+    simulateRules:(saccoId, b) => TT.post(`/api/sacco/${encodeURIComponent(saccoId)}/rulesets/simulate`, b), // { from?, to?, proposed }
 
     // ussd pool
     poolAvailable:(pfx)     => TT.get('/api/admin/ussd/pool/available', pfx ? { prefix: pfx } : undefined),
     poolAllocated:(pfx)     => TT.get('/api/admin/ussd/pool/allocated', pfx ? { prefix: pfx } : undefined),
-    poolAssignNext:(b)      => TT.post('/api/admin/ussd/pool/assign-next', b),
+    poolAssignNext:(b)      => TT.post('/api/admin/ussd/pool/assign-next', b), // { level, sacco_id|matatu_id, reservation_id? }
+    poolReserve:  (b)       => TT.post('/api/admin/ussd/pool/reserve', b),     // { ussd_code?, ttl_seconds? }
+    poolCancelReserve:(id)  => TT.del(`/api/admin/ussd/pool/reserve/${encodeURIComponent(id)}`),
     poolBindManual:(b)      => TT.post('/api/admin/ussd/bind-from-pool', b),
+    poolRelease:  (b)       => TT.post('/api/admin/ussd/release', b),   // { ussd_code, reason? }
+    poolSuspend:  (b)       => TT.post('/api/admin/ussd/suspend', b),   // { ussd_code, reason }
+    poolResume:   (b)       => TT.post('/api/admin/ussd/resume', b),
+    poolReassign: (b)       => TT.post('/api/admin/ussd/reassign', b),  // { ussd_code, level, sacco_id|matatu_id, reason? }
+    poolHistory:  (filters) => TT.get('/api/admin/ussd/history', filters), // { ussd_code | matatu_id | sacco_id }
+    poolAddRange: (b)       => TT.post('/api/admin/ussd/pool/ranges', b),        // { prefix?, from, to }
+    poolRetireRange:(b)     => TT.post('/api/admin/ussd/pool/ranges/retire', b), // { prefix?, from, to, reason? }
+    poolStats:    ()        => TT.get('/api/admin/ussd/pool/stats'),
+    // binary (PDF/SVG): fetch with TT.authHeader()/x-admin-token and read .blob()
+    stickersPath: (q)       => '/api/admin/stickers' + qstr(q), // { matatu_id | sacco_id, format: pdf|svg, copies? }
 
     // transactions / reports (admin)
     txFeesToday:  ()        => TT.get('/api/admin/transactions/fees'),
     txLoansToday: ()        => TT.get('/api/admin/transactions/loans'),
-    settlements:  (saccoId, date) => TT.get('/api/admin/settlements', { sacco_id: saccoId, date }),
+    settlements:  (saccoId, date) => TT.get('/api/admin/settlements', { sacco_id: saccoId, date }), // no date → closed days
+    closeSettlement:(saccoId, date) => TT.post('/api/admin/settlements/close', { sacco_id: saccoId, date }),
+    accounts:     (q)       => TT.get('/api/admin/accounts', q),       // { as_of?, sacco_id?, matatu_id? }
+    saccoAccounts:(saccoId, q) => TT.get(`/api/sacco/${encodeURIComponent(saccoId)}/accounts`, q), // { as_of?, matatu_id? }
+
+    // exports: q = { format: csv|xlsx, ...the same filters as the JSON report }
+    exportTxFees: (q)       => TT.download('/api/admin/transactions/fees', q),  // { format, from?, to? | date? }
+    exportTxLoans:(q)       => TT.download('/api/admin/transactions/loans', q),
+    exportSaccoTx:(saccoId, q) => TT.download(`/api/sacco/${encodeURIComponent(saccoId)}/transactions`, q), // { format, status?, from?, to? }
+    exportSaccoSummary:(saccoId, q) => TT.download(`/api/sacco/${encodeURIComponent(saccoId)}/summary`, q), // { format, from?, to? }
+    exportMatatuFees:(matatuId, q) => TT.download('/fees/by-matatu', { matatu_id: matatuId, ...q }), // { format, days? }
+
+    // member savings
+    mySavings:    ()        => TT.get('/api/my-savings'),
+    savings:      (matatuId)=> TT.get(`/api/matatu/${encodeURIComponent(matatuId)}/savings`),
+    savingsStatement:(matatuId, range) => TT.get(`/api/matatu/${encodeURIComponent(matatuId)}/savings/statement`, range), // { from, to } | { date }
+    requestWithdrawal:(matatuId, b) => TT.post(`/api/matatu/${encodeURIComponent(matatuId)}/savings/withdrawals`, b), // { amount_kes, note? }
+    withdrawals:  (saccoId, q) => TT.get(`/api/sacco/${encodeURIComponent(saccoId)}/savings/withdrawals`, q), // { status?, matatu_id? }
+    approveWithdrawal:(saccoId, id) => TT.post(`/api/sacco/${encodeURIComponent(saccoId)}/savings/withdrawals/${encodeURIComponent(id)}/approve`),
+    rejectWithdrawal:(saccoId, id, reason) => TT.post(`/api/sacco/${encodeURIComponent(saccoId)}/savings/withdrawals/${encodeURIComponent(id)}/reject`, { reason }),
+
+    // owner loans
+    createLoan:   (saccoId, b) => TT.post(`/api/sacco/${encodeURIComponent(saccoId)}/loans`, b), // { matatu_id, principal_kes, interest_percent?, installments, frequency?, disbursed_on?, note? }
+    saccoLoans:   (saccoId, q) => TT.get(`/api/sacco/${encodeURIComponent(saccoId)}/loans`, q), // { status?, matatu_id? }
+    writeOffLoan: (saccoId, id, reason) => TT.post(`/api/sacco/${encodeURIComponent(saccoId)}/loans/${encodeURIComponent(id)}/write-off`, { reason }),
+    matatuLoans:  (matatuId) => TT.get(`/api/matatu/${encodeURIComponent(matatuId)}/loans`),
+    loanStatement:(matatuId, loanId, range) => TT.get(`/api/matatu/${encodeURIComponent(matatuId)}/loans/${encodeURIComponent(loanId)}/statement`, range),
+
+    // daily fee arrears
+    feeArrears:   (saccoId, range) => TT.get(`/api/sacco/${encodeURIComponent(saccoId)}/fees/arrears`, range), // { from?, to? }
+    feeDefaulters:(saccoId, q) => TT.get(`/api/sacco/${encodeURIComponent(saccoId)}/fees/defaulters`, q), // { from?, to?, min_days?, min_kes? }
+    matatuFeeArrears:(matatuId, range) => TT.get(`/api/matatu/${encodeURIComponent(matatuId)}/fees/arrears`, range),
+    feeReconciliation:(saccoId, q) => TT.get(`/api/sacco/${encodeURIComponent(saccoId)}/fees/reconciliation`, q), // { from?, to?, status? }
+    resolveFeeDouble:(saccoId, b) => TT.post(`/api/sacco/${encodeURIComponent(saccoId)}/fees/reconciliation/resolve`, b), // { matatu_id, day, action: REFUND|CREDIT, note? }
 
     // public/lookup (used by staff/owner/conductor)
     publicSaccos: ()        => TT.get('/api/public/saccos'),
@@ -0,0 +1,185 @@
+/* scripts/daraja-sim.js */
+// Local stand-in for the Safaricom Daraja API (dev + CI).
+// Point the app at it with DARAJA_BASE_URL=http://localhost:5055 and any
+// non-empty DARAJA_CONSUMER_KEY / SECRET / SHORTCODE / PASSKEY (B2C also needs
+// DARAJA_B2C_INITIATOR / DARAJA_B2C_SECURITY_CREDENTIAL).
+//
+// Outcome of an STK prompt is driven by the payer's number:
+//   ...000 → cancelled by user (1032), ...111 → insufficient funds (1),
+//   ...999 → no callback at all (stays PENDING), anything else → success.
+require('dotenv').config();
+const express = require('express');
+const { randomUUID } = require('crypto');
+
+const PORT = Number(process.env.DARAJA_SIM_PORT || 5055);
+const DELAY_MS = Number(process.env.DARAJA_SIM_DELAY_MS || 1500);
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+const stk = new Map(); // CheckoutRequestID -> request + outcome
+const c2bUrls = new Map(); // ShortCode -> { ValidationURL, ConfirmationURL, ResponseType }
+
+const rid = (p) => `${p}${Date.now()}${Math.floor(Math.random() * 1000)}`;
+const receipt = () => 'S' + randomUUID().replace(/-/g, '').slice(0, 9).toUpperCase();
+const stamp = () => new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString().replace(/\D/g, '').slice(0, 14);
+
+function outcomeFor(msisdn) {
+  const s = String(msisdn || '');
+  if (s.endsWith('000')) return { code: 1032, desc: 'Request cancelled by user' };
+  if (s.endsWith('111')) return { code: 1, desc: 'The balance is insufficient for the transaction' };
+  if (s.endsWith('999')) return { code: null, desc: 'No callback (simulated timeout)' };
+  return { code: 0, desc: 'The service request is processed successfully.' };
+}
+
+async function postJson(url, body) {
+  try {
+    const r = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    console.log(`[sim] callback → ${url} (${r.status})`);
+    return await r.json().catch(() => ({}));
+  } catch (e) {
+    console.warn(`[sim] callback → ${url} failed: ${e.message}`);
+    return null;
+  }
+}
+
+function requireBearer(req, res, next) {
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Bearer ')) return res.status(401).json({ errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+  next();
+}
+
+app.get('/oauth/v1/generate', (req, res) => {
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Basic ')) return res.status(400).json({ errorMessage: 'Invalid Authentication passed' });
+  res.json({ access_token: 'sim-' + randomUUID(), expires_in: '3599' });
+});
+
+app.post('/mpesa/stkpush/v1/processrequest', requireBearer, (req, res) => {
+  const b = req.body || {};
+  if (!b.BusinessShortCode || !b.Password || !b.PhoneNumber || !(Number(b.Amount) >= 1)) {
+    return res.status(400).json({ requestId: rid(''), errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+  }
+  const CheckoutRequestID = rid('ws_CO_');
+  const MerchantRequestID = rid('sim-');
+  const outcome = outcomeFor(b.PhoneNumber);
+  const entry = { ...b, CheckoutRequestID, MerchantRequestID, outcome, receipt: outcome.code === 0 ? receipt() : null, at: Date.now() };
+  stk.set(CheckoutRequestID, entry);
+
+  if (outcome.code !== null && b.CallBackURL) {
+    setTimeout(() => {
+      const cb = { MerchantRequestID, CheckoutRequestID, ResultCode: outcome.code, ResultDesc: outcome.desc };
+      if (outcome.code === 0) {
+        cb.CallbackMetadata = {
+          Item: [
+            { Name: 'Amount', Value: Number(b.Amount) },
+            { Name: 'MpesaReceiptNumber', Value: entry.receipt },
+            { Name: 'TransactionDate', Value: Number(stamp()) },
+            { Name: 'PhoneNumber', Value: Number(b.PhoneNumber) },
+          ],
+        };
+      }
+      postJson(b.CallBackURL, { Body: { stkCallback: cb } });
+    }, DELAY_MS);
+  }
+
+  res.json({
+    MerchantRequestID,
+    CheckoutRequestID,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing',
+  });
+});
+
+// Status query: "…999" prompts never resolve, like a handset that was switched off
+app.post('/mpesa/stkpushquery/v1/query', requireBearer, (req, res) => {
+  const entry = stk.get(String((req.body || {}).CheckoutRequestID || ''));
+  if (!entry) return res.status(400).json({ requestId: rid(''), errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+  if (entry.outcome.code === null) {
+    return res.status(500).json({ requestId: rid(''), errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+  }
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successsfully',
+    MerchantRequestID: entry.MerchantRequestID,
+    CheckoutRequestID: entry.CheckoutRequestID,
+    ResultCode: String(entry.outcome.code),
+    ResultDesc: entry.outcome.desc,
+  });
+});
+
+app.post('/mpesa/c2b/v1/registerurl', requireBearer, (req, res) => {
+  const b = req.body || {};
+  if (!b.ShortCode || !b.ConfirmationURL || !b.ValidationURL) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+  }
+  c2bUrls.set(String(b.ShortCode), { ValidationURL: b.ValidationURL, ConfirmationURL: b.ConfirmationURL, ResponseType: b.ResponseType || 'Cancelled' });
+  res.json({ OriginatorCoversationID: rid(''), ResponseCode: '0', ResponseDescription: 'Success' });
+});
+
+// Sandbox-style simulate: passenger pays `Amount` to till `ShortCode`. URLs registered for the
+// till win; otherwise the first registered store shortcode receives the callbacks.
+app.post('/mpesa/c2b/v1/simulate', requireBearer, async (req, res) => {
+  const b = req.body || {};
+  const urls = c2bUrls.get(String(b.ShortCode)) || [...c2bUrls.values()][0];
+  if (!urls) return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'No C2B URLs registered' });
+  const payload = {
+    TransactionType: b.CommandID === 'CustomerPayBillOnline' ? 'Pay Bill' : 'Buy Goods',
+    TransID: receipt(),
+    TransTime: stamp(),
+    TransAmount: String(b.Amount),
+    BusinessShortCode: String(b.ShortCode),
+    BillRefNumber: b.BillRefNumber || '',
+    InvoiceNumber: '',
+    OrgAccountBalance: '',
+    ThirdPartyTransID: '',
+    MSISDN: String(b.Msisdn || ''),
+    FirstName: 'SIM',
+  };
+  const v = await postJson(urls.ValidationURL, payload);
+  const accepted = v && String(v.ResultCode) === '0';
+  if (!accepted && urls.ResponseType === 'Cancelled') {
+    return res.json({ ResponseCode: '0', ResponseDescription: 'Rejected by validation', TransID: payload.TransID, validation: v });
+  }
+  await postJson(urls.ConfirmationURL, payload);
+  res.json({ ResponseCode: '0', ResponseDescription: 'Accept the service request successfully.', TransID: payload.TransID, validation: v });
+});
+
+// B2C: pays out to PartyB; "…111" numbers fail with insufficient funds on the org account
+app.post(['/mpesa/b2c/v1/paymentrequest', '/mpesa/b2c/v3/paymentrequest'], requireBearer, (req, res) => {
+  const b = req.body || {};
+  if (!b.InitiatorName || !b.SecurityCredential || !b.PartyB || !(Number(b.Amount) >= 1) || !b.ResultURL) {
+    return res.status(400).json({ requestId: rid(''), errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+  }
+  const ConversationID = rid('AG_');
+  const OriginatorConversationID = b.OriginatorConversationID || rid('sim-');
+  const fails = String(b.PartyB).endsWith('111');
+  setTimeout(() => {
+    const result = {
+      ResultType: 0,
+      ResultCode: fails ? 1 : 0,
+      ResultDesc: fails ? 'The balance is insufficient for the transaction.' : 'The service request is processed successfully.',
+      OriginatorConversationID,
+      ConversationID,
+      TransactionID: fails ? '' : receipt(),
+    };
+    if (!fails) {
+      result.ResultParameters = {
+        ResultParameter: [
+          { Key: 'TransactionAmount', Value: Number(b.Amount) },
+          { Key: 'TransactionReceipt', Value: result.TransactionID },
+          { Key: 'ReceiverPartyPublicName', Value: `${b.PartyB} - SIM OWNER` },
+          { Key: 'TransactionCompletedDateTime', Value: stamp() },
+        ],
+      };
+    }
+    postJson(b.ResultURL, { Result: result });
+  }, DELAY_MS);
+  res.json({ ConversationID, OriginatorConversationID, ResponseCode: '0', ResponseDescription: 'Accept the service request successfully.' });
+});
+
+// Inspect what the sim has seen (handy in tests)
+app.get('/__sim/stk', (_req, res) => res.json({ items: [...stk.values()] }));
+
+app.listen(PORT, () => console.log(`[daraja-sim] listening on :${PORT} (callback delay ${DELAY_MS}ms)`));
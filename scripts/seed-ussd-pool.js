@@ -23,18 +23,20 @@ async function main() {
   const countRaw = parseInt(process.env.SEED_COUNT || defCount, 10);
   const safeStart = Number.isFinite(startRaw) ? startRaw : 110;
   const safeCount = Number.isFinite(countRaw) && countRaw > 0 ? countRaw : 30;
+  const prefix = process.env.SEED_PREFIX || process.env.USSD_PREFIX || '*001*';
   const rows = [];
   for (let i = safeStart; i < safeStart + safeCount; i++) {
     const base = String(i).padStart(3, '0');
-    rows.push({ base, checksum: digitalRoot(base), allocated: false });
+    rows.push({ prefix, base, checksum: digitalRoot(base), allocated: false });
   }
 
-  const { error } = await sb.from('ussd_pool').upsert(rows, { onConflict: 'base' });
+  // ignoreDuplicates: re-running must not free codes that are already allocated
+  const { error } = await sb.from('ussd_pool').upsert(rows, { onConflict: 'prefix,base', ignoreDuplicates: true });
   if (error) {
     console.error('Seed failed:', error.message || error);
     process.exit(1);
   }
-  console.log(`Seeded/ensured ${rows.length} USSD bases (${safeStart}..${safeStart + safeCount - 1}) [SEED_ENV=${envName || 'default'}]`);
+  console.log(`Seeded/ensured ${rows.length} USSD bases ${prefix}(${safeStart}..${safeStart + safeCount - 1}) [SEED_ENV=${envName || 'default'}]`);
 }
 
 main().catch((e) => { console.error(e); process.exit(1); });
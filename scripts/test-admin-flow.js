@@ -7,6 +7,16 @@ const fs = require('fs');
   const plate = `KQ${(Date.now()%100000).toString().padStart(5,'0')}`;
   const phone = '254700000000';
   const email = `qa${Date.now()}@example.com`;
+  const idemKey = `qa-matatu-${Date.now()}`;
+  const matatuBody = () => ({
+    sacco_id: saccoId,
+    number_plate: plate,
+    owner_name: 'Owner QA',
+    owner_phone: phone,
+    vehicle_type: 'PSV 14-seater',
+    tlb_number: 'TLB-QA',
+    till_number: '123456',
+  });
 
   let saccoId = null;
   let matatuId = null;
@@ -38,20 +48,35 @@ const fs = require('fs');
     await step('Create Matatu', async () => {
       const r = await api('/api/admin/register-matatu', {
         method: 'POST',
-        body: {
-          sacco_id: saccoId,
-          number_plate: plate,
-          owner_name: 'Owner QA',
-          owner_phone: phone,
-          vehicle_type: 'PSV 14-seater',
-          tlb_number: 'TLB-QA',
-          till_number: '123456',
-        },
+        headers: { 'Idempotency-Key': idemKey },
+        body: matatuBody(),
       });
       matatuId = (r.data && r.data.id) || r.id;
       if (!matatuId) throw new Error('No matatu id returned');
     });
 
+    await step('Retry with same Idempotency-Key replays the stored response', async () => {
+      const r = await api('/api/admin/register-matatu', {
+        method: 'POST',
+        headers: { 'Idempotency-Key': idemKey },
+        body: matatuBody(),
+      });
+      const id = (r.data && r.data.id) || r.id;
+      if (String(id) !== String(matatuId)) throw new Error(`Replay returned ${id}, expected ${matatuId}`);
+    });
+
+    await step('Same Idempotency-Key with a different body is rejected', async () => {
+      let rejected = false;
+      try {
+        await api('/api/admin/register-matatu', {
+          method: 'POST',
+          headers: { 'Idempotency-Key': idemKey },
+          body: { ...matatuBody(), owner_name: 'Someone Else' },
+        });
+      } catch { rejected = true; }
+      if (!rejected) throw new Error('Key reuse with a different body was accepted');
+    });
+
     await step('Verify Matatu listing', async () => {
       const r = await api(`/api/admin/matatus?sacco_id=${encodeURIComponent(saccoId)}`);
       const items = r.items || r.data || [];
@@ -87,6 +112,51 @@ const fs = require('fs');
       if (!found) throw new Error(`Allocated list does not contain ${assignedCode}`);
     });
 
+    await step('Suspend, resume and release the assigned code', async () => {
+      if (!assignedCode) { warn('No code assigned – skipped lifecycle'); return; }
+      const s = await api('/api/admin/ussd/suspend', { method: 'POST', body: { ussd_code: assignedCode, reason: 'QA suspend' } });
+      if (s.data?.status !== 'SUSPENDED') throw new Error('suspend did not stick');
+      await api('/api/admin/ussd/resume', { method: 'POST', body: { ussd_code: assignedCode } });
+      const r = await api('/api/admin/ussd/release', { method: 'POST', body: { ussd_code: assignedCode, reason: 'QA release' } });
+      if (r.data?.allocated !== false) throw new Error('release did not free the code');
+    });
+
+    await step('Sticker sheet renders as PDF and SVG', async () => {
+      const pdf = await api(`/api/admin/stickers?matatu_id=${encodeURIComponent(matatuId)}&format=pdf`);
+      if (!String(pdf.raw || '').startsWith('%PDF-')) throw new Error('sticker PDF missing %PDF header');
+      const svg = await api(`/api/admin/stickers?matatu_id=${encodeURIComponent(matatuId)}&format=svg&copies=2`);
+      const hits = String(svg.raw || '').split(plate.toUpperCase()).length - 1;
+      if (hits !== 2) throw new Error(`expected 2 stickers for ${plate} in SVG, found ${hits}`);
+    });
+
+    await step('Allocation history records every change', async () => {
+      if (!assignedCode) return;
+      const r = await api(`/api/admin/ussd/history?ussd_code=${encodeURIComponent(assignedCode)}&limit=10`);
+      const actions = (r.items || []).map(x => x.action);
+      for (const a of ['ALLOCATE', 'SUSPEND', 'RESUME', 'RELEASE']) {
+        if (!actions.includes(a)) throw new Error(`history missing ${a}: ${actions.join(',')}`);
+      }
+      const rel = r.items.find(x => x.action === 'RELEASE');
+      if (String(rel.prev_matatu_id) !== String(matatuId) || rel.reason !== 'QA release') throw new Error('RELEASE row lacks holder/reason');
+    });
+
+    await step('Pool range on a QA prefix: add, stats, retire', async () => {
+      const qaPrefix = '*999*';
+      const add = await api('/api/admin/ussd/pool/ranges', { method: 'POST', body: { prefix: qaPrefix, from: 990, to: 992 } });
+      if (add.data?.added + add.data?.restored + add.data?.already_present !== 3) throw new Error('range add did not cover 3 bases');
+      const got = await api('/api/admin/ussd/pool/assign-next', { method: 'POST', body: { level: 'MATATU', matatu_id: matatuId, prefix: qaPrefix } });
+      if (!String(got.ussd_code).startsWith(qaPrefix)) throw new Error(`assigned ${got.ussd_code} outside ${qaPrefix}`);
+      const stats = await api('/api/admin/ussd/pool/stats');
+      const row = (stats.data?.items || []).find(x => x.prefix === qaPrefix);
+      if (!row || row.allocated < 1 || !row.low) throw new Error(`stats for ${qaPrefix} wrong: ${JSON.stringify(row)}`);
+      const ret = await api('/api/admin/ussd/pool/ranges/retire', { method: 'POST', body: { prefix: qaPrefix, from: 990, to: 992, reason: 'QA' } });
+      if (ret.data?.skipped_allocated !== 1) throw new Error('retire should skip the allocated code');
+      await api('/api/admin/ussd/release', { method: 'POST', body: { ussd_code: got.ussd_code, reason: 'QA cleanup' } });
+      await api('/api/admin/ussd/pool/ranges/retire', { method: 'POST', body: { prefix: qaPrefix, from: 990, to: 992, reason: 'QA' } });
+      const av = await api(`/api/admin/ussd/pool/available?prefix=${encodeURIComponent(qaPrefix)}`);
+      if ((av.items || []).length) throw new Error('retired codes still listed as available');
+    });
+
     await step('Optional: Bind manual USSD (skip if none)', async () => {
       const av = await api('/api/admin/ussd/pool/available');
       const items = av.items || av.data || [];
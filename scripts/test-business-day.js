@@ -0,0 +1,64 @@
+/* scripts/test-business-day.js — unit tests for business-day.js (no server needed): node --test scripts/test-business-day.js */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { businessDay, businessTime, addDays, dayStart, toDay, isValidTz } = require('../business-day');
+const { replayTotals } = require('../fee-rules');
+
+const TZ = 'Africa/Nairobi'; // UTC+3, no DST
+
+test('Nairobi midnight is 21:00 UTC the evening before', () => {
+  assert.equal(businessDay(new Date('2026-03-01T20:59:59.999Z'), TZ), '2026-03-01');
+  assert.equal(businessDay(new Date('2026-03-01T21:00:00.000Z'), TZ), '2026-03-02');
+  assert.equal(businessTime(new Date('2026-03-01T21:00:00Z'), TZ), '00:00:00');
+  assert.equal(businessTime(new Date('2026-03-01T20:59:59Z'), TZ), '23:59:59');
+  assert.equal(dayStart('2026-03-02', TZ), '2026-03-01T21:00:00.000Z');
+});
+
+test('a UTC "today" would be wrong between 00:00 and 03:00 Nairobi', () => {
+  const at = new Date('2026-03-01T22:30:00Z'); // 01:30 on 2 March in Nairobi
+  assert.equal(at.toISOString().slice(0, 10), '2026-03-01');
+  assert.equal(businessDay(at, TZ), '2026-03-02');
+});
+
+test('date-only values are calendar days, not UTC instants', () => {
+  assert.equal(toDay('2026-03-02', TZ), '2026-03-02');
+  assert.equal(toDay('2026-03-02', 'America/New_York'), '2026-03-02');
+  assert.equal(toDay('2026-03-01T22:30:00Z', TZ), '2026-03-02');
+  assert.equal(toDay(new Date('2026-03-01T20:00:00Z'), TZ), '2026-03-01');
+  assert.equal(toDay('2026-02-30', TZ), null);
+  assert.equal(toDay('yesterday', TZ), null);
+});
+
+test('addDays crosses month and year ends', () => {
+  assert.equal(addDays('2026-02-28', 1), '2026-03-01');
+  assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+});
+
+test('zones with DST still start each day at local midnight', () => {
+  // New York springs forward on 2026-03-08: midnight is still EST (UTC-5)
+  assert.equal(dayStart('2026-03-08', 'America/New_York'), '2026-03-08T05:00:00.000Z');
+  assert.equal(dayStart('2026-03-09', 'America/New_York'), '2026-03-09T04:00:00.000Z');
+  assert.equal(dayStart('2026-06-01', 'UTC'), '2026-06-01T00:00:00.000Z');
+  assert.equal(isValidTz('Africa/Nairobi'), true);
+  assert.equal(isValidTz('Mars/Olympus'), false);
+});
+
+test('daily fee resets at Nairobi midnight, not at 03:00', () => {
+  const rules = { fare_fee_flat_kes: 2.5, savings_percent: 0, sacco_daily_fee_kes: 50, loan_repay_percent: 0 };
+  const dayOf = (iso) => businessDay(new Date(iso), TZ);
+  const trips = (...times) => times.map((created_at) => ({ matatu_id: 'm', fare_amount_kes: 100, created_at }));
+
+  // 23:30 and 00:30 Nairobi: two business days → fee twice
+  let out = replayTotals({ txs: trips('2026-03-01T20:30:00Z', '2026-03-01T21:30:00Z'), rulesFor: () => rules, dayOf });
+  assert.equal(out.get('m').totals.SACCO_FEE, 100);
+
+  // 00:30 and 02:30 Nairobi → same business day, fee once
+  out = replayTotals({ txs: trips('2026-03-01T21:30:00Z', '2026-03-01T23:30:00Z'), rulesFor: () => rules, dayOf });
+  assert.equal(out.get('m').totals.SACCO_FEE, 50);
+
+  // 02:30 and 03:30 Nairobi straddle UTC midnight → still one business day
+  out = replayTotals({ txs: trips('2026-03-01T23:30:00Z', '2026-03-02T00:30:00Z'), rulesFor: () => rules, dayOf });
+  assert.equal(out.get('m').totals.SACCO_FEE, 50);
+});
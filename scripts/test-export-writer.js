@@ -0,0 +1,96 @@
+/* scripts/test-export-writer.js — unit tests for export-writer.js (no server needed): node --test scripts/test-export-writer.js */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { csvCell, toCsv, writeExport } = require('../export-writer');
+
+const COLUMNS = [
+  { key: 'day', label: 'Day' },
+  { key: 'note', label: 'Note' },
+  { key: 'amount', label: 'Amount (KES)' },
+];
+
+async function* pagesOf(...pages) {
+  for (const p of pages) yield p;
+}
+
+async function render(format, pages, opts) {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', (c) => chunks.push(Buffer.from(c)));
+  const ended = new Promise((resolve) => out.on('end', resolve));
+  await writeExport(out, format, COLUMNS, pages, opts);
+  await ended;
+  return Buffer.concat(chunks);
+}
+
+// Reads every entry of a zip through its central directory; checks sizes and CRCs on the way
+function unzip(buf) {
+  const eocd = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(eocd >= 0, 'end of central directory');
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(p), 0x02014b50);
+    const crc = buf.readUInt32LE(p + 16);
+    const csize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const offset = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    assert.equal(buf.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+    const start = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+    const data = zlib.inflateRawSync(buf.subarray(start, start + csize));
+    assert.equal(data.length, size, `size of ${name}`);
+    assert.equal(zlib.crc32(data), crc, `crc of ${name}`);
+    files[name] = data.toString('utf8');
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return files;
+}
+
+test('csv has a header row, one line per row across pages, and guards formulas', async () => {
+  const csv = (await render('csv', pagesOf([{ day: '2026-03-01', note: 'a, b', amount: 50 }], [], [{ day: '2026-03-02', note: '=SUM(A1)', amount: 12.5 }]))).toString();
+  assert.equal(csv, 'Day,Note,Amount (KES)\r\n2026-03-01,"a, b",50\r\n2026-03-02,\'=SUM(A1),12.5\r\n');
+});
+
+test('an empty range still exports the header', async () => {
+  assert.equal((await render('csv', pagesOf())).toString(), 'Day,Note,Amount (KES)\r\n');
+  const files = unzip(await render('xlsx', pagesOf()));
+  assert.match(files['xl/worksheets/sheet1.xml'], /<sheetData><row r="1">.*<\/row><\/sheetData>/);
+});
+
+test('xlsx is a valid zip holding a workbook with one sheet of typed cells', async () => {
+  const rows = [{ day: '2026-03-01', note: 'Tom & <Jerry>\u0007', amount: 50 }, { day: '2026-03-02', note: null, amount: 0 }];
+  const files = unzip(await render('xlsx', pagesOf(rows), { sheet: 'Fees: March/April' }));
+  assert.deepEqual(Object.keys(files).sort(), ['[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml']);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Fees  March April"/);
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<c r="C1" t="inlineStr"><is><t xml:space="preserve">Amount \(KES\)<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">Tom &amp; &lt;Jerry&gt;<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="C2"><v>50<\/v><\/c>/);
+  // null cells are left out; zero is still a number
+  assert.match(sheet, /<row r="3"><c r="A3"[^]*?<\/c><c r="C3"><v>0<\/v><\/c><\/row>/);
+});
+
+test('rows spanning many pages keep their order and row numbers', async () => {
+  const pages = [];
+  for (let p = 0; p < 5; p++) pages.push(Array.from({ length: 400 }, (_, i) => ({ day: `d${p * 400 + i}`, amount: p * 400 + i })));
+  const sheet = unzip(await render('xlsx', pagesOf(...pages)))['xl/worksheets/sheet1.xml'];
+  assert.equal((sheet.match(/<row /g) || []).length, 2001);
+  assert.match(sheet, /<row r="2001"><c r="A2001" t="inlineStr"><is><t xml:space="preserve">d1999<\/t><\/is><\/c><c r="C2001"><v>1999<\/v><\/c><\/row>/);
+});
+
+test('toCsv and csvCell keep the in-memory report format', () => {
+  assert.equal(csvCell('+254700000000'), "'+254700000000");
+  assert.equal(csvCell({ a: 1 }), '"{""a"":1}"');
+  assert.equal(toCsv([{ a: 1, b: 'x' }], ['a', 'b']), 'a,b\r\n1,x\r\n');
+});
+
+test('an unknown format is refused', async () => {
+  await assert.rejects(() => writeExport(new PassThrough(), 'pdf', COLUMNS, pagesOf()), /unknown export format/);
+});
@@ -0,0 +1,96 @@
+/* scripts/test-fee-arrears.js — unit tests for fee-arrears.js (no server needed): node --test scripts/test-fee-arrears.js */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { activeOn, dayRange, feeArrears, feeSplitKes, overrideOn, placeFeeRefunds, sumArrears } = require('../fee-arrears');
+
+const fifty = () => 50;
+
+test('unpaid days are listed oldest first with their age at the end of the range', () => {
+  const a = feeArrears({ from: '2026-03-01', to: '2026-03-05', expectedFor: fifty, paid: new Map([['2026-03-02', 50], ['2026-03-04', 50]]) });
+  assert.equal(a.days_due, 5);
+  assert.equal(a.expected_kes, 250);
+  assert.equal(a.paid_kes, 100);
+  assert.equal(a.arrears_kes, 150);
+  // FIFO: the two payments cover 1st and 2nd, so 3rd–5th are short
+  assert.deepEqual(a.unpaid.map((u) => [u.day, u.short_kes, u.age_days]), [
+    ['2026-03-03', 50, 3],
+    ['2026-03-04', 50, 2],
+    ['2026-03-05', 50, 1],
+  ]);
+  assert.equal(a.oldest_unpaid, '2026-03-03');
+});
+
+test('a lump payment clears the oldest shortfall first and leftovers are credit', () => {
+  const paid = new Map([['2026-03-03', 200]]);
+  const a = feeArrears({ from: '2026-03-01', to: '2026-03-03', expectedFor: fifty, paid });
+  assert.equal(a.arrears_kes, 0);
+  assert.equal(a.credit_kes, 50);
+  assert.deepEqual(a.unpaid, []);
+  assert.equal(a.oldest_unpaid, null);
+});
+
+test('partial payments leave the remainder short; days with nothing due are skipped', () => {
+  const expectedFor = (day) => (day === '2026-03-02' ? 0 : 40);
+  const a = feeArrears({ from: '2026-03-01', to: '2026-03-03', expectedFor, paid: new Map([['2026-03-01', 25.5]]) });
+  assert.equal(a.days_due, 2);
+  assert.deepEqual(a.unpaid.map((u) => [u.day, u.short_kes]), [['2026-03-01', 14.5], ['2026-03-03', 40]]);
+});
+
+test('ageing buckets and SACCO totals', () => {
+  const a = feeArrears({ from: '2026-01-01', to: '2026-04-10', expectedFor: () => 10 });
+  assert.equal(a.days_unpaid, dayRange('2026-01-01', '2026-04-10').length);
+  assert.deepEqual(a.buckets, { '1-7': 70, '8-30': 230, '31-60': 300, '61-90': 300, '90+': 100 });
+  const b = feeArrears({ from: '2026-04-09', to: '2026-04-10', expectedFor: () => 10, paid: new Map([['2026-04-10', 30]]) });
+  const t = sumArrears([a, b]);
+  assert.equal(t.arrears_kes, a.arrears_kes);
+  assert.equal(t.credit_kes, 10);
+  assert.equal(t.buckets['1-7'], 70);
+});
+
+test('a refund of an older double collection followed by a fare leaves today paid', () => {
+  // 03-02 was paid twice (cash + split); the 50 KES refund is posted on 03-05, then a fare takes today's fee
+  const splits = [
+    { id: 1, matatu_id: 'm1', day: '2026-03-02', amount_kes: 50, kind: 'SPLIT' },
+    { id: 7, matatu_id: 'm1', day: '2026-03-05', amount_kes: -50, kind: 'ADJUSTMENT' },
+    { id: 8, matatu_id: 'm1', day: '2026-03-05', amount_kes: 50, kind: 'SPLIT' },
+  ];
+  const today = splits.filter((r) => r.day === '2026-03-05');
+  assert.equal(feeSplitKes(today), 50);
+  assert.equal(feeSplitKes([...today, { amount_kes: -50, kind: 'REVERSAL' }]), 0);
+
+  const refund = { id: 3, matatu_id: 'm1', day: '2026-03-02', amount_kes: 50, ledger_entry_id: 7 };
+  const placed = placeFeeRefunds(splits, [refund, refund], { from: '2026-03-01', to: '2026-03-05' });
+  const paid = new Map([['2026-03-02', 50]]);
+  for (const r of placed) paid.set(r.day, (paid.get(r.day) || 0) + r.amount_kes);
+  assert.deepEqual([...paid], [['2026-03-02', 50], ['2026-03-05', 50]]);
+  const a = feeArrears({ from: '2026-03-02', to: '2026-03-05', expectedFor: (day) => (day === '2026-03-02' || day === '2026-03-05' ? 50 : 0), paid });
+  assert.equal(a.arrears_kes, 0);
+  assert.equal(a.credit_kes, 0);
+
+  // Outside the range the refund drops out with its ledger row
+  assert.deepEqual(placeFeeRefunds(splits, [refund], { from: '2026-03-05', to: '2026-03-05' }).map((r) => r.id), [1, 8]);
+});
+
+test('parking a matatu and changing its override only affect the days after', () => {
+  // Active from 03-01, parked on 03-04, back on the road during 03-07
+  const active = [
+    { day: '2026-03-01', active: true },
+    { day: '2026-03-04', active: false },
+    { day: '2026-03-07', active: true },
+  ];
+  assert.deepEqual(dayRange('2026-03-01', '2026-03-08').filter((d) => activeOn(active, d)), ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-07', '2026-03-08']);
+  assert.equal(activeOn([], '2026-03-05'), true);
+  assert.equal(activeOn([{ day: '2026-03-05', active: false }], '2026-03-05'), false);
+
+  // 40 agreed on 03-03, lifted on 03-06: each day uses the override it started with
+  const overrides = [
+    { day: '2026-03-03', sacco_daily_fee_kes: '40.00' },
+    { day: '2026-03-06', sacco_daily_fee_kes: null },
+  ];
+  assert.deepEqual(['2026-03-03', '2026-03-04', '2026-03-06', '2026-03-07'].map((d) => overrideOn(overrides, d)), [null, 40, 40, null]);
+
+  const expectedFor = (day) => (activeOn(active, day) ? overrideOn(overrides, day) ?? 50 : 0);
+  const a = feeArrears({ from: '2026-03-01', to: '2026-03-08', expectedFor });
+  assert.equal(a.days_due, 6);
+  assert.equal(a.expected_kes, 50 + 50 + 50 + 40 + 50 + 50);
+});
@@ -0,0 +1,202 @@
+/* scripts/test-fee-rules.js — unit tests for fee-rules.js (no server needed): node --test scripts/test-fee-rules.js */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSplits, splitsForCharged, replayTotals, ruleAmount, rulesetProblem, mergeOverride, overrideProblem } = require('../fee-rules');
+
+const LEGACY = { fare_fee_flat_kes: 2.5, savings_percent: 5, sacco_daily_fee_kes: 50, loan_repay_percent: 0 };
+const part = (splits, type) => (splits.find((p) => p.type === type) || {}).amount_kes;
+
+test('legacy flat rules split as before', () => {
+  const s = computeSplits({ amount: 100, rules: LEGACY, takeDailyFee: true });
+  assert.deepEqual(s, [
+    { type: 'FARE', amount_kes: 100 },
+    { type: 'SERVICE_FEE', amount_kes: 2.5 },
+    { type: 'SACCO_FEE', amount_kes: 50 },
+    { type: 'SAVINGS', amount_kes: 5 },
+  ]);
+  assert.equal(part(computeSplits({ amount: 100, rules: LEGACY, takeDailyFee: false }), 'SACCO_FEE'), undefined);
+});
+
+test('percent rounds to cents', () => {
+  assert.equal(ruleAmount({ type: 'PERCENT', percent: 5 }, 33.33), 1.67);
+  assert.equal(ruleAmount({ type: 'PERCENT', percent: 2.5 }, 0.01), 0);
+  assert.equal(ruleAmount({ type: 'PERCENT', percent: 0 }, 1000), 0);
+});
+
+test('percent min/max clamp exactly at the edges', () => {
+  const r = { type: 'PERCENT', percent: 10, min_kes: 3, max_kes: 15 };
+  assert.equal(ruleAmount(r, 0), 3);
+  assert.equal(ruleAmount(r, 29.99), 3);
+  assert.equal(ruleAmount(r, 30), 3);
+  assert.equal(ruleAmount(r, 30.1), 3.01);
+  assert.equal(ruleAmount(r, 150), 15);
+  assert.equal(ruleAmount(r, 150.01), 15);
+  assert.equal(ruleAmount(r, 1e6), 15);
+});
+
+test('bands: upper bound is inclusive, above_kes past the last band', () => {
+  const r = { type: 'BANDS', bands: [{ up_to_kes: 50, fee_kes: 1 }, { up_to_kes: 100, fee_kes: 2 }], above_kes: 5 };
+  assert.equal(ruleAmount(r, 0), 1);
+  assert.equal(ruleAmount(r, 50), 1);
+  assert.equal(ruleAmount(r, 50.01), 2);
+  assert.equal(ruleAmount(r, 100), 2);
+  assert.equal(ruleAmount(r, 100.01), 5);
+  const noAbove = { type: 'BANDS', bands: r.bands };
+  assert.equal(ruleAmount(noAbove, 5000), 2);
+});
+
+test('fee_rules override only the components they name', () => {
+  const rules = { ...LEGACY, fee_rules: { service_fee: { type: 'BANDS', bands: [{ up_to_kes: 70, fee_kes: 1.5 }], above_kes: 3 } } };
+  const s = computeSplits({ amount: 80, rules, takeDailyFee: false });
+  assert.equal(part(s, 'SERVICE_FEE'), 3);
+  assert.equal(part(s, 'SAVINGS'), 4); // still 5% from the flat field
+});
+
+test('minimum savings never takes more than the fare; loan gets what is left', () => {
+  const rules = {
+    ...LEGACY,
+    fee_rules: {
+      savings: { type: 'PERCENT', percent: 5, min_kes: 10 },
+      loan_repay: { type: 'FLAT', amount_kes: 20 },
+    },
+  };
+  let s = computeSplits({ amount: 8, rules, takeDailyFee: false });
+  assert.equal(part(s, 'SAVINGS'), 8);
+  assert.equal(part(s, 'LOAN_REPAY'), undefined);
+  s = computeSplits({ amount: 25, rules, takeDailyFee: false });
+  assert.equal(part(s, 'SAVINGS'), 10);
+  assert.equal(part(s, 'LOAN_REPAY'), 15);
+  s = computeSplits({ amount: 500, rules, takeDailyFee: false });
+  assert.equal(part(s, 'SAVINGS'), 25);
+  assert.equal(part(s, 'LOAN_REPAY'), 20);
+});
+
+test('loan repayment stops at what is outstanding on the active loan', () => {
+  const rules = { ...LEGACY, loan_repay_percent: 10 };
+  assert.equal(part(computeSplits({ amount: 100, rules, takeDailyFee: false }), 'LOAN_REPAY'), 10);
+  assert.equal(part(computeSplits({ amount: 100, rules, takeDailyFee: false, loanOutstanding: 3.5 }), 'LOAN_REPAY'), 3.5);
+  assert.equal(part(computeSplits({ amount: 100, rules, takeDailyFee: false, loanOutstanding: 0 }), 'LOAN_REPAY'), undefined);
+  assert.equal(part(computeSplits({ amount: 100, rules, takeDailyFee: false, loanOutstanding: -2 }), 'LOAN_REPAY'), undefined);
+});
+
+test('validation accepts good models', () => {
+  assert.equal(rulesetProblem(LEGACY), null);
+  assert.equal(rulesetProblem({ ...LEGACY, fee_rules: null }), null);
+  assert.equal(rulesetProblem({
+    ...LEGACY,
+    fee_rules: {
+      service_fee: { type: 'BANDS', bands: [{ up_to_kes: 50, fee_kes: 1 }, { up_to_kes: 100, fee_kes: 2 }] },
+      savings: { type: 'PERCENT', percent: 5, min_kes: 2, max_kes: 2 },
+      loan_repay: { type: 'FLAT', amount_kes: 0 },
+    },
+  }), null);
+});
+
+test('validation rejects bad models', () => {
+  const bad = (fee_rules) => rulesetProblem({ ...LEGACY, fee_rules });
+  assert.match(bad([]), /fee_rules must be an object/);
+  assert.match(bad({ daily: { type: 'FLAT', amount_kes: 1 } }), /not a component/);
+  assert.match(bad({ savings: { type: 'TIERED' } }), /type must be one of/);
+  assert.match(bad({ savings: { type: 'FLAT', amount_kes: 1, percent: 2 } }), /percent is not allowed/);
+  assert.match(bad({ savings: { type: 'FLAT', amount_kes: '1' } }), /amount_kes/);
+  assert.match(bad({ savings: { type: 'PERCENT', percent: 100.01 } }), /between 0 and 100/);
+  assert.match(bad({ savings: { type: 'PERCENT', percent: 5, min_kes: 10, max_kes: 5 } }), /min_kes cannot exceed max_kes/);
+  assert.match(bad({ service_fee: { type: 'BANDS', bands: [] } }), /bands must list/);
+  assert.match(bad({ service_fee: { type: 'BANDS', bands: [{ up_to_kes: 0, fee_kes: 1 }] } }), /greater than 0/);
+  assert.match(bad({ service_fee: { type: 'BANDS', bands: [{ up_to_kes: 50, fee_kes: 1 }, { up_to_kes: 50, fee_kes: 2 }] } }), /bands\[1\]\.up_to_kes/);
+  assert.match(bad({ service_fee: { type: 'BANDS', bands: [{ up_to_kes: 50, fee_kes: -1 }] } }), /fee_kes/);
+  assert.match(bad({ savings: { type: 'PERCENT', percent: 60 }, loan_repay: { type: 'PERCENT', percent: 41 } }), /cannot exceed 100/);
+  assert.match(rulesetProblem({ ...LEGACY, savings_percent: -1 }), /savings_percent/);
+});
+
+test('matatu override merges field by field', () => {
+  const sacco = { ...LEGACY, loan_repay_percent: 10, version: 3 };
+  const m = mergeOverride(sacco, { savings_percent: 8, loan_repay_percent: null, fare_fee_flat_kes: null });
+  assert.equal(m.savings_percent, 8);
+  assert.equal(m.loan_repay_percent, 10);
+  assert.equal(m.fare_fee_flat_kes, 2.5);
+  assert.equal(m.version, 3);
+  assert.deepEqual(m.override_fields, ['savings_percent']);
+  assert.deepEqual(mergeOverride(sacco, null).override_fields, []);
+});
+
+test('override flat field replaces the SACCO fee_rules component it covers', () => {
+  const sacco = {
+    ...LEGACY,
+    fee_rules: {
+      service_fee: { type: 'FLAT', amount_kes: 3 },
+      savings: { type: 'PERCENT', percent: 5, min_kes: 2 },
+    },
+  };
+  const m = mergeOverride(sacco, { savings_percent: 12 });
+  assert.deepEqual(m.fee_rules, { service_fee: { type: 'FLAT', amount_kes: 3 } });
+  const s = computeSplits({ amount: 100, rules: m, takeDailyFee: false });
+  assert.equal(part(s, 'SAVINGS'), 12);
+  assert.equal(part(s, 'SERVICE_FEE'), 3);
+
+  const m2 = mergeOverride(sacco, { savings_percent: 12, fee_rules: { savings: { type: 'FLAT', amount_kes: 4 } } });
+  assert.equal(part(computeSplits({ amount: 100, rules: m2, takeDailyFee: false }), 'SAVINGS'), 4);
+  assert.deepEqual(m2.override_fields, ['savings_percent', 'fee_rules.savings']);
+});
+
+test('override validation', () => {
+  assert.equal(overrideProblem({ savings_percent: 0 }), null);
+  assert.equal(overrideProblem({ fee_rules: { loan_repay: { type: 'PERCENT', percent: 20, max_kes: 50 } } }), null);
+  assert.match(overrideProblem({}), /sets no fields/);
+  assert.match(overrideProblem({ savings_percent: null, fee_rules: {} }), /sets no fields/);
+  assert.match(overrideProblem({ loan_repay_percent: -5 }), /loan_repay_percent/);
+  assert.match(overrideProblem({ fee_rules: { savings: { type: 'PERCENT' } } }), /percent must be/);
+  // merged result is checked too (the server does this against the live SACCO rules)
+  assert.match(rulesetProblem(mergeOverride({ ...LEGACY, loan_repay_percent: 50 }, { savings_percent: 60 })), /cannot exceed 100/);
+});
+
+test('replay takes the daily fee once per matatu per day, in time order', () => {
+  const txs = [
+    { matatu_id: 'b', fare_amount_kes: 50, created_at: '2026-03-02T06:00:00Z' },
+    { matatu_id: 'a', fare_amount_kes: 100, created_at: '2026-03-01T09:00:00Z' },
+    { matatu_id: 'a', fare_amount_kes: 100, created_at: '2026-03-01T07:00:00Z' },
+    { matatu_id: 'a', fare_amount_kes: 60, created_at: '2026-03-02T07:00:00Z' },
+  ];
+  const dayOf = (iso) => iso.slice(0, 10);
+  const out = replayTotals({ txs, dayOf, rulesFor: () => LEGACY });
+  assert.deepEqual(out.get('a'), { trips: 3, totals: { FARE: 260, SERVICE_FEE: 7.5, SACCO_FEE: 100, SAVINGS: 13 } });
+  assert.deepEqual(out.get('b'), { trips: 1, totals: { FARE: 50, SERVICE_FEE: 2.5, SACCO_FEE: 50, SAVINGS: 2.5 } });
+
+  const perMatatu = replayTotals({ txs, dayOf, rulesFor: (id) => (id === 'b' ? { ...LEGACY, sacco_daily_fee_kes: 0 } : LEGACY) });
+  assert.equal(perMatatu.get('b').totals.SACCO_FEE, undefined);
+  assert.equal(perMatatu.get('a').totals.SACCO_FEE, 100);
+});
+
+test('replay takes loan repayment only while the matatu still owes', () => {
+  const txs = [
+    { matatu_id: 'a', fare_amount_kes: 100, created_at: '2026-03-01T07:00:00Z' },
+    { matatu_id: 'a', fare_amount_kes: 100, created_at: '2026-03-01T08:00:00Z' },
+    { matatu_id: 'a', fare_amount_kes: 100, created_at: '2026-03-01T09:00:00Z' },
+    { matatu_id: 'b', fare_amount_kes: 100, created_at: '2026-03-01T07:00:00Z' },
+  ];
+  const rules = { ...LEGACY, loan_repay_percent: 10 };
+  const out = replayTotals({ txs, dayOf: (iso) => iso.slice(0, 10), rulesFor: () => rules, loanOutstanding: (id) => (id === 'a' ? 25 : 0) });
+  assert.equal(out.get('a').totals.LOAN_REPAY, 25);
+  assert.equal(out.get('b').totals.LOAN_REPAY, undefined);
+});
+
+test('a C2B amount splits so FARE + SERVICE_FEE is exactly what was paid', () => {
+  const sum = (s) => Math.round((part(s, 'FARE') + part(s, 'SERVICE_FEE')) * 100) / 100;
+  const flat = splitsForCharged({ charged: 80, rules: LEGACY, takeDailyFee: false });
+  assert.equal(part(flat, 'FARE'), 77.5);
+  assert.equal(part(flat, 'SERVICE_FEE'), 2.5);
+  assert.equal(part(flat, 'SAVINGS'), 3.88); // 5% of the fare, not of what was paid
+  const pct = { ...LEGACY, fee_rules: { service_fee: { type: 'PERCENT', percent: 3, min_kes: 1 } } };
+  const bands = { ...LEGACY, fee_rules: { service_fee: { type: 'BANDS', bands: [{ up_to_kes: 50, fee_kes: 1 }, { up_to_kes: 100, fee_kes: 4 }], above_kes: 6 } } };
+  for (const rules of [LEGACY, pct, bands]) {
+    for (const charged of [1, 2, 51, 52, 53, 100, 103, 104.99, 1000]) {
+      const s = splitsForCharged({ charged, rules, takeDailyFee: true });
+      assert.equal(sum(s), charged, `${charged} under ${JSON.stringify(rules.fee_rules || {})}`);
+      assert.ok(part(s, 'FARE') >= 0 && part(s, 'SERVICE_FEE') >= 0);
+    }
+  }
+  // Paying exactly what an STK quote would charge gives back that quote's fare
+  const s = splitsForCharged({ charged: 103, rules: pct, takeDailyFee: false });
+  assert.equal(part(s, 'FARE'), 100);
+  assert.equal(part(s, 'SERVICE_FEE'), 3);
+});
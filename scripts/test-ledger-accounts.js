@@ -0,0 +1,75 @@
+/* scripts/test-ledger-accounts.js — unit tests for ledger-accounts.js (no server needed): node --test scripts/test-ledger-accounts.js */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ACCOUNTS, POSTINGS, balanceOf, totalsFromActivity, trialBalance } = require('../ledger-accounts');
+
+// What account_activity would return for these ledger rows (one matatu, one SACCO)
+function activityFor(entries) {
+  const rows = new Map();
+  const line = (code, debit, credit) => {
+    if (!rows.has(code)) rows.set(code, { code, normal_side: ACCOUNTS[code].normal_side, debit_kes: 0, credit_kes: 0 });
+    const r = rows.get(code);
+    r.debit_kes += debit;
+    r.credit_kes += credit;
+  };
+  for (const e of entries) {
+    line(POSTINGS[e.type].debit, e.amount_kes, 0);
+    line(POSTINGS[e.type].credit, 0, e.amount_kes);
+  }
+  return [...rows.values()];
+}
+
+test('every split type has a posting rule and credits its own account', () => {
+  const credits = Object.values(POSTINGS).map((p) => p.credit);
+  assert.deepEqual(Object.keys(POSTINGS).sort(), ['FARE', 'LOAN_REPAY', 'SACCO_FEE', 'SAVINGS', 'SERVICE_FEE']);
+  assert.equal(new Set(credits).size, credits.length);
+  for (const p of Object.values(POSTINGS)) {
+    assert.ok(ACCOUNTS[p.debit], p.debit);
+    assert.ok(ACCOUNTS[p.credit], p.credit);
+  }
+});
+
+test('one settled fare: totals match the splits and OWNER_PAYABLE is the owner net', () => {
+  const rows = activityFor([
+    { type: 'FARE', amount_kes: 100 },
+    { type: 'SERVICE_FEE', amount_kes: 2.5 },
+    { type: 'SACCO_FEE', amount_kes: 50 },
+    { type: 'SAVINGS', amount_kes: 5 },
+    { type: 'LOAN_REPAY', amount_kes: 10 },
+  ]);
+  assert.deepEqual(totalsFromActivity(rows), {
+    FARE: 100,
+    SERVICE_FEE: 2.5,
+    SACCO_FEE: 50,
+    SAVINGS: 5,
+    LOAN_REPAY: 10,
+    NET_TO_OWNER: 35,
+  });
+  const tb = trialBalance(rows);
+  assert.equal(tb.balanced, true);
+  assert.equal(tb.debit_kes, 167.5);
+  assert.equal(tb.by_code.COLLECTIONS, 102.5);
+  assert.equal(tb.by_code.OWNER_PAYABLE, 35);
+});
+
+test('reversals and debit adjustments net out on the same side', () => {
+  const rows = activityFor([
+    { type: 'FARE', amount_kes: 100 },
+    { type: 'SAVINGS', amount_kes: 5 },
+    { type: 'FARE', amount_kes: -100 }, // REVERSAL
+    { type: 'SAVINGS', amount_kes: -5 }, // REVERSAL
+    { type: 'SACCO_FEE', amount_kes: -20 }, // ADJUSTMENT (DEBIT): refund 20 of fees to the owner
+  ]);
+  const totals = totalsFromActivity(rows);
+  assert.equal(totals.FARE, 0);
+  assert.equal(totals.SAVINGS, 0);
+  assert.equal(totals.SACCO_FEE, -20);
+  assert.equal(totals.NET_TO_OWNER, 20);
+  assert.equal(trialBalance(rows).balanced, true);
+});
+
+test('balanceOf reads the normal side; numeric strings from PostgREST are fine', () => {
+  assert.equal(balanceOf({ normal_side: 'DEBIT', debit_kes: '102.50', credit_kes: '0.00' }), 102.5);
+  assert.equal(balanceOf({ normal_side: 'CREDIT', debit_kes: '65.00', credit_kes: '100.00' }), 35);
+  assert.deepEqual(totalsFromActivity([]), { NET_TO_OWNER: 0 });
+});
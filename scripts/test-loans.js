@@ -0,0 +1,75 @@
+/* scripts/test-loans.js — unit tests for loans.js (no server needed): node --test scripts/test-loans.js */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addMonths, loanSchedule, loanPosition, loanProblem } = require('../loans');
+
+const LOAN = { principal_kes: 1000, interest_percent: 10, installments: 4, frequency: 'WEEKLY', disbursed_on: '2026-03-02' };
+
+test('flat interest, equal weekly instalments from one period after disbursement', () => {
+  const s = loanSchedule(LOAN);
+  assert.equal(s.interest_kes, 100);
+  assert.equal(s.total_due_kes, 1100);
+  assert.deepEqual(s.installments.map((i) => [i.due_date, i.amount_kes]), [
+    ['2026-03-09', 275],
+    ['2026-03-16', 275],
+    ['2026-03-23', 275],
+    ['2026-03-30', 275],
+  ]);
+});
+
+test('the last instalment absorbs rounding', () => {
+  const s = loanSchedule({ ...LOAN, principal_kes: 100, interest_percent: 0, installments: 3, frequency: 'DAILY' });
+  assert.deepEqual(s.installments.map((i) => i.amount_kes), [33.33, 33.33, 33.34]);
+  assert.equal(s.installments[2].cumulative_kes, 100);
+  assert.equal(s.installments[0].due_date, '2026-03-03');
+});
+
+test('monthly dues clamp to the end of shorter months', () => {
+  assert.equal(addMonths('2026-01-31', 1), '2026-02-28');
+  assert.equal(addMonths('2028-01-31', 1), '2028-02-29');
+  assert.equal(addMonths('2026-11-30', 2), '2027-01-30');
+  const s = loanSchedule({ ...LOAN, frequency: 'MONTHLY', disbursed_on: '2026-01-31', installments: 2 });
+  assert.deepEqual(s.installments.map((i) => i.due_date), ['2026-02-28', '2026-03-31']);
+});
+
+test('arrears age from the oldest instalment still short', () => {
+  // Two instalments (550) due by 2026-03-20; 300 repaid → 250 behind since 2026-03-16
+  const p = loanPosition(LOAN, 300, '2026-03-20');
+  assert.equal(p.due_to_date_kes, 550);
+  assert.equal(p.arrears_kes, 250);
+  assert.equal(p.days_in_arrears, 4);
+  assert.equal(p.outstanding_kes, 800);
+  assert.deepEqual(p.schedule.map((i) => [i.status, i.paid_kes]), [
+    ['PAID', 275],
+    ['OVERDUE', 25],
+    ['UPCOMING', 0],
+    ['UPCOMING', 0],
+  ]);
+  assert.deepEqual(p.next_due, { due_date: '2026-03-23', amount_kes: 275 });
+});
+
+test('paying ahead clears arrears; overpayment is reported, never negative outstanding', () => {
+  let p = loanPosition(LOAN, 600, '2026-03-16');
+  assert.equal(p.arrears_kes, 0);
+  assert.equal(p.days_in_arrears, 0);
+  assert.equal(p.schedule[2].status, 'PARTIAL');
+  assert.deepEqual(p.next_due, { due_date: '2026-03-23', amount_kes: 225 });
+  p = loanPosition(LOAN, 1110, '2026-04-30');
+  assert.equal(p.outstanding_kes, 0);
+  assert.equal(p.overpaid_kes, 10);
+  assert.equal(p.next_due, null);
+});
+
+test('the stored total_due_kes wins over recomputing it', () => {
+  assert.equal(loanSchedule({ ...LOAN, total_due_kes: '1100.00' }).total_due_kes, 1100);
+});
+
+test('validation', () => {
+  assert.equal(loanProblem({ principal_kes: 5000, installments: 10 }), null);
+  assert.equal(loanProblem({ principal_kes: 5000, interest_percent: 12.5, installments: 10, frequency: 'MONTHLY', disbursed_on: '2026-03-01' }), null);
+  assert.match(loanProblem({ principal_kes: '5000', installments: 10 }), /principal_kes/);
+  assert.match(loanProblem({ principal_kes: 5000, installments: 1.5 }), /installments/);
+  assert.match(loanProblem({ principal_kes: 5000, installments: 10, interest_percent: 101 }), /interest_percent/);
+  assert.match(loanProblem({ principal_kes: 5000, installments: 10, frequency: 'YEARLY' }), /frequency/);
+  assert.match(loanProblem({ principal_kes: 5000, installments: 10, disbursed_on: '2026-02-30' }), /disbursed_on/);
+});
@@ -0,0 +1,434 @@
+/* scripts/test-payments-flow.js */
+// Needs the app running against the Daraja stand-in:
+//   npm run daraja:sim   (DARAJA_BASE_URL=http://localhost:5055 on the app)
+const { api, step, ok, bad, warn, timestampId, artifacts, writeJUnit, ADMIN_TOKEN } = require('./test-utils');
+const fs = require('fs');
+const { createClient } = require('@supabase/supabase-js');
+
+const bearer = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+const cbToken = process.env.DARAJA_CALLBACK_SECRET ? `?token=${encodeURIComponent(process.env.DARAJA_CALLBACK_SECRET)}` : '';
+const ussdToken = process.env.USSD_CALLBACK_SECRET ? `?token=${encodeURIComponent(process.env.USSD_CALLBACK_SECRET)}` : '';
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const round = (n) => Math.round(Number(n || 0) * 100) / 100;
+// Service-role client for rows the API only ever dates now (optional; steps needing it are skipped)
+const db = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE, { auth: { persistSession: false } })
+  : null;
+// Business day (Nairobi) `n` days before today
+const daysAgo = (n) => new Date(Date.now() + 3 * 3600000 - n * 86400000).toISOString().slice(0, 10);
+
+async function saccoTotals(saccoId) {
+  const r = await api(`/api/sacco/${encodeURIComponent(saccoId)}/summary`);
+  return r.totals || {};
+}
+
+(async () => {
+  const ts = Date.now();
+  const saccoName = timestampId('QA_SACCO_PAY');
+  const plate = `KP${(ts % 100000).toString().padStart(5, '0')}`;
+  const till = String(700000 + (ts % 100000));
+  const passenger = '254712345678';
+
+  let saccoId = null;
+  let matatuId = null;
+  let checkoutId = null;
+  let parkedId = null;
+
+  try {
+    await step('Create SACCO', async () => {
+      const r = await api('/api/admin/register-sacco', { method: 'POST', body: { name: saccoName, contact_name: 'QA Pay' } });
+      saccoId = r.data?.id || r.id;
+      if (!saccoId) throw new Error('No sacco id returned');
+    });
+
+    await step('Create Matatu with till', async () => {
+      const r = await api('/api/admin/register-matatu', {
+        method: 'POST',
+        body: { sacco_id: saccoId, number_plate: plate, owner_name: 'Owner Pay', owner_phone: '254711000001', till_number: till },
+      });
+      matatuId = r.data?.id || r.id;
+      if (!matatuId) throw new Error('No matatu id returned');
+    });
+
+    await step('Upsert Ruleset', async () => {
+      await api('/api/admin/rulesets', {
+        method: 'POST',
+        body: { sacco_id: saccoId, fare_fee_flat_kes: 2.5, savings_percent: 5, sacco_daily_fee_kes: 50, loan_repay_percent: 0 },
+      });
+    });
+
+    await step('Initiate STK Push by till', async () => {
+      const r = await api('/api/payments/stk', { method: 'POST', headers: bearer, body: { passenger_msisdn: '0712345678', till, amount: 100 } });
+      const d = r.data || {};
+      if (d.status !== 'PENDING') throw new Error(`expected PENDING, got ${d.status}`);
+      if (!d.checkout_request_id) throw new Error('no checkout_request_id');
+      if (d.charged_amount_kes !== 103) throw new Error(`expected 103 KES charged, got ${d.charged_amount_kes}`);
+      checkoutId = d.checkout_request_id;
+      artifacts.notes.push({ checkoutId });
+    });
+
+    await step('PENDING row persisted with checkout id', async () => {
+      const r = await api(`/api/sacco/${encodeURIComponent(saccoId)}/transactions?status=PENDING`);
+      const hit = (r.items || []).find((x) => x.passenger_msisdn === passenger);
+      if (!hit) throw new Error('PENDING transaction not found');
+    });
+
+    await step('Sim callback settles SUCCESS with ledger splits', async () => {
+      let hit = null;
+      for (let i = 0; i < 20 && !hit; i++) {
+        await sleep(500);
+        const r = await api(`/api/sacco/${encodeURIComponent(saccoId)}/transactions?status=SUCCESS`);
+        hit = (r.items || []).find((x) => x.passenger_msisdn === passenger);
+      }
+      if (!hit) throw new Error('transaction never reached SUCCESS');
+      if (!hit.mpesa_receipt) throw new Error('no mpesa_receipt on SUCCESS');
+      const t = await saccoTotals(saccoId);
+      if (t.FARE !== 100 || t.SERVICE_FEE !== 2.5 || t.SACCO_FEE !== 50 || t.SAVINGS !== 5) {
+        throw new Error(`unexpected ledger totals ${JSON.stringify(t)}`);
+      }
+    });
+
+    await step('Replayed callback is a no-op', async () => {
+      const before = await saccoTotals(saccoId);
+      await api(`/api/payments/stk/callback${cbToken}`, {
+        method: 'POST',
+        body: { Body: { stkCallback: { CheckoutRequestID: checkoutId, ResultCode: 0, ResultDesc: 'replay', CallbackMetadata: { Item: [] } } } },
+      });
+      const after = await saccoTotals(saccoId);
+      if (JSON.stringify(before) !== JSON.stringify(after)) throw new Error('replay changed the ledger');
+    });
+
+    await step('Forged callback without token is refused', async () => {
+      if (!cbToken) return;
+      let refused = false;
+      try {
+        await api('/api/payments/stk/callback', {
+          method: 'POST',
+          body: { Body: { stkCallback: { CheckoutRequestID: checkoutId, ResultCode: 0 } } },
+        });
+      } catch { refused = true; }
+      if (!refused) throw new Error('callback accepted without token');
+    });
+
+    await step('C2B to an unknown till is rejected at validation', async () => {
+      const r = await api(`/api/payments/c2b/validation${cbToken}`, {
+        method: 'POST',
+        body: { TransID: 'SIMX', TransAmount: '50', BusinessShortCode: '000001', MSISDN: passenger },
+      });
+      if (String(r.ResultCode) === '0') throw new Error('unknown till accepted');
+    });
+
+    await step('C2B confirmation records SUCCESS once', async () => {
+      const transId = `SIM${ts}`;
+      const body = { TransID: transId, TransAmount: '80', BusinessShortCode: till, MSISDN: '254700000777' };
+      const v = await api(`/api/payments/c2b/validation${cbToken}`, { method: 'POST', body });
+      if (String(v.ResultCode) !== '0') throw new Error('known till rejected at validation');
+      const before = await saccoTotals(saccoId);
+      await api(`/api/payments/c2b/confirmation${cbToken}`, { method: 'POST', body });
+      await api(`/api/payments/c2b/confirmation${cbToken}`, { method: 'POST', body }); // re-delivery
+      const after = await saccoTotals(saccoId);
+      // 80 paid = 77.50 fare + 2.50 service fee
+      const paid = round(after.FARE - before.FARE + after.SERVICE_FEE - before.SERVICE_FEE);
+      if (round(after.FARE - before.FARE) !== 77.5 || paid !== 80) throw new Error(`expected +77.50 FARE once, got ${JSON.stringify(after)}`);
+    });
+
+    await step('What-if replay compares current and proposed rules without writing', async () => {
+      const before = await saccoTotals(saccoId);
+      const r = await api(`/api/sacco/${encodeURIComponent(saccoId)}/rulesets/simulate`, {
+        method: 'POST',
+        headers: bearer,
+        body: { proposed: { savings_percent: 10, sacco_daily_fee_kes: 40 } },
+      });
+      const d = r.data || {};
+      if (d.transactions !== 2) throw new Error(`expected 2 SUCCESS fares replayed, got ${d.transactions}`);
+      if (d.diff?.SAVINGS !== 8.87 || d.diff?.SACCO_FEE !== -10 || d.diff?.NET_TO_OWNER !== 1.13) {
+        throw new Error(`unexpected diff ${JSON.stringify(d.diff)}`);
+      }
+      const row = (d.matatus || []).find((m) => m.matatu_id === matatuId);
+      if (!row || row.trips !== 2) throw new Error('per-matatu row missing');
+      const after = await saccoTotals(saccoId);
+      if (JSON.stringify(before) !== JSON.stringify(after)) throw new Error('simulation changed the ledger');
+    });
+
+    await step('Reversal nets the STK transaction out of the summary', async () => {
+      const r = await api(`/api/sacco/${encodeURIComponent(saccoId)}/transactions?status=SUCCESS`);
+      const tx = (r.items || []).find((x) => x.passenger_msisdn === passenger);
+      const before = await saccoTotals(saccoId);
+      const rev = await api(`/api/admin/transactions/${encodeURIComponent(tx.id)}/reverse`, { method: 'POST', body: { reason: 'QA double charge' } });
+      if (!(rev.data?.reversed_entries > 0)) throw new Error('no reversal rows written');
+      const after = await saccoTotals(saccoId);
+      if (round(before.FARE - after.FARE) !== 100 || round(before.SACCO_FEE - after.SACCO_FEE) !== 50) {
+        throw new Error(`reversal did not net out: ${JSON.stringify(after)}`);
+      }
+      let refused = false;
+      try {
+        await api(`/api/admin/transactions/${encodeURIComponent(tx.id)}/reverse`, { method: 'POST', body: { reason: 'again' } });
+      } catch { refused = true; }
+      if (!refused) throw new Error('second reversal accepted');
+    });
+
+    await step('Manual adjustments need a reason and net correctly', async () => {
+      let refused = false;
+      try {
+        await api('/api/admin/ledger/adjustments', { method: 'POST', body: { sacco_id: saccoId, matatu_id: matatuId, type: 'FARE', direction: 'CREDIT', amount_kes: 10 } });
+      } catch { refused = true; }
+      if (!refused) throw new Error('adjustment without reason accepted');
+      const before = await saccoTotals(saccoId);
+      const adj = { sacco_id: saccoId, matatu_id: matatuId, type: 'FARE', amount_kes: 30, reason: 'QA conductor keyed 50 not 80' };
+      await api('/api/admin/ledger/adjustments', { method: 'POST', body: { ...adj, direction: 'DEBIT' } });
+      const after = await saccoTotals(saccoId);
+      if (round(before.FARE - after.FARE) !== 30 || round(before.NET_TO_OWNER - after.NET_TO_OWNER) !== 30) {
+        throw new Error(`debit did not net: ${JSON.stringify(after)}`);
+      }
+    });
+
+    await step('Account balances post double-entry and agree with the summary', async () => {
+      const totals = await saccoTotals(saccoId);
+      const r = await api(`/api/sacco/${encodeURIComponent(saccoId)}/accounts`, { headers: bearer });
+      if (!r.totals?.balanced) throw new Error(`debits ${r.totals?.debit_kes} != credits ${r.totals?.credit_kes}`);
+      const payable = (r.items || []).filter((a) => a.matatu_id === matatuId && a.code === 'OWNER_PAYABLE');
+      if (payable.length !== 1 || round(payable[0].balance_kes) !== round(totals.NET_TO_OWNER)) {
+        throw new Error(`OWNER_PAYABLE ${JSON.stringify(payable)} vs NET_TO_OWNER ${totals.NET_TO_OWNER}`);
+      }
+      const old = await api(`/api/admin/accounts?sacco_id=${encodeURIComponent(saccoId)}&as_of=2000-01-01`);
+      if (old.count !== 0) throw new Error(`balances before the SACCO existed: ${old.count}`);
+    });
+
+    await step('Savings withdrawal needs approval and is capped by the balance', async () => {
+      const path = `/api/matatu/${encodeURIComponent(matatuId)}/savings`;
+      const before = (await api(path, { headers: bearer })).data;
+      if (!(before.balance_kes >= 1)) throw new Error(`expected savings from the C2B fare, got ${before.balance_kes}`);
+      let refused = false;
+      try {
+        await api(`${path}/withdrawals`, { method: 'POST', headers: bearer, body: { amount_kes: before.available_kes + 1 } });
+      } catch { refused = true; }
+      if (!refused) throw new Error('withdrawal above the balance accepted');
+
+      const w = (await api(`${path}/withdrawals`, { method: 'POST', headers: bearer, body: { amount_kes: 1, note: 'QA' } })).data;
+      const pending = (await api(path, { headers: bearer })).data;
+      if (pending.balance_kes !== before.balance_kes || pending.pending_kes !== 1) throw new Error(`request moved money: ${JSON.stringify(pending)}`);
+
+      const approve = `/api/sacco/${encodeURIComponent(saccoId)}/savings/withdrawals/${encodeURIComponent(w.id)}/approve`;
+      const a = (await api(approve, { method: 'POST', headers: bearer })).data;
+      if (round(a.balance_kes) !== round(before.balance_kes - 1)) throw new Error(`balance after approval ${a.balance_kes}`);
+      refused = false;
+      try { await api(approve, { method: 'POST', headers: bearer }); } catch { refused = true; }
+      if (!refused) throw new Error('withdrawal approved twice');
+
+      const st = (await api(`${path}/statement`, { headers: bearer })).data;
+      const last = st.items[st.items.length - 1];
+      if (last?.kind !== 'WITHDRAWAL' || last.amount_kes !== -1 || st.closing_balance_kes !== a.balance_kes) {
+        throw new Error(`statement does not end with the withdrawal: ${JSON.stringify(st)}`);
+      }
+    });
+
+    await step('LOAN_REPAY pays down the active loan and stops once repaid', async () => {
+      const loansPath = `/api/sacco/${encodeURIComponent(saccoId)}/loans`;
+      const disbursed = new Date(Date.now() - 5 * 86400000).toISOString().slice(0, 10);
+      const loan = (await api(loansPath, { method: 'POST', headers: bearer, body: { matatu_id: matatuId, principal_kes: 10, installments: 2, frequency: 'DAILY', disbursed_on: disbursed } })).data;
+      if (loan.arrears_kes !== 10 || !(loan.days_in_arrears > 0)) throw new Error(`expected 10 KES in arrears: ${JSON.stringify(loan)}`);
+      let refused = false;
+      try {
+        await api(loansPath, { method: 'POST', headers: bearer, body: { matatu_id: matatuId, principal_kes: 5, installments: 1 } });
+      } catch { refused = true; }
+      if (!refused) throw new Error('second active loan accepted');
+
+      const quote = async () => {
+        const r = await api('/api/fees/quote', { method: 'POST', body: { sacco_id: saccoId, matatu_id: matatuId, amount: 100 } });
+        return (r.splits.find((p) => p.type === 'LOAN_REPAY') || {}).amount_kes || 0;
+      };
+      await api(`/api/admin/matatus/${encodeURIComponent(matatuId)}/ruleset-override`, { method: 'POST', body: { loan_repay_percent: 50 } });
+      try {
+        if ((await quote()) !== 10) throw new Error('LOAN_REPAY not capped at the outstanding balance');
+        // Cash repaid at the office: a LOAN_REPAY credit is tagged with the active loan
+        await api('/api/admin/ledger/adjustments', {
+          method: 'POST',
+          body: { sacco_id: saccoId, matatu_id: matatuId, type: 'LOAN_REPAY', direction: 'CREDIT', amount_kes: 10, reason: 'QA cash repayment' },
+        });
+        const mine = (await api(`/api/matatu/${encodeURIComponent(matatuId)}/loans`, { headers: bearer })).items[0];
+        if (mine.status !== 'REPAID' || mine.outstanding_kes !== 0 || mine.arrears_kes !== 0) throw new Error(`loan not repaid: ${JSON.stringify(mine)}`);
+        if ((await quote()) !== 0) throw new Error('LOAN_REPAY still taken after the loan was repaid');
+        const st = (await api(`/api/matatu/${encodeURIComponent(matatuId)}/loans/${encodeURIComponent(loan.id)}/statement`, { headers: bearer })).data;
+        if (st.opening_balance_kes !== 10 || st.closing_balance_kes !== 0 || st.items.length !== 1) throw new Error(`bad statement: ${JSON.stringify(st)}`);
+      } finally {
+        await api(`/api/admin/matatus/${encodeURIComponent(matatuId)}/ruleset-override`, { method: 'DELETE' });
+      }
+    });
+
+    await step('Settlement previews today and closes only ended days, once', async () => {
+      const path = `/api/admin/settlements?sacco_id=${encodeURIComponent(saccoId)}`;
+      const totals = await saccoTotals(saccoId);
+      const today = (await api(`${path}&date=${new Date().toISOString()}`)).data;
+      if (today.status !== 'OPEN' || round(today.totals.NET_TO_OWNER) !== round(totals.NET_TO_OWNER) || round(today.owed.platform_kes) !== round(totals.SERVICE_FEE)) {
+        throw new Error(`preview ${JSON.stringify(today.totals)} vs summary ${JSON.stringify(totals)}`);
+      }
+      const close = (date) => api('/api/admin/settlements/close', { method: 'POST', body: { sacco_id: saccoId, date } });
+      let refused = false;
+      try { await close(today.day); } catch { refused = true; }
+      if (!refused) throw new Error('closed a business day that has not ended');
+
+      const yesterday = new Date(Date.parse(`${today.day}T12:00:00Z`) - 86400000).toISOString().slice(0, 10);
+      const closed = (await close(yesterday)).data;
+      if (closed.status !== 'CLOSED' || closed.day !== yesterday) throw new Error(`bad close: ${JSON.stringify(closed)}`);
+      refused = false;
+      try { await close(yesterday); } catch { refused = true; }
+      if (!refused) throw new Error('closed the same day twice');
+      const list = await api(path);
+      if (list.count !== 1 || list.items[0].day !== yesterday) throw new Error(`closed days: ${JSON.stringify(list.items)}`);
+    });
+
+    await step('A matatu with loan repayments on a closed day can still be deleted', async () => {
+      if (!db) { warn('SUPABASE_SERVICE_ROLE not set – skipped closed-day delete'); return; }
+      const r = await api('/api/admin/register-matatu', {
+        method: 'POST',
+        body: { sacco_id: saccoId, number_plate: `KL${(ts % 100000).toString().padStart(5, '0')}`, owner_name: 'Owner Loan', owner_phone: '254711000003' },
+      });
+      let id = r.data?.id || r.id;
+      try {
+        const day = daysAgo(2);
+        await api(`/api/sacco/${encodeURIComponent(saccoId)}/loans`, { method: 'POST', headers: bearer, body: { matatu_id: id, principal_kes: 10, installments: 1, disbursed_on: day } });
+        // The repayment lands on a day that is still open, then that day is closed
+        const { error } = await db.from('ledger_entries').insert([{
+          sacco_id: saccoId, matatu_id: id, type: 'LOAN_REPAY', amount_kes: 5, kind: 'ADJUSTMENT', reason: 'QA repayment', created_at: `${day}T09:00:00+03:00`,
+        }]);
+        if (error) throw new Error(`backdated repayment: ${error.message}`);
+        await api('/api/admin/settlements/close', { method: 'POST', body: { sacco_id: saccoId, date: day } });
+        await api(`/api/admin/delete-matatu/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        id = null;
+      } finally {
+        if (id) try { await api(`/api/admin/delete-matatu/${encodeURIComponent(id)}`, { method: 'DELETE' }); } catch {}
+      }
+    });
+
+    await step('A draft payout batch can be cancelled and its period paid again', async () => {
+      if (!db) { warn('SUPABASE_SERVICE_ROLE not set – skipped payout batch cancel'); return; }
+      const day = daysAgo(3);
+      const { error } = await db.from('ledger_entries').insert([{
+        sacco_id: saccoId, matatu_id: matatuId, type: 'FARE', amount_kes: 100, kind: 'ADJUSTMENT', reason: 'QA fare to pay out', created_at: `${day}T09:00:00+03:00`,
+      }]);
+      if (error) throw new Error(`backdated fare: ${error.message}`);
+      const batches = `/api/sacco/${encodeURIComponent(saccoId)}/payouts/batches`;
+      const create = () => api(batches, { method: 'POST', headers: bearer, body: { from: day, to: day } });
+      const first = (await create()).data;
+      if (first.payouts.length !== 1 || first.payouts[0].amount_kes !== 100) throw new Error(`unexpected batch: ${JSON.stringify(first.payouts)}`);
+      let refused = false;
+      try { await create(); } catch { refused = true; }
+      if (!refused) throw new Error('period paid twice while the draft is live');
+
+      const cancel = (id) => api(`${batches}/${encodeURIComponent(id)}/cancel`, { method: 'POST', headers: bearer });
+      const c = (await cancel(first.batch.id)).data;
+      if (c.batch.status !== 'CANCELLED' || c.cancelled !== 1) throw new Error(`bad cancel: ${JSON.stringify(c)}`);
+      refused = false;
+      try { await cancel(first.batch.id); } catch { refused = true; }
+      if (!refused) throw new Error('batch cancelled twice');
+
+      const second = (await create()).data;
+      if (second.payouts.length !== 1) throw new Error('cancelled batch still holds the period');
+      await cancel(second.batch.id);
+    });
+
+    await step('Daily fee arrears follow the SACCO_FEE taken today', async () => {
+      const totals = await saccoTotals(saccoId);
+      const today = new Date().toISOString();
+      const path = `/api/matatu/${encodeURIComponent(matatuId)}/fees/arrears`;
+      const a = (await api(`${path}?from=${today}&to=${today}`, { headers: bearer })).data;
+      const owed = round(Math.max(50 - (totals.SACCO_FEE || 0), 0));
+      if (a.days_due !== 1 || a.arrears_kes !== owed) throw new Error(`expected ${owed} owed today: ${JSON.stringify(a)}`);
+      const before = (await api(path, { headers: bearer })).data;
+      if (before.days_due !== 0) throw new Error(`fees due before the matatu was registered: ${JSON.stringify(before)}`);
+      const d = await api(`/api/sacco/${encodeURIComponent(saccoId)}/fees/defaulters?from=${today}&to=${today}`, { headers: bearer });
+      if (d.items.some((x) => x.matatu_id === matatuId) !== owed > 0) throw new Error(`defaulters: ${JSON.stringify(d.items)}`);
+    });
+
+    await step('A parked matatu keeps the fee it already owes', async () => {
+      const r = await api('/api/admin/register-matatu', {
+        method: 'POST',
+        body: { sacco_id: saccoId, number_plate: `KQ${(ts % 100000).toString().padStart(5, '0')}`, owner_name: 'Owner Parked', owner_phone: '254711000002' },
+      });
+      parkedId = r.data?.id || r.id;
+      await api('/api/admin/update-matatu', { method: 'POST', body: { id: parkedId, active: false } });
+      const today = new Date().toISOString();
+      const d = await api(`/api/sacco/${encodeURIComponent(saccoId)}/fees/defaulters?from=${today}&to=${today}`, { headers: bearer });
+      const row = d.items.find((x) => x.matatu_id === parkedId);
+      if (!row || row.active !== false || row.arrears_kes !== 50) throw new Error(`parked matatu left the defaulters: ${JSON.stringify(d.items)}`);
+    });
+
+    await step('Cash daily fee and the SACCO_FEE split each see the other', async () => {
+      const auto = (await saccoTotals(saccoId)).SACCO_FEE || 0;
+      const record = () => api('/fees/record', { method: 'POST', headers: bearer, body: { matatu_id: matatuId, amount: 50 } });
+      if (auto > 0) {
+        let refused = false;
+        try { await record(); } catch (e) { refused = /already collected/.test(e.message); }
+        if (!refused) throw new Error('cash fee recorded on a day the SACCO_FEE split was taken');
+      } else {
+        await record();
+        const q = await api('/api/fees/quote', { method: 'POST', body: { sacco_id: saccoId, matatu_id: matatuId, amount: 100 } });
+        if (q.splits.some((p) => p.type === 'SACCO_FEE')) throw new Error('SACCO_FEE quoted after the fee was paid in cash');
+      }
+      const r = await api(`/api/sacco/${encodeURIComponent(saccoId)}/fees/reconciliation`, { headers: bearer });
+      if (r.items.some((i) => i.matatu_id === matatuId)) throw new Error(`double collection flagged: ${JSON.stringify(r.items)}`);
+    });
+
+    await step('Transactions and fee reports export as CSV for the same range', async () => {
+      const today = encodeURIComponent(new Date().toISOString());
+      const tx = String((await api(`/api/sacco/${encodeURIComponent(saccoId)}/transactions?format=csv&status=SUCCESS&from=${today}&to=${today}`)).raw || '');
+      const lines = tx.trim().split('\r\n');
+      if (!lines[0].startsWith('Date,Time,Matatu,Passenger')) throw new Error(`unexpected CSV header: ${lines[0]}`);
+      if (!lines.some((l) => l.includes('254700000777') && l.includes(plate))) throw new Error('C2B fare missing from the transactions export');
+      const fees = String((await api('/api/admin/transactions/fees?format=csv')).raw || '');
+      if (!fees.startsWith('Date,Time,SACCO,Matatu,Amount (KES)')) throw new Error(`unexpected fee export: ${fees.slice(0, 80)}`);
+      let refused = false;
+      try { await api('/api/admin/transactions/fees?format=pdf'); } catch (e) { refused = /csv or xlsx/.test(e.message); }
+      if (!refused) throw new Error('unknown export format accepted');
+    });
+
+    await step('USSD code walks the menu to an STK Push', async () => {
+      const av = await api('/api/admin/ussd/pool/available');
+      if (!(av.items || []).length) { warn('No available USSD codes – skipped USSD menu'); return; }
+      const a = await api('/api/admin/ussd/pool/assign-next', { method: 'POST', body: { level: 'MATATU', matatu_id: matatuId } });
+      const serviceCode = a.ussd_code;
+      const sessionId = `qa-${ts}`;
+      const dial = async (text) => (await api(`/api/ussd/callback${ussdToken}`, {
+        method: 'POST',
+        body: { sessionId, serviceCode, phoneNumber: '+254722000555', text },
+      })).raw || '';
+      const screens = [await dial(''), await dial('1'), await dial('1*60'), await dial('1*60*1')];
+      artifacts.notes.push({ serviceCode, screens });
+      if (!screens[0].startsWith('CON') || !screens[0].includes(plate)) throw new Error(`unexpected first screen: ${screens[0]}`);
+      if (!screens[3].startsWith('END')) throw new Error(`menu did not end: ${screens[3]}`);
+      const r = await api(`/api/sacco/${encodeURIComponent(saccoId)}/transactions`);
+      if (!(r.items || []).some((x) => x.passenger_msisdn === '254722000555')) throw new Error('no transaction from USSD session');
+    });
+
+    await step('USSD rejects a code with a bad checksum', async () => {
+      const r = await api(`/api/ussd/callback${ussdToken}`, {
+        method: 'POST',
+        body: { sessionId: `qa-bad-${ts}`, serviceCode: '*001*1235#', phoneNumber: '+254722000555', text: '' },
+      });
+      if (!String(r.raw || '').startsWith('END')) throw new Error('bad checksum not rejected');
+    });
+
+    await step('Reject bad MSISDN', async () => {
+      let rejected = false;
+      try {
+        await api('/api/payments/stk', { method: 'POST', headers: bearer, body: { passenger_msisdn: '12345', matatu_id: matatuId, amount: 50 } });
+      } catch { rejected = true; }
+      if (!rejected) throw new Error('invalid MSISDN accepted');
+    });
+
+    ok('Payments flow — PASSED');
+  } catch (e) {
+    bad(e.message || e);
+    process.exitCode = 1;
+  } finally {
+    try { if (matatuId) await api(`/api/admin/delete-matatu/${encodeURIComponent(matatuId)}`, { method: 'DELETE' }); } catch {}
+    try { if (parkedId) await api(`/api/admin/delete-matatu/${encodeURIComponent(parkedId)}`, { method: 'DELETE' }); } catch {}
+    try { if (saccoId) await api(`/api/admin/delete-sacco/${encodeURIComponent(saccoId)}`, { method: 'DELETE' }); } catch {}
+    try {
+      fs.mkdirSync('artifacts', { recursive: true });
+      fs.writeFileSync('artifacts/payments-flow.json', JSON.stringify(artifacts, null, 2));
+      const { failures } = writeJUnit('payments-flow', 'artifacts/junit-payments.xml');
+      ok(`JUnit saved (payments-flow), failures: ${failures}`);
+    } catch (e) { bad(`Artifacts write failed: ${e.message}`); }
+  }
+})();
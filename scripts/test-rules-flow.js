@@ -87,12 +87,95 @@ const fs = require('fs');
       if (!obj || String(obj.sacco_id) !== String(saccoId)) throw new Error('Ruleset missing or sacco mismatch');
     });
 
+    // 6) Versioning: schedule a change, quote under it, then cancel it
+    let scheduled = null;
+    const future = new Date(Date.now() + 7 * 864e5).toISOString();
+    await step('Schedule a future ruleset version', async () => {
+      const r = await api('/api/admin/rulesets', {
+        method: 'POST',
+        body: { sacco_id: saccoId, savings_percent: 10, effective_from: future, note: 'QA scheduled' },
+      });
+      scheduled = r.data?.rules;
+      if (!scheduled?.version) throw new Error('no version returned');
+      if (Number(scheduled.fare_fee_flat_kes) !== rulesPayload.fare_fee_flat_kes) throw new Error('omitted field did not carry over');
+    });
+
+    await step('Version history shows CURRENT and SCHEDULED', async () => {
+      const r = await api(`/api/admin/rulesets/${encodeURIComponent(saccoId)}/versions`);
+      const states = (r.items || []).map(v => v.state);
+      if (!states.includes('CURRENT') || !states.includes('SCHEDULED')) throw new Error(`states: ${states.join(',')}`);
+      const now = await api(`/api/admin/rulesets/${encodeURIComponent(saccoId)}`);
+      if (Number(now.data?.rules?.savings_percent) !== 5) throw new Error('scheduled version already in effect');
+    });
+
+    await step('Quote resolves the version in effect at the given time', async () => {
+      const later = await api('/api/fees/quote', { method: 'POST', body: { sacco_id: saccoId, amount: 100, at: future } });
+      const savings = (later.splits || []).find(p => p.type === 'SAVINGS');
+      if (later.ruleset?.version !== scheduled.version || Number(savings?.amount_kes) !== 10) throw new Error('quote did not use the scheduled version');
+      const today = await api('/api/fees/quote', { method: 'POST', body: { sacco_id: saccoId, amount: 100 } });
+      if (today.ruleset?.version === scheduled.version) throw new Error('quote for now used the scheduled version');
+    });
+
+    await step('Cancel the scheduled version', async () => {
+      await api(`/api/admin/rulesets/${encodeURIComponent(saccoId)}/versions/${scheduled.version}`, { method: 'DELETE' });
+      const r = await api(`/api/admin/rulesets/${encodeURIComponent(saccoId)}/versions`);
+      if ((r.items || []).some(v => v.version === scheduled.version)) throw new Error('scheduled version still listed');
+    });
+
+    await step('Fee rules: bad model refused, bands + capped percent quoted', async () => {
+      let refused = false;
+      try {
+        await api('/api/admin/rulesets', {
+          method: 'POST',
+          body: { sacco_id: saccoId, fee_rules: { service_fee: { type: 'BANDS', bands: [{ up_to_kes: 100, fee_kes: 2 }, { up_to_kes: 50, fee_kes: 1 }] } } },
+        });
+      } catch (e) { refused = /up_to_kes/.test(e.message); }
+      if (!refused) throw new Error('descending bands were accepted');
+
+      await api('/api/admin/rulesets', {
+        method: 'POST',
+        body: {
+          sacco_id: saccoId,
+          note: 'QA fee rules',
+          fee_rules: {
+            service_fee: { type: 'BANDS', bands: [{ up_to_kes: 50, fee_kes: 1 }, { up_to_kes: 100, fee_kes: 2 }], above_kes: 5 },
+            savings: { type: 'PERCENT', percent: 10, min_kes: 3, max_kes: 15 },
+          },
+        },
+      });
+      const fee = (q) => Number((q.splits || []).find(p => p.type === 'SERVICE_FEE')?.amount_kes);
+      const sav = (q) => Number((q.splits || []).find(p => p.type === 'SAVINGS')?.amount_kes);
+      const q = async (amount) => api('/api/fees/quote', { method: 'POST', body: { sacco_id: saccoId, amount } });
+      const [q20, q100, q300] = [await q(20), await q(100), await q(300)];
+      if (fee(q20) !== 1 || fee(q100) !== 2 || fee(q300) !== 5) throw new Error(`band fees ${fee(q20)}/${fee(q100)}/${fee(q300)}`);
+      if (sav(q20) !== 3 || sav(q100) !== 10 || sav(q300) !== 15) throw new Error(`savings ${sav(q20)}/${sav(q100)}/${sav(q300)}`);
+    });
+
+    await step('Per-matatu override: set, quote, list, clear', async () => {
+      if (!matatuId) { warn('Skipping overrides (no matatuId)'); return; }
+      const m = encodeURIComponent(matatuId);
+      const set = await api(`/api/admin/matatus/${m}/ruleset-override`, { method: 'POST', body: { savings_percent: 20, note: 'QA negotiated' } });
+      if (Number(set.data?.rules?.savings_percent) !== 20) throw new Error('override not merged');
+      const savings = async () => {
+        const q = await api('/api/fees/quote', { method: 'POST', body: { sacco_id: saccoId, matatu_id: matatuId, amount: 100 } });
+        return Number((q.splits || []).find(p => p.type === 'SAVINGS')?.amount_kes);
+      };
+      if (await savings() !== 20) throw new Error('quote ignored the matatu override');
+      const list = await api(`/api/admin/rulesets/${encodeURIComponent(saccoId)}/overrides`);
+      const row = (list.items || []).find(o => o.matatu_id === matatuId);
+      if (!row || !row.effective?.override_fields?.includes('savings_percent')) throw new Error('override not listed');
+      await api(`/api/admin/matatus/${m}/ruleset-override`, { method: 'DELETE' });
+      const eff = await api(`/api/admin/matatus/${m}/ruleset`);
+      if (eff.data?.override !== null) throw new Error('override still present after clear');
+      if (await savings() !== 10) throw new Error('quote still uses the cleared override');
+    });
+
     ok('Rules-only flow — PASSED');
   } catch (e) {
     bad(e.message || e);
     process.exitCode = 1;
   } finally {
-    // 6) Cleanup
+    // 7) Cleanup
     try {
       if (matatuId) {
         await api(`/api/admin/delete-matatu/${encodeURIComponent(matatuId)}`, { method: 'DELETE' });
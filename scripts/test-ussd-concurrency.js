@@ -0,0 +1,87 @@
+/* scripts/test-ussd-concurrency.js */
+// Fires allocations at the same time and checks no USSD code is handed out twice.
+// Needs free codes in ussd_pool (npm run seed:ussd-pool).
+const { api, step, ok, bad, warn, timestampId, artifacts, writeJUnit } = require('./test-utils');
+const fs = require('fs');
+
+const N = Number(process.env.USSD_CONCURRENCY || 6);
+
+(async () => {
+  const saccoName = timestampId('QA_SACCO_USSD');
+  const ts = Date.now();
+  let saccoId = null;
+  const matatuIds = [];
+  const codes = [];
+
+  try {
+    await step('Create SACCO and matatus', async () => {
+      const s = await api('/api/admin/register-sacco', { method: 'POST', body: { name: saccoName, contact_name: 'QA USSD' } });
+      saccoId = s.data?.id || s.id;
+      for (let i = 0; i < N + 1; i++) {
+        const plate = `KU${((ts + i) % 100000).toString().padStart(5, '0')}`;
+        const m = await api('/api/admin/register-matatu', { method: 'POST', body: { sacco_id: saccoId, number_plate: plate } });
+        matatuIds.push(m.data?.id || m.id);
+      }
+    });
+
+    const av = await api('/api/admin/ussd/pool/available');
+    if ((av.items || []).length < N + 2) {
+      warn(`Need at least ${N + 2} free codes – skipped concurrency checks`);
+    } else {
+      await step(`${N} parallel assign-next calls get ${N} different codes`, async () => {
+        const results = await Promise.allSettled(
+          matatuIds.slice(0, N).map((id) => api('/api/admin/ussd/pool/assign-next', { method: 'POST', body: { level: 'MATATU', matatu_id: id } }))
+        );
+        const got = results.filter((r) => r.status === 'fulfilled').map((r) => r.value.ussd_code);
+        codes.push(...got);
+        if (got.length !== N) throw new Error(`only ${got.length}/${N} allocations succeeded`);
+        if (new Set(got).size !== got.length) throw new Error(`duplicate codes handed out: ${got.join(', ')}`);
+      });
+
+      await step('Parallel binds of one code: exactly one wins', async () => {
+        const pick = (await api('/api/admin/ussd/pool/available')).items[0].full_code;
+        const results = await Promise.allSettled(
+          matatuIds.slice(0, N).map((id) => api('/api/admin/ussd/bind-from-pool', { method: 'POST', body: { level: 'MATATU', matatu_id: id, ussd_code: pick } }))
+        );
+        const wins = results.filter((r) => r.status === 'fulfilled').length;
+        if (wins === 1) codes.push(pick);
+        if (wins !== 1) throw new Error(`${wins} binds of ${pick} succeeded`);
+      });
+
+      await step('Reserved code is skipped by assign-next and claimed with its reservation', async () => {
+        const hold = (await api('/api/admin/ussd/pool/reserve', { method: 'POST', body: { ttl_seconds: 60 } })).data;
+        const listed = (await api('/api/admin/ussd/pool/available')).items.some((x) => x.full_code === hold.ussd_code);
+        if (listed) throw new Error('reserved code still listed as available');
+        const other = await api('/api/admin/ussd/pool/assign-next', { method: 'POST', body: { level: 'MATATU', matatu_id: matatuIds[N] } });
+        codes.push(other.ussd_code);
+        if (other.ussd_code === hold.ussd_code) throw new Error('assign-next took a reserved code');
+        const mine = await api('/api/admin/ussd/pool/assign-next', {
+          method: 'POST',
+          body: { level: 'MATATU', matatu_id: matatuIds[N], reservation_id: hold.reservation_id },
+        });
+        codes.push(mine.ussd_code);
+        if (mine.ussd_code !== hold.ussd_code) throw new Error(`expected ${hold.ussd_code}, got ${mine.ussd_code}`);
+      });
+    }
+
+    ok('USSD concurrency — PASSED');
+  } catch (e) {
+    bad(e.message || e);
+    process.exitCode = 1;
+  } finally {
+    for (const code of codes) {
+      try { await api('/api/admin/ussd/release', { method: 'POST', body: { ussd_code: code, reason: 'QA cleanup' } }); } catch {}
+    }
+    for (const id of matatuIds) {
+      try { await api(`/api/admin/delete-matatu/${encodeURIComponent(id)}`, { method: 'DELETE' }); } catch {}
+    }
+    try { if (saccoId) await api(`/api/admin/delete-sacco/${encodeURIComponent(saccoId)}`, { method: 'DELETE' }); } catch {}
+    try {
+      fs.mkdirSync('artifacts', { recursive: true });
+      artifacts.assignedCodes.push(...codes);
+      fs.writeFileSync('artifacts/ussd-concurrency.json', JSON.stringify(artifacts, null, 2));
+      const { failures } = writeJUnit('ussd-concurrency', 'artifacts/junit-ussd-concurrency.xml');
+      ok(`JUnit saved (ussd-concurrency), failures: ${failures}`);
+    } catch (e) { bad(`Artifacts write failed: ${e.message}`); }
+  }
+})();
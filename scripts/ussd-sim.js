@@ -0,0 +1,71 @@
+/* scripts/ussd-sim.js */
+// Local stand-in for an Africa's Talking USSD gateway: dials a code against the app's
+// /api/ussd/callback and walks the menu like a handset would.
+//
+//   npm run ussd:sim -- '*001*1234#'                       (interactive)
+//   npm run ussd:sim -- '*001*1234#' --phone 0712345678 --inputs 1,100,1
+//
+// Env: BASE_URL (default http://localhost:5001), USSD_CALLBACK_SECRET, USSD_PREFIX (*001*).
+require('dotenv').config();
+const readline = require('readline');
+const { randomUUID } = require('crypto');
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5001';
+const PREFIX = process.env.USSD_PREFIX || '*001*';
+
+function arg(name, fallback = '') {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+// '*001*1234#' dials the pool code directly; '*001#' opens the shared menu
+function serviceCodeFor(dial) {
+  const d = String(dial || `${PREFIX.replace(/\*$/, '')}#`).trim();
+  return d.endsWith('#') ? d : `${d}#`;
+}
+
+async function send({ sessionId, serviceCode, phoneNumber, text }) {
+  const url = new URL('/api/ussd/callback', BASE_URL);
+  if (process.env.USSD_CALLBACK_SECRET) url.searchParams.set('token', process.env.USSD_CALLBACK_SECRET);
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ sessionId, serviceCode, phoneNumber, networkCode: '63902', text }).toString(),
+  });
+  return (await r.text()).trim();
+}
+
+async function run() {
+  const dial = process.argv.slice(2).find((a) => !a.startsWith('--') && /^\*/.test(a));
+  const serviceCode = serviceCodeFor(dial);
+  const phoneNumber = arg('phone', '+254712345678');
+  const scripted = arg('inputs') ? arg('inputs').split(',') : null;
+  const sessionId = `sim-${randomUUID()}`;
+  const inputs = [];
+  const rl = scripted ? null : readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (q) => new Promise((resolve) => rl.question(q, resolve));
+
+  console.log(`[ussd-sim] ${phoneNumber} dials ${serviceCode} (session ${sessionId})`);
+  try {
+    for (;;) {
+      const screen = await send({ sessionId, serviceCode, phoneNumber, text: inputs.join('*') });
+      console.log(`\n${screen.replace(/^(CON|END) /, '')}`);
+      if (!screen.startsWith('CON')) return screen;
+      const next = scripted ? scripted.shift() : await ask('> ');
+      if (next === undefined) throw new Error('ran out of scripted inputs with the session still open');
+      if (scripted) console.log(`> ${next}`);
+      inputs.push(String(next).trim());
+    }
+  } finally {
+    if (rl) rl.close();
+  }
+}
+
+if (require.main === module) {
+  run().catch((e) => {
+    console.error(`[ussd-sim] ${e.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { send, serviceCodeFor };
@@ -11,7 +11,14 @@ const jwt = require('jsonwebtoken');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
-const { randomUUID } = require('crypto');
+const QRCode = require('qrcode');
+const { randomUUID, timingSafeEqual, createHash } = require('crypto');
+const { computeSplits, splitsForCharged, replayTotals, rulesetProblem, mergeOverride, overrideProblem } = require('./fee-rules');
+const { DEFAULT_TZ, isValidTz, businessDay, businessTime, addDays, dayStart, toDay } = require('./business-day');
+const { balanceOf, totalsFromActivity, trialBalance } = require('./ledger-accounts');
+const { loanPosition, loanProblem } = require('./loans');
+const { activeOn, dayRange, feeArrears, feeSplitKes, overrideOn, placeFeeRefunds, sumArrears } = require('./fee-arrears');
+const { EXPORT_FORMATS, toCsv, writeExport } = require('./export-writer');
 
 // ---- Env (no secrets logged) ----
 const {
@@ -25,6 +32,26 @@ const {
   APP_URL = '',
   API_URL = '',
   PRETTY_LOGS = '0',
+  DARAJA_BASE_URL = 'https://sandbox.safaricom.co.ke',
+  DARAJA_CONSUMER_KEY = '',
+  DARAJA_CONSUMER_SECRET = '',
+  DARAJA_SHORTCODE = '',
+  DARAJA_PASSKEY = '',
+  DARAJA_CALLBACK_URL = '',
+  DARAJA_CALLBACK_SECRET = '',
+  DARAJA_CALLBACK_IPS = '',
+  TRUST_PROXY = '',
+  DARAJA_B2C_SHORTCODE = '',
+  DARAJA_B2C_INITIATOR = '',
+  DARAJA_B2C_SECURITY_CREDENTIAL = '',
+  USSD_CALLBACK_SECRET = '',
+  USSD_PREFIX = '*001*',
+  USSD_POOL_LOW_WATERMARK = '20',
+  BUSINESS_TZ = DEFAULT_TZ,
+  PENDING_SWEEP_MIN_AGE_SECONDS = '120',
+  PENDING_TIMEOUT_SECONDS = '900',
+  PENDING_SWEEP_INTERVAL_MS = '60000',
+  PENDING_SWEEP_BATCH = '50',
 } = process.env;
 
 // ---- Global fetch fallback (Node < 18) ----
@@ -79,6 +106,8 @@ function getSbFor(req) {
 
 // ---- Express app ----
 const app = express();
+// Behind Vercel/Render set TRUST_PROXY (e.g. 1) so req.ip is the client, not the LB
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 app.use(compression());
 app.use(
   helmet({
@@ -101,9 +130,9 @@ app.use(
       return cb(new Error('Not allowed by CORS: ' + origin));
     },
     credentials: true,
-    exposedHeaders: ['X-Request-ID', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+    exposedHeaders: ['X-Request-ID', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Idempotent-Replayed'],
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-token'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-token', 'Idempotency-Key'],
   })
 );
 
@@ -129,54 +158,146 @@ const pretty = PRETTY_LOGS === '1' && NODE_ENV !== 'production';
 function minimalReqHeaders(h) {
   return { host: h.host, 'user-agent': h['user-agent'], 'x-request-id': h['x-request-id'], origin: h.origin, referer: h.referer };
 }
-app.use(
-  pinoHttp({
-    autoLogging: { ignore: (req) => req.url === '/ping' },
-    customProps: (req, res) => ({
-      request_id: req.id,
-      user_id: req.user?.id || null,
-      route: req.route?.path || null,
-      statusCode: res.statusCode,
-    }),
-    transport: pretty ? { target: 'pino-pretty', options: { colorize: true, translateTime: true, singleLine: true } } : undefined,
-    serializers: {
-      req(req) {
-        return { method: req.method, url: req.url, id: req.id, headers: minimalReqHeaders(req.headers) };
-      },
-      res(res) {
-        return { statusCode: res.statusCode };
-      },
+const httpLogger = pinoHttp({
+  autoLogging: { ignore: (req) => req.url === '/ping' },
+  customProps: (req, res) => ({
+    request_id: req.id,
+    user_id: req.user?.id || null,
+    route: req.route?.path || null,
+    statusCode: res.statusCode,
+  }),
+  transport: pretty ? { target: 'pino-pretty', options: { colorize: true, translateTime: true, singleLine: true } } : undefined,
+  serializers: {
+    req(req) {
+      return { method: req.method, url: req.url, id: req.id, headers: minimalReqHeaders(req.headers) };
     },
-  })
-);
+    res(res) {
+      return { statusCode: res.statusCode };
+    },
+  },
+});
+app.use(httpLogger);
 
 // ---- Tiny helpers ----
 const ok = (res, data) => res.json({ success: true, data });
 const fail = (res, status, msg) => res.status(status).json({ success: false, error: msg });
 const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
-const startOfDayISO = (d = new Date()) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).toISOString();
-const endOfDayISO = (d = new Date()) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).toISOString();
+// Days are business days in BIZ_TZ (see business-day.js), never the server's local/UTC day.
+// An unusable zone falls back to the default rather than crashing at import.
+const BIZ_TZ = isValidTz(BUSINESS_TZ) ? BUSINESS_TZ : DEFAULT_TZ;
+if (BIZ_TZ !== BUSINESS_TZ) console.warn(`[env] BUSINESS_TZ "${BUSINESS_TZ}" is not a known time zone; using ${DEFAULT_TZ}`);
+const bizDay = (d = new Date()) => businessDay(d, BIZ_TZ);
+const bizTime = (d = new Date()) => businessTime(d, BIZ_TZ);
+// Date, timestamp or 'YYYY-MM-DD' → business day; bad input is a 400 for handlers that honour err.status
+function dayOfParam(v) {
+  const day = toDay(v, BIZ_TZ);
+  if (!day) throw Object.assign(new Error(`invalid date: ${v}`), { status: 400 });
+  return day;
+}
+const startOfDayISO = (d = new Date()) => dayStart(dayOfParam(d), BIZ_TZ);
+const endOfDayISO = (d = new Date()) => dayStart(addDays(dayOfParam(d), 1), BIZ_TZ);
+const isUuid = (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(v || ''));
 const getCount = (resp) => (Number.isFinite(resp?.count) ? resp.count : 0);
+// PostgREST caps a select at 1000 rows; page through with a fresh query per page.
+// build() must order on something unique (e.g. created_at then id) or pages can overlap.
+async function* pagesOf(build, pageSize = 1000) {
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await build().range(from, from + pageSize - 1);
+    if (error) throw error;
+    yield data || [];
+    if (!data || data.length < pageSize) return;
+  }
+}
+async function fetchAll(build, pageSize = 1000) {
+  const out = [];
+  for await (const page of pagesOf(build, pageSize)) out.push(...page);
+  return out;
+}
 function sanitizeErr(e) {
   const m = e && e.message ? String(e.message) : 'Unexpected error';
   return m.length > 300 ? m.slice(0, 300) + '…' : m;
 }
+// ?from&to or ?date (business days, inclusive) → [from, to) instants; default today
 function parseRange(q) {
-  if (q.from || q.to) {
-    const from = q.from ? new Date(q.from) : new Date();
-    const to = q.to ? new Date(q.to) : new Date();
-    return { from: startOfDayISO(from), to: endOfDayISO(to) };
+  if (q.from || q.to) return { from: startOfDayISO(q.from || new Date()), to: endOfDayISO(q.to || new Date()) };
+  if (q.date) return { from: startOfDayISO(q.date), to: endOfDayISO(q.date) };
+  return { from: startOfDayISO(), to: endOfDayISO() };
+}
+// ?limit&offset → whole numbers within bounds; missing or non-numeric values take the defaults
+function pageParams(q, { limit = 50, max = 200 } = {}) {
+  const int = (v, d) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) ? n : d;
+  };
+  return { limit: Math.min(Math.max(int(q.limit, limit), 1), max), offset: Math.max(int(q.offset, 0), 0) };
+}
+// parseRange() result → "YYYY-MM-DD_YYYY-MM-DD" (inclusive business days) for export filenames
+const rangeName = ({ from, to }) => `${bizDay(from)}_${addDays(bizDay(to), -1)}`;
+// ?format=csv|xlsx turns a report into a download; null keeps the JSON response
+function exportFormat(q) {
+  const format = String(q.format || '').toLowerCase();
+  if (!format || format === 'json') return null;
+  if (!EXPORT_FORMATS[format]) throw Object.assign(new Error('format must be csv or xlsx'), { status: 400 });
+  return format;
+}
+// Streams `rows`, or `pages` (an async iterable of row arrays, e.g. pagesOf) as a download.
+// The first page is fetched before any header goes out, so a failing query still answers with
+// JSON; after that an error can only cut the download short.
+async function sendExport(req, res, format, { filename, columns, sheet, rows, pages, map = (r) => r }) {
+  let source = [(rows || []).map(map)];
+  if (pages) {
+    const it = pages[Symbol.asyncIterator]();
+    const first = await it.next();
+    source = (async function* () {
+      for (let n = first; !n.done; n = await it.next()) yield n.value.map(map);
+    })();
+  }
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${String(filename).replace(/[^\w.-]/g, '_')}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    await writeExport(res, format, columns, source, { sheet });
+  } catch (err) {
+    req.log?.error({ err: sanitizeErr(err), filename }, 'export failed mid-stream');
+    res.destroy(err);
   }
-  if (q.date) {
-    const d = new Date(q.date);
-    return { from: startOfDayISO(d), to: endOfDayISO(d) };
+}
+// Minimal RFC 4180 CSV (quoted cells, embedded commas/quotes/newlines)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += c;
   }
-  return { from: startOfDayISO(), to: endOfDayISO() };
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => String(v).trim() !== ''));
 }
 function cutoffDate(days = 30) {
   const n = Math.max(1, Math.min(365, parseInt(days, 10) || 30));
-  const d = new Date(Date.now() - n * 24 * 60 * 60 * 1000);
-  return d.toISOString().slice(0, 10);
+  return addDays(bizDay(), -n);
 }
 function isAdminReq(req) {
   const auth = (req.headers.authorization || '').trim();
@@ -218,11 +339,84 @@ const writeLimiter = rateLimit({ windowMs: 5 * 60 * 1000, max: 60, standardHeade
 const adminLimiter = rateLimit({ windowMs: 60 * 1000, max: 120, standardHeaders: true, legacyHeaders: false });
 app.use('/api/admin', adminLimiter);
 
+// ---- Idempotency-Key (retries from flaky networks) ----
+// Mount after the auth guard. The first request with a key claims it; a replay of the same
+// method+path+body within the retention window gets the stored response back, a different
+// body is rejected with 422. 5xx/429 responses release the key so the client can retry.
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+async function idempotent(req, res, next) {
+  const key = String(req.headers['idempotency-key'] || '').trim();
+  if (!key) return next();
+  if (key.length > 255) return fail(res, 400, 'Idempotency-Key too long (max 255)');
+  await sbReady;
+  if (!sbAdmin) return next();
+
+  const actor = req.user?.id || (isAdminReq(req) ? 'admin' : 'anon');
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = createHash('sha256').update(stableStringify(req.body || {})).digest('hex');
+  const claim = () => sbAdmin.from('idempotency_keys').insert([{ key, actor, scope, request_hash: requestHash }]);
+
+  try {
+    let { error } = await claim();
+    // The conflicting row can be expired or released (5xx) between our insert and this read; claim again then
+    for (let tries = 0; error && error.code === '23505' && tries < 3; tries++) {
+      const { data: prev, error: pErr } = await sbAdmin
+        .from('idempotency_keys')
+        .select('scope,request_hash,status_code,response,created_at')
+        .eq('actor', actor)
+        .eq('key', key)
+        .maybeSingle();
+      if (pErr) throw pErr;
+      const age = prev ? Date.now() - new Date(prev.created_at).getTime() : 0;
+      // A claim that never finished (crash, timeout) is abandoned after a minute
+      if (prev && (age > IDEMPOTENCY_TTL_MS || (prev.status_code == null && age > 60 * 1000))) {
+        await sbAdmin.from('idempotency_keys').delete().eq('actor', actor).eq('key', key).eq('created_at', prev.created_at);
+      } else if (prev) {
+        if (prev.scope !== scope || prev.request_hash !== requestHash) {
+          return fail(res, 422, 'Idempotency-Key was already used with a different request');
+        }
+        if (prev.status_code == null) return fail(res, 409, 'A request with this Idempotency-Key is still in progress');
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(prev.status_code).json(prev.response);
+      }
+      ({ error } = await claim());
+    }
+    if (error) throw error;
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+
+  let body;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+  res.on('finish', () => {
+    const q = sbAdmin.from('idempotency_keys');
+    const done =
+      res.statusCode >= 500 || res.statusCode === 429 || body === undefined
+        ? q.delete().eq('actor', actor).eq('key', key)
+        : q.update({ status_code: res.statusCode, response: body }).eq('actor', actor).eq('key', key);
+    done.then(({ error }) => error && req.log?.warn({ err: error.message, key }, 'idempotency store failed'));
+  });
+  next();
+}
+
 // =======================
 // Health / meta
 // =======================
 app.get('/ping', (_req, res) => res.send('pong'));
-app.get('/health', (_req, res) => res.json({ ok: true, env: NODE_ENV, time: new Date().toISOString() }));
+app.get('/health', (_req, res) =>
+  res.json({ ok: true, env: NODE_ENV, time: new Date().toISOString(), business_tz: BIZ_TZ, business_day: bizDay() })
+);
 app.get('/__health', (_req, res) => {
   return res.json({
     success: true,
@@ -271,6 +465,7 @@ app.get('/metrics/prom', (req, res) => {
   lines.push('# HELP process_uptime_seconds Process uptime in seconds');
   lines.push('# TYPE process_uptime_seconds counter');
   lines.push('process_uptime_seconds ' + Math.floor(process.uptime()));
+  lines.push(...sweeperMetricLines());
   res.setHeader('Content-Type', 'text/plain; version=0.0.4');
   res.send(lines.join('\n') + '\n');
 });
@@ -649,7 +844,7 @@ app.get('/api/admin/matatus', requireAdmin, async (req, res) => {
   }
 });
 
-app.post('/api/admin/register-sacco', requireAdmin, async (req, res) => {
+app.post('/api/admin/register-sacco', requireAdmin, idempotent, async (req, res) => {
   try {
     const { name, contact_name, contact_phone, contact_email, default_till } = req.body || {};
     if (!name) return res.status(400).json({ success: false, error: 'name required' });
@@ -660,6 +855,10 @@ app.post('/api/admin/register-sacco', requireAdmin, async (req, res) => {
       .single();
     if (error) throw error;
     await sbAdmin.from('sacco_settings').upsert({ sacco_id: data.id }).eq('sacco_id', data.id);
+    // Version 1 (defaults, in effect since epoch); without it quotes fall back to sacco_settings
+    await addRulesetVersion(data.id, { ...RULE_DEFAULTS, effective_from: new Date(0).toISOString(), note: 'defaults at registration' }).catch(
+      (e) => req.log?.warn({ err: sanitizeErr(e), sacco_id: data.id }, 'initial ruleset version not created')
+    );
     return ok(res, { id: data.id });
   } catch (err) {
     return fail(res, 500, sanitizeErr(err));
@@ -688,7 +887,7 @@ app.delete('/api/admin/delete-sacco/:id', requireAdmin, async (req, res) => {
   }
 });
 
-app.post('/api/admin/register-matatu', requireAdmin, async (req, res) => {
+app.post('/api/admin/register-matatu', requireAdmin, idempotent, async (req, res) => {
   try {
     const { sacco_id, number_plate, owner_name, owner_phone, vehicle_type, tlb_number, till_number } = req.body || {};
     if (!sacco_id || !number_plate) return res.status(400).json({ success: false, error: 'sacco_id & number_plate required' });
@@ -726,7 +925,7 @@ app.delete('/api/admin/delete-matatu/:id', requireAdmin, async (req, res) => {
   }
 });
 
-app.post('/api/admin/cashier', requireAdmin, async (req, res) => {
+app.post('/api/admin/cashier', requireAdmin, idempotent, async (req, res) => {
   try {
     const { sacco_id, branch_id = null, matatu_id = null, name, phone = null, ussd_code } = req.body || {};
     if (!sacco_id || !name || !ussd_code) return res.status(400).json({ success: false, error: 'sacco_id, name, ussd_code required' });
@@ -738,29 +937,166 @@ app.post('/api/admin/cashier', requireAdmin, async (req, res) => {
   }
 });
 
+// Rulesets are versioned: a change is a new version with an effective_from, never an edit.
+// ?at=<ISO time> shows the version in effect then (default now).
 app.get('/api/admin/rulesets/:saccoId', requireAdmin, async (req, res) => {
   try {
-    return ok(res, { rules: await getRuleset(req.params.saccoId) });
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) return fail(res, 400, 'invalid at');
+    return ok(res, { rules: await getRuleset(req.params.saccoId, at) });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+app.get('/api/admin/rulesets/:saccoId/versions', requireAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.saccoId)) return fail(res, 400, 'invalid sacco id');
+    const { data, error } = await sbAdmin
+      .from('sacco_ruleset_versions')
+      .select('*')
+      .eq('sacco_id', req.params.saccoId)
+      .order('effective_from', { ascending: false });
+    if (error) throw error;
+    const now = new Date().toISOString();
+    const current = (data || []).find((v) => v.effective_from <= now);
+    const items = (data || []).map((v) => ({
+      ...v,
+      state: v.effective_from > now ? 'SCHEDULED' : v === current ? 'CURRENT' : 'SUPERSEDED',
+    }));
+    return res.json({ success: true, items, count: items.length });
   } catch (err) {
     return fail(res, 500, sanitizeErr(err));
   }
 });
 
+// New version, effective now or at a future effective_from; omitted fields carry over from
+// the version that would otherwise be in effect at that time.
 app.post('/api/admin/rulesets', requireAdmin, async (req, res) => {
   try {
-    const { sacco_id, fare_fee_flat_kes = 2.5, savings_percent = 5, sacco_daily_fee_kes = 50, loan_repay_percent = 0 } = req.body || {};
+    const { sacco_id, effective_from = null, note = null } = req.body || {};
     if (!sacco_id) return res.status(400).json({ success: false, error: 'sacco_id required' });
-    const payload = {
-      sacco_id,
-      fare_fee_flat_kes: round2(fare_fee_flat_kes),
-      savings_percent: Number(savings_percent),
-      sacco_daily_fee_kes: round2(sacco_daily_fee_kes),
-      loan_repay_percent: Number(loan_repay_percent),
-      updated_at: new Date().toISOString(),
-    };
-    const { error } = await sbAdmin.from('sacco_settings').upsert(payload).eq('sacco_id', sacco_id);
+    if (!isUuid(sacco_id)) return fail(res, 400, 'invalid sacco_id');
+    const at = effective_from ? new Date(effective_from) : new Date();
+    if (Number.isNaN(at.getTime())) return fail(res, 400, 'invalid effective_from');
+    // A minute of slack for clock skew; anything older would rewrite history
+    if (at.getTime() < Date.now() - 60 * 1000) return fail(res, 400, 'effective_from cannot be in the past');
+
+    const base = await getRuleset(sacco_id, at);
+    const fields = {};
+    for (const k of RULE_FIELDS) fields[k] = req.body[k] ?? base[k];
+    // fee_rules: omitted = carry over, null = back to the flat fields only
+    fields.fee_rules = 'fee_rules' in req.body ? req.body.fee_rules : base.fee_rules ?? null;
+    const problem = rulesetProblem(fields);
+    if (problem) return fail(res, 400, problem);
+
+    const row = await addRulesetVersion(sacco_id, { ...fields, effective_from: at.toISOString(), note });
+    return ok(res, { rules: row });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Cancel a version that has not taken effect yet
+app.delete('/api/admin/rulesets/:saccoId/versions/:version', requireAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.saccoId)) return fail(res, 400, 'invalid sacco id');
+    const { data, error } = await sbAdmin
+      .from('sacco_ruleset_versions')
+      .delete()
+      .eq('sacco_id', req.params.saccoId)
+      .eq('version', Number(req.params.version))
+      .gt('effective_from', new Date().toISOString())
+      .select('version, effective_from');
+    if (error) throw error;
+    if (data?.length) return ok(res, { cancelled: data[0] });
+    const { count } = await sbAdmin
+      .from('sacco_ruleset_versions')
+      .select('id', { count: 'exact', head: true })
+      .eq('sacco_id', req.params.saccoId)
+      .eq('version', Number(req.params.version));
+    return count ? fail(res, 409, 'version is already in effect; add a new version instead') : fail(res, 404, 'version not found');
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// Per-matatu overrides: null/omitted fields inherit from the SACCO version in effect.
+// Overrides are not versioned; they apply on top of whichever SACCO version is current.
+app.get('/api/admin/rulesets/:saccoId/overrides', requireAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.saccoId)) return fail(res, 400, 'invalid sacco id');
+    const [{ data, error }, rules] = await Promise.all([
+      sbAdmin.from('matatu_rule_overrides').select('*').eq('sacco_id', req.params.saccoId).order('updated_at', { ascending: false }),
+      getRuleset(req.params.saccoId),
+    ]);
+    if (error) throw error;
+    const ids = (data || []).map((o) => o.matatu_id);
+    const { data: mats, error: mErr } = ids.length
+      ? await sbAdmin.from('matatus').select('id, sacco_id, number_plate').in('id', ids)
+      : { data: [] };
+    if (mErr) throw mErr;
+    const byId = new Map((mats || []).map((m) => [m.id, m]));
+    // Rows left behind by a matatu that moved SACCO no longer apply; hide them
+    const items = (data || [])
+      .filter((o) => byId.get(o.matatu_id)?.sacco_id === o.sacco_id)
+      .map((o) => ({ ...o, number_plate: byId.get(o.matatu_id).number_plate, effective: mergeOverride(rules, o) }));
+    return res.json({ success: true, items, count: items.length });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// Effective rules for one matatu: SACCO version at ?at (default now), its override, and the merge
+app.get('/api/admin/matatus/:id/ruleset', requireAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) return fail(res, 400, 'invalid matatu id');
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) return fail(res, 400, 'invalid at');
+    const matatu = await findMatatu({ id: req.params.id });
+    if (!matatu) return fail(res, 404, 'matatu not found');
+    const [sacco, override] = await Promise.all([getRuleset(matatu.sacco_id, at), getMatatuOverride(matatu)]);
+    return ok(res, { matatu_id: matatu.id, sacco_id: matatu.sacco_id, sacco, override, rules: mergeOverride(sacco, override) });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// Set (replace) a matatu's override; fields left out inherit from the SACCO
+app.post('/api/admin/matatus/:id/ruleset-override', requireAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) return fail(res, 400, 'invalid matatu id');
+    const body = req.body || {};
+    const problem = overrideProblem(body);
+    if (problem) return fail(res, 400, problem);
+    const matatu = await findMatatu({ id: req.params.id });
+    if (!matatu) return fail(res, 404, 'matatu not found');
+
+    const row = { matatu_id: matatu.id, sacco_id: matatu.sacco_id, fee_rules: body.fee_rules ?? null, note: body.note ?? null };
+    for (const k of RULE_FIELDS) row[k] = body[k] ?? null;
+    const effective = mergeOverride(await getRuleset(matatu.sacco_id), row);
+    const mergedProblem = rulesetProblem(effective);
+    if (mergedProblem) return fail(res, 400, `with the SACCO rules: ${mergedProblem}`);
+
+    const { data, error } = await sbAdmin
+      .from('matatu_rule_overrides')
+      .upsert({ ...row, updated_by: 'admin', updated_at: new Date().toISOString() }, { onConflict: 'matatu_id' })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return ok(res, { override: data, rules: effective });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+app.delete('/api/admin/matatus/:id/ruleset-override', requireAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) return fail(res, 400, 'invalid matatu id');
+    const { data, error } = await sbAdmin.from('matatu_rule_overrides').delete().eq('matatu_id', req.params.id).select('matatu_id');
     if (error) throw error;
-    return ok(res, { rules: payload });
+    if (!data?.length) return fail(res, 404, 'no override for this matatu');
+    return ok(res, { cleared: true });
   } catch (err) {
     return fail(res, 500, sanitizeErr(err));
   }
@@ -840,35 +1176,118 @@ function requireMatatuRole(allowed = ['owner', 'conductor']) {
   };
 }
 
+// SYSTEM_ADMIN (root token) passes; anyone else needs one of `allowed` in the target SACCO
+function requireSaccoRoleOrSystem(allowed = ['SACCO_ADMIN']) {
+  const inner = requireSaccoRole(allowed);
+  return (req, res, next) => (req.user?.role === 'SYSTEM_ADMIN' ? next() : inner(req, res, next));
+}
+
 // =======================
-// Pricing helpers
+// Pricing helpers (split maths + rule validation live in fee-rules.js)
 // =======================
-async function getRuleset(sacco_id) {
-  const { data, error } = await sb.from('sacco_settings').select('*').eq('sacco_id', sacco_id).maybeSingle();
+const RULE_DEFAULTS = { fare_fee_flat_kes: 2.5, savings_percent: 5, sacco_daily_fee_kes: 50, loan_repay_percent: 0 };
+const RULE_FIELDS = Object.keys(RULE_DEFAULTS);
+
+/**
+ * Rules in effect for a SACCO at `at` (default now): the latest version whose effective_from
+ * is not after `at`. `ruleset_version_id` is what transactions record. SACCOs without any
+ * version fall back to sacco_settings, then defaults (version null).
+ */
+async function getRuleset(sacco_id, at = new Date()) {
+  const { data, error } = await (sbAdmin || sb)
+    .from('sacco_ruleset_versions')
+    .select('*')
+    .eq('sacco_id', sacco_id)
+    .lte('effective_from', new Date(at).toISOString())
+    .order('effective_from', { ascending: false })
+    .limit(1)
+    .maybeSingle();
   if (error) throw error;
-  return data || { sacco_id, fare_fee_flat_kes: 2.5, savings_percent: 5, sacco_daily_fee_kes: 50, loan_repay_percent: 0 };
+  if (data) return { ...data, ruleset_version_id: data.id };
+  const { data: legacy, error: lErr } = await sb.from('sacco_settings').select('*').eq('sacco_id', sacco_id).maybeSingle();
+  if (lErr) throw lErr;
+  return { ...(legacy || { sacco_id, ...RULE_DEFAULTS }), version: null, ruleset_version_id: null };
 }
-async function hasPaidSaccoFeeToday(matatu_id) {
-  const today = startOfDayISO();
-  const { data, error } = await sb.from('ledger_entries').select('id').eq('matatu_id', matatu_id).eq('type', 'SACCO_FEE').gte('created_at', today);
+// A matatu's override row, if it was agreed under the SACCO the matatu belongs to now
+async function getMatatuOverride(matatu) {
+  const { data, error } = await (sbAdmin || sb)
+    .from('matatu_rule_overrides')
+    .select('*')
+    .eq('matatu_id', matatu.id)
+    .eq('sacco_id', matatu.sacco_id)
+    .maybeSingle();
   if (error) throw error;
-  return (data || []).length > 0;
+  return data || null;
+}
+/**
+ * Effective rules for a matatu at `at`: its SACCO version in effect then, with the matatu's
+ * override (not versioned) merged over it field by field; `override_fields` lists what differs.
+ */
+async function getMatatuRuleset(matatu, at = new Date()) {
+  const [rules, override] = await Promise.all([getRuleset(matatu.sacco_id, at), getMatatuOverride(matatu)]);
+  return mergeOverride(rules, override);
+}
+async function addRulesetVersion(sacco_id, { effective_from, note = null, ...rules }) {
+  const { data, error } = await sbAdmin.rpc('add_ruleset_version', {
+    p_sacco_id: sacco_id,
+    p_effective_from: effective_from,
+    p_fare_fee_flat_kes: round2(rules.fare_fee_flat_kes),
+    p_savings_percent: Number(rules.savings_percent),
+    p_sacco_daily_fee_kes: round2(rules.sacco_daily_fee_kes),
+    p_loan_repay_percent: Number(rules.loan_repay_percent),
+    p_fee_rules: rules.fee_rules ?? null,
+    p_note: note,
+    p_actor: 'admin',
+  });
+  if (error) {
+    if (error.code === 'P0002') throw Object.assign(new Error('sacco not found'), { status: 404 });
+    if (error.code === '23505') throw Object.assign(new Error('a version already starts at that effective_from'), { status: 409 });
+    throw error;
+  }
+  return (Array.isArray(data) ? data[0] : data) || null;
+}
+/**
+ * Daily fee collected for a matatu on business day `day`, by path: `auto_kes` is the net
+ * SACCO_FEE split (so a reversed fee can be taken again; adjustments don't count, see
+ * feeSplitKes), `manual_kes` the cash recorded in daily_fees via /fees/record.
+ */
+async function dailyFeeCollected(matatu_id, day = bizDay()) {
+  const [{ data, error }, { data: manual, error: mErr }] = await Promise.all([
+    sb.from('ledger_entries').select('amount_kes,kind').eq('matatu_id', matatu_id).eq('type', 'SACCO_FEE').gte('created_at', startOfDayISO(day)).lt('created_at', endOfDayISO(day)),
+    (sbAdmin || sb).from('daily_fees').select('amount').eq('matatu_id', matatu_id).eq('paid_at', day),
+  ]);
+  if (error) throw error;
+  if (mErr) throw mErr;
+  return {
+    auto_kes: feeSplitKes(data || []),
+    manual_kes: round2((manual || []).reduce((a, r) => a + Number(r.amount || 0), 0)),
+  };
+}
+// Either path counts, so a fee paid in cash at the office isn't split off the first fare too
+async function hasPaidSaccoFeeToday(matatu_id) {
+  const c = await dailyFeeCollected(matatu_id);
+  return c.auto_kes > 0 || c.manual_kes > 0;
 }
-function computeSplits({ amount, rules, takeDailyFee }) {
-  const fare = round2(amount);
-  const serviceFee = round2(rules.fare_fee_flat_kes ?? 2.5);
-  const savings = round2((rules.savings_percent / 100) * fare);
-  const loanRepay = round2((rules.loan_repay_percent / 100) * fare);
-  const saccoDaily = takeDailyFee ? round2(rules.sacco_daily_fee_kes) : 0;
 
-  const parts = [
-    { type: 'FARE', amount_kes: fare },
-    { type: 'SERVICE_FEE', amount_kes: serviceFee },
-  ];
-  if (saccoDaily > 0) parts.push({ type: 'SACCO_FEE', amount_kes: saccoDaily });
-  if (savings > 0) parts.push({ type: 'SAVINGS', amount_kes: savings });
-  if (loanRepay > 0) parts.push({ type: 'LOAN_REPAY', amount_kes: loanRepay });
-  return parts;
+// The matatu's ACTIVE loan with its current SACCO, if any (023_loans.sql)
+async function getActiveLoan(matatu) {
+  const { data, error } = await sbAdmin.from('loans').select('*').eq('matatu_id', matatu.id).eq('sacco_id', matatu.sacco_id).eq('status', 'ACTIVE').maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+// loan id → net LOAN_REPAY total
+async function loanRepaid(ids) {
+  if (!ids.length) return new Map();
+  const { data, error } = await sbAdmin.from('v_loan_repaid').select('loan_id,repaid_kes').in('loan_id', ids);
+  if (error) throw error;
+  return new Map((data || []).map((r) => [r.loan_id, Number(r.repaid_kes)]));
+}
+// What LOAN_REPAY may still take for this matatu: 0 without an active loan
+async function loanOutstandingFor(matatu) {
+  const loan = await getActiveLoan(matatu);
+  if (!loan) return 0;
+  const repaid = (await loanRepaid([loan.id])).get(loan.id) || 0;
+  return round2(Math.max(Number(loan.total_due_kes) - repaid, 0));
 }
 
 // =======================
@@ -876,12 +1295,31 @@ function computeSplits({ amount, rules, takeDailyFee }) {
 // =======================
 app.post('/api/fees/quote', quoteLimiter, async (req, res) => {
   try {
-    const { sacco_id, matatu_id, amount } = req.body || {};
+    const { sacco_id, matatu_id, amount, at = null } = req.body || {};
     if (!sacco_id || !amount) return res.status(400).json({ success: false, error: 'sacco_id & amount required' });
-    const rules = await getRuleset(sacco_id);
+    const when = at ? new Date(at) : new Date();
+    if (Number.isNaN(when.getTime())) return res.status(400).json({ success: false, error: 'invalid at' });
+    // With a matatu, its per-matatu override applies on top of the SACCO version
+    // ...and loan repayment is capped by its active loan
+    let rules;
+    let loanOutstanding;
+    if (matatu_id) {
+      if (!isUuid(matatu_id)) return res.status(400).json({ success: false, error: 'invalid matatu_id' });
+      const matatu = await findMatatu({ id: matatu_id });
+      if (!matatu) return res.status(404).json({ success: false, error: 'matatu not found' });
+      if (String(matatu.sacco_id) !== String(sacco_id)) return res.status(400).json({ success: false, error: 'matatu is not in this sacco' });
+      rules = await getMatatuRuleset(matatu, when);
+      loanOutstanding = await loanOutstandingFor(matatu);
+    } else {
+      rules = await getRuleset(sacco_id, when);
+    }
     const dailyDone = matatu_id ? await hasPaidSaccoFeeToday(matatu_id) : false;
-    const splits = computeSplits({ amount, rules, takeDailyFee: !dailyDone });
-    res.json({ success: true, splits });
+    const splits = computeSplits({ amount, rules, takeDailyFee: !dailyDone, loanOutstanding });
+    res.json({
+      success: true,
+      splits,
+      ruleset: { version: rules.version, effective_from: rules.effective_from || null, override_fields: rules.override_fields || [] },
+    });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -890,7 +1328,7 @@ app.post('/api/fees/quote', quoteLimiter, async (req, res) => {
 // =======================
 // POS latest amount (prefill)
 // =======================
-app.post('/api/pos/latest', requireUser, writeLimiter, async (req, res) => {
+app.post('/api/pos/latest', requireUser, writeLimiter, idempotent, async (req, res) => {
   try {
     const sbr = getSbFor(req);
     const { cashier_id, amount } = req.body || {};
@@ -921,21 +1359,483 @@ app.get('/api/public/saccos', async (_req, res) => {
   }
 });
 
+// Resolve a matatu by id, plate or till (first match wins in that order)
+async function findMatatu({ id, plate, till } = {}) {
+  let q = sb.from('matatus').select('id,sacco_id,number_plate,owner_name,owner_phone,vehicle_type,tlb_number,till_number').limit(1);
+  if (id) q = q.eq('id', id);
+  else if (plate) q = q.eq('number_plate', plate);
+  else if (till) q = q.eq('till_number', till);
+  else return null;
+  const { data, error } = await q.maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
 app.get('/api/lookup/matatu', async (req, res) => {
   try {
     const { plate, till } = req.query;
-    let q = sb.from('matatus').select('id,sacco_id,number_plate,owner_name,owner_phone,vehicle_type,tlb_number,till_number').limit(1);
-    if (plate) q = q.eq('number_plate', plate);
-    else if (till) q = q.eq('till_number', till);
-    else return res.status(400).json({ error: 'provide plate or till' });
-    const { data, error } = await q.single();
-    if (error) throw error;
+    if (!plate && !till) return res.status(400).json({ error: 'provide plate or till' });
+    const data = await findMatatu({ plate, till });
+    if (!data) return res.status(404).json({ error: 'matatu not found' });
     res.json(data);
   } catch (e) {
     res.status(404).json({ error: e.message });
   }
 });
 
+// =======================
+// M-Pesa (Daraja) STK Push
+// =======================
+let _darajaAuth = { token: null, exp: 0 };
+function darajaConfigured() {
+  return !!(DARAJA_CONSUMER_KEY && DARAJA_CONSUMER_SECRET && DARAJA_SHORTCODE && DARAJA_PASSKEY);
+}
+// Daraja expects Kenyan wall-clock time (EAT, UTC+3, no DST) as YYYYMMDDHHmmss
+function darajaTimestamp(d = new Date()) {
+  return new Date(d.getTime() + 3 * 60 * 60 * 1000).toISOString().replace(/\D/g, '').slice(0, 14);
+}
+// Daraja cannot send custom headers, so the shared secret rides in the callback query string
+function darajaCallbackUrl(rel) {
+  const base = (DARAJA_CALLBACK_URL || API_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+  const qs = DARAJA_CALLBACK_SECRET ? `?token=${encodeURIComponent(DARAJA_CALLBACK_SECRET)}` : '';
+  return `${base}${rel}${qs}`;
+}
+const _darajaIps = DARAJA_CALLBACK_IPS.split(',').map((s) => s.trim()).filter(Boolean);
+// Callback guard: shared secret and/or source-IP allowlist (both enforced when both set)
+function requireDarajaCallback(req, res, next) {
+  if (!DARAJA_CALLBACK_SECRET && !_darajaIps.length) {
+    if (NODE_ENV === 'production') return res.status(503).json({ ResultCode: 1, ResultDesc: 'Callback auth not configured' });
+    return next();
+  }
+  if (DARAJA_CALLBACK_SECRET) {
+    const got = String(req.query.token || req.headers['x-callback-token'] || '');
+    const a = Buffer.from(got);
+    const b = Buffer.from(DARAJA_CALLBACK_SECRET);
+    if (a.length !== b.length || !timingSafeEqual(a, b)) return res.status(401).json({ ResultCode: 1, ResultDesc: 'Unauthorized' });
+  }
+  if (_darajaIps.length) {
+    const ip = String(req.ip || '').replace(/^::ffff:/, '');
+    if (!_darajaIps.includes(ip)) return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden' });
+  }
+  next();
+}
+async function darajaToken() {
+  if (_darajaAuth.token && Date.now() < _darajaAuth.exp) return _darajaAuth.token;
+  const basic = Buffer.from(`${DARAJA_CONSUMER_KEY}:${DARAJA_CONSUMER_SECRET}`).toString('base64');
+  const r = await fetch(`${DARAJA_BASE_URL}/oauth/v1/generate?grant_type=client_credentials`, { headers: { Authorization: `Basic ${basic}` } });
+  const body = await r.json().catch(() => ({}));
+  if (!r.ok || !body.access_token) throw Object.assign(new Error(`Daraja auth failed (${r.status})`), { status: 502, notSent: true });
+  const ttlMs = (Number(body.expires_in) || 3599) * 1000;
+  _darajaAuth = { token: body.access_token, exp: Date.now() + ttlMs - 60 * 1000 };
+  return _darajaAuth.token;
+}
+async function darajaPost(rel, payload) {
+  const token = await darajaToken();
+  const r = await fetch(`${DARAJA_BASE_URL}${rel}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  const body = await r.json().catch(() => ({}));
+  if (!r.ok || (body.ResponseCode !== undefined && String(body.ResponseCode) !== '0')) {
+    const err = new Error(body.errorMessage || body.ResponseDescription || `Daraja request failed (${r.status})`);
+    err.status = 502;
+    err.darajaCode = body.errorCode || null;
+    // Daraja answered and refused (4xx, or 200 with a non-zero ResponseCode): nothing was accepted.
+    // A 5xx, a timeout or a dropped connection leaves notSent unset: the request may have gone through.
+    err.notSent = r.ok || (r.status >= 400 && r.status < 500);
+    throw err;
+  }
+  return body;
+}
+// 07XXXXXXXX / 7XXXXXXXX / +2547XXXXXXXX → 2547XXXXXXXX (Safaricom 7xx and 1xx ranges)
+function normalizeMsisdn(v) {
+  const d = String(v || '').replace(/\D/g, '');
+  if (/^254[17]\d{8}$/.test(d)) return d;
+  if (/^0[17]\d{8}$/.test(d)) return '254' + d.slice(1);
+  if (/^[17]\d{8}$/.test(d)) return '254' + d;
+  return null;
+}
+
+// Split a fare for a matatu under its effective ruleset (daily fee only on the first paid trip,
+// loan repayment only while a loan is outstanding). `charged`: amount is what the passenger
+// already paid, service fee included (C2B), rather than the fare to charge on top of (STK).
+async function quoteForMatatu(matatu, amount, { charged = false } = {}) {
+  const [rules, dailyDone, loanOutstanding] = await Promise.all([getMatatuRuleset(matatu), hasPaidSaccoFeeToday(matatu.id), loanOutstandingFor(matatu)]);
+  const opts = { rules, takeDailyFee: !dailyDone, loanOutstanding };
+  const splits = charged ? splitsForCharged({ charged: amount, ...opts }) : computeSplits({ amount, ...opts });
+  const fare = splits.find((p) => p.type === 'FARE').amount_kes;
+  const serviceFee = splits.find((p) => p.type === 'SERVICE_FEE').amount_kes;
+  return { splits, fare, serviceFee, rules };
+}
+
+/**
+ * Quote the fare for a matatu, send the STK prompt and persist a PENDING transaction.
+ * The passenger is charged fare + service fee rounded up to whole shillings (Daraja
+ * rejects decimals); the split snapshot and ruleset version are stored so settlement
+ * matches the quote even if the rules change before the callback arrives.
+ */
+async function initiateStkPayment({ matatu, msisdn, amount, ussd_code = null }) {
+  const { splits, fare, serviceFee, rules } = await quoteForMatatu(matatu, amount);
+  const charged = Math.ceil(fare + serviceFee);
+
+  const ts = darajaTimestamp();
+  const stk = await darajaPost('/mpesa/stkpush/v1/processrequest', {
+    BusinessShortCode: DARAJA_SHORTCODE,
+    Password: Buffer.from(`${DARAJA_SHORTCODE}${DARAJA_PASSKEY}${ts}`).toString('base64'),
+    Timestamp: ts,
+    TransactionType: 'CustomerPayBillOnline',
+    Amount: charged,
+    PartyA: msisdn,
+    PartyB: DARAJA_SHORTCODE,
+    PhoneNumber: msisdn,
+    CallBackURL: darajaCallbackUrl('/api/payments/stk/callback'),
+    AccountReference: String(matatu.number_plate || matatu.id).slice(0, 12),
+    TransactionDesc: 'Fare',
+  });
+
+  const { data, error } = await sbAdmin
+    .from('transactions')
+    .insert([
+      {
+        sacco_id: matatu.sacco_id,
+        matatu_id: matatu.id,
+        ussd_code,
+        passenger_msisdn: msisdn,
+        fare_amount_kes: fare,
+        service_fee_kes: serviceFee,
+        charged_amount_kes: charged,
+        status: 'PENDING',
+        mpesa_checkout_id: stk.CheckoutRequestID,
+        mpesa_merchant_request_id: stk.MerchantRequestID || null,
+        splits,
+        ruleset_version_id: rules.ruleset_version_id,
+      },
+    ])
+    .select('id,status,mpesa_checkout_id,created_at')
+    .single();
+  if (error) throw error;
+  return {
+    transaction: data,
+    splits,
+    charged_amount_kes: charged,
+    ruleset_version: rules.version,
+    customer_message: stk.CustomerMessage || '',
+  };
+}
+
+/**
+ * Settle a PENDING transaction by checkout id via the settle_transaction() DB function,
+ * which flips the status and writes the ledger splits in one database transaction.
+ * Returns null for unknown checkout ids; `applied` is false for replays.
+ */
+async function settleTransaction({ checkoutId, status, resultCode = null, resultDesc = null, receipt = null }) {
+  const { data, error } = await sbAdmin.rpc('settle_transaction', {
+    p_checkout_id: checkoutId,
+    p_status: status,
+    p_result_code: resultCode,
+    p_result_desc: resultDesc,
+    p_receipt: receipt,
+  });
+  if (error) throw error;
+  return (Array.isArray(data) ? data[0] : data) || null;
+}
+function callbackItem(meta, name) {
+  const hit = (meta?.Item || []).find((i) => i && i.Name === name);
+  return hit ? hit.Value : undefined;
+}
+
+app.post('/api/payments/stk', requireUser, writeLimiter, idempotent, async (req, res) => {
+  try {
+    if (!darajaConfigured()) return fail(res, 503, 'M-Pesa is not configured');
+    const { passenger_msisdn, matatu_id, till, amount } = req.body || {};
+    const msisdn = normalizeMsisdn(passenger_msisdn);
+    if (!msisdn) return res.status(422).json({ success: false, error: 'valid passenger_msisdn required' });
+    if (!(Number(amount) >= 1)) return res.status(422).json({ success: false, error: 'amount must be at least 1' });
+    if (!matatu_id && !till) return res.status(422).json({ success: false, error: 'matatu_id or till required' });
+    const matatu = await findMatatu({ id: matatu_id, till });
+    if (!matatu) return fail(res, 404, 'matatu not found');
+    const r = await initiateStkPayment({ matatu, msisdn, amount });
+    return ok(res, {
+      transaction_id: r.transaction.id,
+      status: r.transaction.status,
+      checkout_request_id: r.transaction.mpesa_checkout_id,
+      charged_amount_kes: r.charged_amount_kes,
+      splits: r.splits,
+      ruleset_version: r.ruleset_version,
+      customer_message: r.customer_message,
+    });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Daraja STK result callback. Always ACK once authenticated so Daraja stops retrying;
+// replays (same CheckoutRequestID) are no-ops inside settle_transaction().
+app.post('/api/payments/stk/callback', requireDarajaCallback, async (req, res) => {
+  const cb = req.body?.Body?.stkCallback;
+  if (!cb || !cb.CheckoutRequestID) return res.status(400).json({ ResultCode: 1, ResultDesc: 'Malformed callback' });
+  try {
+    const code = Number(cb.ResultCode);
+    const out = await settleTransaction({
+      checkoutId: String(cb.CheckoutRequestID),
+      status: code === 0 ? 'SUCCESS' : 'FAILED',
+      resultCode: Number.isFinite(code) ? code : null,
+      resultDesc: cb.ResultDesc ? String(cb.ResultDesc).slice(0, 300) : null,
+      receipt: code === 0 ? String(callbackItem(cb.CallbackMetadata, 'MpesaReceiptNumber') || '') || null : null,
+    });
+    if (!out) req.log?.warn({ checkout_id: cb.CheckoutRequestID }, 'stk callback for unknown checkout id');
+    else req.log?.info({ transaction_id: out.transaction_id, status: out.status, applied: out.applied }, 'stk callback settled');
+    return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (err) {
+    req.log?.error({ err: sanitizeErr(err), checkout_id: cb.CheckoutRequestID }, 'stk callback failed');
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure' });
+  }
+});
+
+// =======================
+// Pending-transaction sweeper (STK status query)
+// =======================
+const SWEEP = {
+  minAgeSec: Math.max(30, parseInt(PENDING_SWEEP_MIN_AGE_SECONDS, 10) || 120),
+  timeoutSec: Math.max(60, parseInt(PENDING_TIMEOUT_SECONDS, 10) || 900),
+  intervalMs: Math.max(0, parseInt(PENDING_SWEEP_INTERVAL_MS, 10) || 0),
+  batch: Math.max(1, Math.min(200, parseInt(PENDING_SWEEP_BATCH, 10) || 50)),
+};
+const _sweepStats = {
+  runs: 0,
+  errors: 0,
+  checked: 0,
+  settled: { SUCCESS: 0, FAILED: 0, TIMEOUT: 0 },
+  lastRunAt: 0,
+  lastDurationMs: 0,
+  pending: null,
+  oldestPendingSec: null,
+};
+let _sweepRunning = false;
+
+async function stkQuery(checkoutId) {
+  const ts = darajaTimestamp();
+  return darajaPost('/mpesa/stkpushquery/v1/query', {
+    BusinessShortCode: DARAJA_SHORTCODE,
+    Password: Buffer.from(`${DARAJA_SHORTCODE}${DARAJA_PASSKEY}${ts}`).toString('base64'),
+    Timestamp: ts,
+    CheckoutRequestID: checkoutId,
+  });
+}
+// Map an STK query outcome to a final status, or null while the prompt is still live.
+// Daraja reports "still processing" as an HTTP error (500.001.1001) rather than a ResultCode.
+// Only that answer (or no checkout id to ask about) can age into TIMEOUT: a query that failed
+// for any other reason says nothing about the payment, so the row stays PENDING for the next sweep.
+// A SUCCESS callback that still arrives after TIMEOUT settles the row (027_late_stk_success.sql).
+function sweepOutcome(query, err, ageSec) {
+  if (query && query.ResultCode !== undefined) {
+    const code = Number(query.ResultCode);
+    if (code === 0) return 'SUCCESS';
+    if (code === 1037) return 'TIMEOUT'; // handset unreachable
+    return 'FAILED';
+  }
+  if (err && err.darajaCode !== '500.001.1001') throw err;
+  return ageSec >= SWEEP.timeoutSec ? 'TIMEOUT' : null;
+}
+
+async function refreshPendingBacklog() {
+  const [{ count, error }, { data: oldest }] = await Promise.all([
+    sbAdmin.from('transactions').select('id', { count: 'exact', head: true }).eq('status', 'PENDING'),
+    sbAdmin.from('transactions').select('created_at').eq('status', 'PENDING').order('created_at', { ascending: true }).limit(1).maybeSingle(),
+  ]);
+  if (error) throw error;
+  _sweepStats.pending = Number(count || 0);
+  _sweepStats.oldestPendingSec = oldest?.created_at ? Math.max(0, Math.round((Date.now() - Date.parse(oldest.created_at)) / 1000)) : 0;
+}
+
+/**
+ * Ask Daraja about STK transactions still PENDING after SWEEP.minAgeSec and settle them:
+ * SUCCESS (ledger written by settle_transaction), FAILED, or TIMEOUT once past SWEEP.timeoutSec.
+ * Single-flight per process; returns null when skipped.
+ */
+async function sweepPendingTransactions(log = httpLogger.logger) {
+  if (_sweepRunning || !sbAdmin || !darajaConfigured()) return null;
+  _sweepRunning = true;
+  const t0 = Date.now();
+  const result = { checked: 0, settled: { SUCCESS: 0, FAILED: 0, TIMEOUT: 0 }, errors: 0 };
+  try {
+    const cutoff = new Date(Date.now() - SWEEP.minAgeSec * 1000).toISOString();
+    const { data, error } = await sbAdmin
+      .from('transactions')
+      .select('id,mpesa_checkout_id,created_at')
+      .eq('status', 'PENDING')
+      .eq('channel', 'STK')
+      .lt('created_at', cutoff)
+      .order('created_at', { ascending: true })
+      .limit(SWEEP.batch);
+    if (error) throw error;
+
+    for (const row of data || []) {
+      result.checked += 1;
+      const ageSec = (Date.now() - Date.parse(row.created_at)) / 1000;
+      try {
+        let query = null;
+        let qErr = null;
+        if (row.mpesa_checkout_id) {
+          try {
+            query = await stkQuery(row.mpesa_checkout_id);
+          } catch (e) {
+            qErr = e;
+          }
+        }
+        const status = sweepOutcome(query, qErr, ageSec);
+        if (!status) continue;
+        const out = await settleTransaction({
+          checkoutId: row.mpesa_checkout_id,
+          status,
+          resultCode: query && query.ResultCode !== undefined ? Number(query.ResultCode) : null,
+          resultDesc: query?.ResultDesc ? String(query.ResultDesc).slice(0, 300) : status === 'TIMEOUT' ? 'No result from Daraja before timeout' : null,
+        });
+        if (out?.applied) result.settled[status] += 1;
+      } catch (err) {
+        result.errors += 1;
+        log.warn({ err: sanitizeErr(err), transaction_id: row.id, daraja_code: err.darajaCode || null }, 'sweep left transaction pending');
+      }
+    }
+    await refreshPendingBacklog();
+  } catch (err) {
+    result.errors += 1;
+    log.error({ err: sanitizeErr(err) }, 'pending sweep failed');
+  } finally {
+    _sweepStats.runs += 1;
+    _sweepStats.errors += result.errors;
+    _sweepStats.checked += result.checked;
+    for (const k of Object.keys(result.settled)) _sweepStats.settled[k] += result.settled[k];
+    _sweepStats.lastRunAt = Date.now();
+    _sweepStats.lastDurationMs = Date.now() - t0;
+    _sweepRunning = false;
+  }
+  return result;
+}
+
+function sweeperMetricLines() {
+  const s = _sweepStats;
+  const lines = [
+    '# HELP teketeke_sweeper_runs_total Pending-transaction sweeper runs',
+    '# TYPE teketeke_sweeper_runs_total counter',
+    `teketeke_sweeper_runs_total ${s.runs}`,
+    '# HELP teketeke_sweeper_errors_total Sweeper errors (query/settle failures)',
+    '# TYPE teketeke_sweeper_errors_total counter',
+    `teketeke_sweeper_errors_total ${s.errors}`,
+    '# HELP teketeke_sweeper_checked_total PENDING transactions checked against Daraja',
+    '# TYPE teketeke_sweeper_checked_total counter',
+    `teketeke_sweeper_checked_total ${s.checked}`,
+    '# HELP teketeke_sweeper_settled_total Transactions settled by the sweeper',
+    '# TYPE teketeke_sweeper_settled_total counter',
+    ...Object.entries(s.settled).map(([k, v]) => `teketeke_sweeper_settled_total{status="${k}"} ${v}`),
+    '# HELP teketeke_sweeper_last_run_timestamp_seconds Unix time of the last sweep',
+    '# TYPE teketeke_sweeper_last_run_timestamp_seconds gauge',
+    `teketeke_sweeper_last_run_timestamp_seconds ${Math.floor(s.lastRunAt / 1000)}`,
+  ];
+  if (s.pending !== null) {
+    lines.push(
+      '# HELP teketeke_pending_transactions PENDING transactions at the last sweep',
+      '# TYPE teketeke_pending_transactions gauge',
+      `teketeke_pending_transactions ${s.pending}`,
+      '# HELP teketeke_pending_oldest_age_seconds Age of the oldest PENDING transaction at the last sweep',
+      '# TYPE teketeke_pending_oldest_age_seconds gauge',
+      `teketeke_pending_oldest_age_seconds ${s.oldestPendingSec}`
+    );
+  }
+  return lines;
+}
+
+// Manual/cron trigger (serverless hosts have no long-lived timer)
+app.post('/api/admin/payments/sweep', requireAdmin, async (req, res) => {
+  try {
+    if (!darajaConfigured()) return fail(res, 503, 'M-Pesa is not configured');
+    const result = await sweepPendingTransactions(req.log);
+    if (!result) return fail(res, 409, 'sweep already running');
+    return ok(res, { ...result, pending: _sweepStats.pending, oldest_pending_seconds: _sweepStats.oldestPendingSec });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// =======================
+// M-Pesa C2B (pay straight to a matatu till)
+// =======================
+// Buy Goods payments carry the till in BusinessShortCode; paybill-style payments may
+// put it in BillRefNumber instead.
+async function matatuForC2B(body) {
+  const tills = [body.BusinessShortCode, body.BillRefNumber].map((v) => String(v || '').trim()).filter(Boolean);
+  for (const till of tills) {
+    const m = await findMatatu({ till });
+    if (m) return m;
+  }
+  return null;
+}
+
+app.post('/api/admin/mpesa/c2b/register', requireAdmin, async (req, res) => {
+  try {
+    if (!darajaConfigured()) return fail(res, 503, 'M-Pesa is not configured');
+    const { shortcode = DARAJA_SHORTCODE, response_type = 'Cancelled' } = req.body || {};
+    if (!['Cancelled', 'Completed'].includes(response_type)) return res.status(400).json({ success: false, error: 'response_type must be Cancelled or Completed' });
+    const r = await darajaPost('/mpesa/c2b/v1/registerurl', {
+      ShortCode: String(shortcode),
+      ResponseType: response_type,
+      ValidationURL: darajaCallbackUrl('/api/payments/c2b/validation'),
+      ConfirmationURL: darajaCallbackUrl('/api/payments/c2b/confirmation'),
+    });
+    return ok(res, { shortcode: String(shortcode), response: r.ResponseDescription || 'registered' });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Validation: reject unknown tills before the passenger's money moves
+app.post('/api/payments/c2b/validation', requireDarajaCallback, async (req, res) => {
+  try {
+    const b = req.body || {};
+    if (!(Number(b.TransAmount) >= 1)) return res.json({ ResultCode: 'C2B00013', ResultDesc: 'Rejected' });
+    const matatu = await matatuForC2B(b);
+    if (!matatu) return res.json({ ResultCode: 'C2B00012', ResultDesc: 'Rejected' });
+    return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (err) {
+    req.log?.error({ err: sanitizeErr(err) }, 'c2b validation failed');
+    return res.json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+  }
+});
+
+// Confirmation: money has moved; record SUCCESS + ledger splits (TransID keeps it idempotent)
+app.post('/api/payments/c2b/confirmation', requireDarajaCallback, async (req, res) => {
+  const b = req.body || {};
+  if (!b.TransID) return res.status(400).json({ ResultCode: 1, ResultDesc: 'Malformed confirmation' });
+  try {
+    const matatu = await matatuForC2B(b);
+    if (!matatu) {
+      req.log?.error({ trans_id: b.TransID, shortcode: b.BusinessShortCode }, 'c2b confirmation for unknown till');
+      return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    }
+    const paid = round2(b.TransAmount);
+    const { splits, fare, serviceFee, rules } = await quoteForMatatu(matatu, paid, { charged: true });
+    const { data, error } = await sbAdmin.rpc('record_c2b_payment', {
+      p_trans_id: String(b.TransID),
+      p_sacco_id: matatu.sacco_id,
+      p_matatu_id: matatu.id,
+      p_msisdn: b.MSISDN ? String(b.MSISDN).slice(0, 64) : null,
+      p_fare: fare,
+      p_service_fee: serviceFee,
+      p_charged: paid,
+      p_splits: splits,
+      p_ruleset_version_id: rules.ruleset_version_id,
+    });
+    if (error) throw error;
+    const out = (Array.isArray(data) ? data[0] : data) || {};
+    req.log?.info({ transaction_id: out.transaction_id, applied: out.applied }, 'c2b confirmation recorded');
+    return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (err) {
+    req.log?.error({ err: sanitizeErr(err), trans_id: b.TransID }, 'c2b confirmation failed');
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure' });
+  }
+});
+
 // =======================
 // SACCO/Matatu reads (public endpoints)
 // =======================
@@ -965,10 +1865,54 @@ app.get('/api/sacco/:saccoId/cashiers', async (req, res) => {
   }
 });
 
+// ?format=csv|xlsx exports every transaction in the range (limit only applies to JSON)
+const TX_EXPORT_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'time', label: 'Time' },
+  { key: 'number_plate', label: 'Matatu' },
+  { key: 'passenger_msisdn', label: 'Passenger' },
+  { key: 'fare_amount_kes', label: 'Fare (KES)' },
+  { key: 'service_fee_kes', label: 'Service fee (KES)' },
+  { key: 'status', label: 'Status' },
+  { key: 'mpesa_receipt', label: 'M-Pesa receipt' },
+  { key: 'id', label: 'Transaction ID' },
+];
 app.get('/api/sacco/:saccoId/transactions', async (req, res) => {
   try {
     const { saccoId } = req.params;
     const { status, limit = 50 } = req.query;
+    const format = exportFormat(req.query);
+    const range = req.query.from || req.query.to || req.query.date ? parseRange(req.query) : null;
+    if (format) {
+      const { data: matatus, error: mErr } = await sb.from('matatus').select('id,number_plate').eq('sacco_id', saccoId);
+      if (mErr) throw mErr;
+      const plates = new Map((matatus || []).map((m) => [m.id, m.number_plate]));
+      const build = () => {
+        let q = sb
+          .from('transactions')
+          .select('id,matatu_id,passenger_msisdn,fare_amount_kes,service_fee_kes,status,mpesa_receipt,created_at')
+          .eq('sacco_id', saccoId)
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false });
+        if (status) q = q.eq('status', status);
+        if (range) q = q.gte('created_at', range.from).lt('created_at', range.to);
+        return q;
+      };
+      return await sendExport(req, res, format, {
+        filename: `transactions-${saccoId}${range ? `-${rangeName(range)}` : ''}`,
+        sheet: 'Transactions',
+        columns: TX_EXPORT_COLUMNS,
+        pages: pagesOf(build),
+        map: (r) => ({
+          ...r,
+          date: r.created_at ? bizDay(r.created_at) : '',
+          time: r.created_at ? bizTime(r.created_at) : '',
+          number_plate: plates.get(r.matatu_id) || r.matatu_id || '',
+          fare_amount_kes: Number(r.fare_amount_kes || 0),
+          service_fee_kes: Number(r.service_fee_kes || 0),
+        }),
+      });
+    }
     let q = sb
       .from('transactions')
       .select('id,matatu_id,cashier_id,passenger_msisdn,fare_amount_kes,service_fee_kes,status,mpesa_receipt,created_at')
@@ -976,62 +1920,92 @@ app.get('/api/sacco/:saccoId/transactions', async (req, res) => {
       .order('created_at', { ascending: false })
       .limit(Number(limit));
     if (status) q = q.eq('status', status);
+    if (range) q = q.gte('created_at', range.from).lt('created_at', range.to);
     const { data, error } = await q;
     if (error) throw error;
     res.json({ items: data || [] });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.message });
   }
 });
 
 // =======================
 // Admin overviews
 // =======================
+// Ledger rows of one type in a range, newest first; ?format=csv|xlsx exports all of them
+const ledgerOverview = (type, select, { from, to }) => () =>
+  sb
+    .from('ledger_entries')
+    .select(select)
+    .eq('type', type)
+    .gte('created_at', from)
+    .lt('created_at', to)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+const OVERVIEW_EXPORT_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'time', label: 'Time' },
+  { key: 'sacco', label: 'SACCO' },
+  { key: 'matatu', label: 'Matatu' },
+  { key: 'amount', label: 'Amount (KES)' },
+];
+
 app.get('/api/admin/transactions/fees', requireAdmin, async (req, res) => {
   try {
-    const { from, to } = parseRange(req.query);
-    const { data, error } = await sb
-      .from('ledger_entries')
-      .select('created_at,sacco_id,matatu_id,amount_kes')
-      .eq('type', 'SACCO_FEE')
-      .gte('created_at', from)
-      .lt('created_at', to)
-      .order('created_at', { ascending: false });
-    if (error) throw error;
-    const items = (data || []).map((r) => ({
-      date: (r.created_at || '').slice(0, 10),
+    const range = parseRange(req.query);
+    const format = exportFormat(req.query);
+    const build = ledgerOverview('SACCO_FEE', 'id,created_at,sacco_id,matatu_id,amount_kes', range);
+    const toItem = (r) => ({
+      date: r.created_at ? bizDay(r.created_at) : '',
       sacco: r.sacco_id || '',
       amount: Number(r.amount_kes || 0),
       matatu: r.matatu_id || '',
-      time: (r.created_at || '').slice(11, 19),
-    }));
-    return res.json({ success: true, data: items });
+      time: r.created_at ? bizTime(r.created_at) : '',
+    });
+    if (format) {
+      return await sendExport(req, res, format, {
+        filename: `sacco-fees-${rangeName(range)}`,
+        sheet: 'SACCO fees',
+        columns: OVERVIEW_EXPORT_COLUMNS,
+        pages: pagesOf(build),
+        map: toItem,
+      });
+    }
+    const { data, error } = await build();
+    if (error) throw error;
+    return res.json({ success: true, data: (data || []).map(toItem) });
   } catch (e) {
-    return fail(res, 500, sanitizeErr(e));
+    return fail(res, e.status || 500, sanitizeErr(e));
   }
 });
 
 app.get('/api/admin/transactions/loans', requireAdmin, async (req, res) => {
   try {
-    const { from, to } = parseRange(req.query);
-    const { data, error } = await sb
-      .from('ledger_entries')
-      .select('created_at,sacco_id,matatu_id,amount_kes')
-      .eq('type', 'LOAN_REPAY')
-      .gte('created_at', from)
-      .lt('created_at', to)
-      .order('created_at', { ascending: false });
-    if (error) throw error;
-    const items = (data || []).map((r) => ({
-      date: (r.created_at || '').slice(0, 10),
+    const range = parseRange(req.query);
+    const format = exportFormat(req.query);
+    const build = ledgerOverview('LOAN_REPAY', 'id,created_at,sacco_id,matatu_id,amount_kes,loan_id', range);
+    const toItem = (r) => ({
+      date: r.created_at ? bizDay(r.created_at) : '',
       sacco: r.sacco_id || '',
       amount: Number(r.amount_kes || 0),
       matatu: r.matatu_id || '',
-      time: (r.created_at || '').slice(11, 19),
-    }));
-    return res.json({ success: true, data: items });
-  } catch (e) {
-    return fail(res, 500, sanitizeErr(e));
+      loan_id: r.loan_id || null,
+      time: r.created_at ? bizTime(r.created_at) : '',
+    });
+    if (format) {
+      return await sendExport(req, res, format, {
+        filename: `loan-repayments-${rangeName(range)}`,
+        sheet: 'Loan repayments',
+        columns: [...OVERVIEW_EXPORT_COLUMNS, { key: 'loan_id', label: 'Loan ID' }],
+        pages: pagesOf(build),
+        map: toItem,
+      });
+    }
+    const { data, error } = await build();
+    if (error) throw error;
+    return res.json({ success: true, data: (data || []).map(toItem) });
+  } catch (e) {
+    return fail(res, e.status || 500, sanitizeErr(e));
   }
 });
 
@@ -1044,8 +2018,8 @@ app.get('/api/admin/system-overview', requireUser, requireRole('SYSTEM_ADMIN'),
       sb.from('matatus').select('*', { count: 'exact', head: true }),
       sb.from('cashiers').select('*', { count: 'exact', head: true }),
       sb.from('transactions').select('*', { count: 'exact', head: true }).gte('created_at', start),
-      sb.from('ussd_pool').select('*', { count: 'exact', head: true }),
-      sb.from('ussd_pool').select('*', { count: 'exact', head: true }).eq('allocated', false),
+      sb.from('ussd_pool').select('*', { count: 'exact', head: true }).neq('status', 'RETIRED'),
+      sb.from('ussd_pool').select('*', { count: 'exact', head: true }).eq('allocated', false).eq('status', 'ACTIVE'),
     ]);
 
     const svc = sbAdmin || sb;
@@ -1074,6 +2048,8 @@ app.get('/api/admin/system-overview', requireUser, requireRole('SYSTEM_ADMIN'),
         total: getCount(poolAll),
         available: getCount(poolAvail),
         allocated: Math.max(0, getCount(poolAll) - getCount(poolAvail)),
+        // All prefixes together; GET /api/admin/ussd/pool/stats has the per-prefix picture
+        low: getCount(poolAvail) <= (Number(USSD_POOL_LOW_WATERMARK) || 0),
       },
     });
   } catch (e) {
@@ -1087,14 +2063,14 @@ app.get('/api/admin/sacco-overview', requireUser, requireRole('SACCO_ADMIN', 'SY
     const saccoId = req.query.sacco_id;
     if (!saccoId) return res.status(400).json({ error: 'sacco_id required' });
     const start = startOfDayISO();
-    const [sacco, matatus, cashiers, tx, feesRows] = await Promise.all([
+    const [sacco, matatus, cashiers, tx, activity] = await Promise.all([
       sb.from('saccos').select('*').eq('id', saccoId).maybeSingle(),
       sb.from('matatus').select('*', { count: 'exact', head: true }).eq('sacco_id', saccoId),
       sb.from('cashiers').select('*', { count: 'exact', head: true }).eq('sacco_id', saccoId),
       sb.from('transactions').select('*', { count: 'exact', head: true }).eq('sacco_id', saccoId).gte('created_at', start),
-      sb.from('ledger_entries').select('amount_kes').eq('sacco_id', saccoId).eq('type', 'SACCO_FEE').gte('created_at', start),
+      accountActivity(sb, { saccoId, from: start, to: endOfDayISO() }),
     ]);
-    const sumFees = Array.isArray(feesRows?.data) ? feesRows.data.reduce((a, b) => a + Number(b.amount_kes || 0), 0) : 0;
+    const sumFees = totalsFromActivity(activity).SACCO_FEE || 0;
 
     const sbr = getSbFor(req);
     const [{ data: td }, { data: yd }] = await Promise.all([
@@ -1117,27 +2093,321 @@ app.get('/api/admin/sacco-overview', requireUser, requireRole('SACCO_ADMIN', 'SY
   }
 });
 
+// =======================
+// Reversals & manual adjustments
+// =======================
+const LEDGER_TYPES = ['FARE', 'SERVICE_FEE', 'SACCO_FEE', 'SAVINGS', 'LOAN_REPAY'];
+
+// Negates every split of a SUCCESS transaction; the original rows stay untouched
+app.post('/api/admin/transactions/:id/reverse', requireAdmin, writeLimiter, idempotent, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return fail(res, 400, 'reason required');
+    const { data, error } = await sbAdmin.rpc('reverse_transaction', {
+      p_transaction_id: req.params.id,
+      p_reason: reason.slice(0, 500),
+      p_actor: 'admin',
+    });
+    if (error) {
+      if (error.code === '23514') return fail(res, 409, error.message);
+      if (error.code === '22P02') return fail(res, 400, 'invalid transaction id');
+      throw error;
+    }
+    const row = (Array.isArray(data) ? data[0] : data) || null;
+    if (!row) return fail(res, 404, 'transaction not found');
+    if (!row.applied) return fail(res, 409, 'transaction already reversed');
+    return ok(res, { transaction_id: row.transaction_id, reversed_entries: row.entries });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// CREDIT adds to a bucket, DEBIT takes from it; matatu_id is optional (SACCO-level)
+app.post('/api/admin/ledger/adjustments', requireAdmin, writeLimiter, idempotent, async (req, res) => {
+  try {
+    const { sacco_id, matatu_id = null, type, direction, amount_kes, transaction_id = null } = req.body || {};
+    const reason = String(req.body?.reason || '').trim();
+    const amount = round2(amount_kes);
+    if (!sacco_id) return fail(res, 400, 'sacco_id required');
+    if (!LEDGER_TYPES.includes(type)) return fail(res, 400, `type must be one of ${LEDGER_TYPES.join(', ')}`);
+    if (!['CREDIT', 'DEBIT'].includes(direction)) return fail(res, 400, 'direction must be CREDIT or DEBIT');
+    if (!(amount > 0)) return fail(res, 400, 'amount_kes must be > 0');
+    if (!reason) return fail(res, 400, 'reason required');
+
+    if (matatu_id) {
+      const m = await findMatatu({ id: matatu_id });
+      if (!m || m.sacco_id !== sacco_id) return fail(res, 400, 'matatu does not belong to sacco');
+    }
+    if (transaction_id) {
+      const { data: t, error: tErr } = await sbAdmin.from('transactions').select('id,sacco_id').eq('id', transaction_id).maybeSingle();
+      if (tErr) throw tErr;
+      if (!t || t.sacco_id !== sacco_id) return fail(res, 400, 'transaction does not belong to sacco');
+    }
+
+    const { data, error } = await sbAdmin
+      .from('ledger_entries')
+      .insert([{
+        sacco_id,
+        matatu_id,
+        transaction_id,
+        type,
+        amount_kes: direction === 'DEBIT' ? -amount : amount,
+        kind: 'ADJUSTMENT',
+        reason: reason.slice(0, 500),
+        created_by: 'admin',
+      }])
+      .select()
+      .single();
+    if (error) throw error;
+    return ok(res, data);
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// Audit list of reversals and adjustments
+app.get('/api/admin/ledger/adjustments', requireAdmin, async (req, res) => {
+  try {
+    const { sacco_id = '', matatu_id = '', kind = '', limit = 100, offset = 0 } = req.query;
+    const { from, to } = parseRange(req.query);
+    let q = sbAdmin
+      .from('ledger_entries')
+      .select('id,kind,type,amount_kes,sacco_id,matatu_id,transaction_id,reversal_of,reason,created_by,created_at', { count: 'exact' })
+      .in('kind', kind ? [kind] : ['REVERSAL', 'ADJUSTMENT'])
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+    if (sacco_id) q = q.eq('sacco_id', sacco_id);
+    if (matatu_id) q = q.eq('matatu_id', matatu_id);
+    const { data, error, count } = await q;
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Platform-wide account balances (or one SACCO / matatu) as of a business day
+app.get('/api/admin/accounts', requireAdmin, async (req, res) => {
+  try {
+    const { sacco_id = '', matatu_id = '' } = req.query;
+    if (sacco_id && !isUuid(sacco_id)) return fail(res, 400, 'invalid sacco_id');
+    if (matatu_id && !isUuid(matatu_id)) return fail(res, 400, 'invalid matatu_id');
+    const out = await accountBalances({ saccoId: sacco_id || null, matatuId: matatu_id || null, asOf: req.query.as_of });
+    return res.json({ success: true, ...out });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// =======================
+// Daily settlement
+// =======================
+// settlement_lines column → ledger type
+const SETTLEMENT_COLUMNS = {
+  fare_kes: 'FARE',
+  service_fee_kes: 'SERVICE_FEE',
+  sacco_fee_kes: 'SACCO_FEE',
+  savings_kes: 'SAVINGS',
+  loan_repay_kes: 'LOAN_REPAY',
+};
+
+/**
+ * Settlement record for a SACCO's business day: the stored one once the day is closed
+ * (024_settlements.sql), otherwise an OPEN preview computed from the ledger the same way.
+ * MATATU lines partition the day's ledger rows by matatu, so they alone add up to the totals.
+ */
+async function settlementFor(saccoId, day) {
+  const { data: s, error } = await sbAdmin
+    .from('settlements')
+    .select('id,sacco_id,day,closed_by,closed_at')
+    .eq('sacco_id', saccoId)
+    .eq('day', day)
+    .maybeSingle();
+  if (error) throw error;
+
+  let lines;
+  if (s) {
+    const { data, error: lErr } = await sbAdmin
+      .from('settlement_lines')
+      .select('party,matatu_id,fare_kes,service_fee_kes,sacco_fee_kes,savings_kes,loan_repay_kes,owed_kes')
+      .eq('settlement_id', s.id)
+      .order('id', { ascending: true });
+    if (lErr) throw lErr;
+    lines = data || [];
+  } else {
+    const { data, error: pErr } = await sbAdmin.rpc('settlement_for_day', { p_sacco_id: saccoId, p_day: day });
+    if (pErr) throw pErr;
+    lines = data || [];
+  }
+
+  const ids = [...new Set(lines.map((l) => l.matatu_id).filter(Boolean))];
+  const plates = new Map();
+  if (ids.length) {
+    const { data, error: mErr } = await sbAdmin.from('matatus').select('id,number_plate').in('id', ids);
+    if (mErr) throw mErr;
+    for (const m of data || []) plates.set(m.id, m.number_plate);
+  }
+
+  const items = lines.map((l) => {
+    const item = { party: l.party, matatu_id: l.matatu_id || null, number_plate: plates.get(l.matatu_id) || null };
+    for (const col of Object.keys(SETTLEMENT_COLUMNS)) item[col] = round2(l[col]);
+    item.owed_kes = round2(l.owed_kes);
+    return item;
+  });
+  const totals = Object.fromEntries(LEDGER_TYPES.map((t) => [t, 0]));
+  for (const l of items.filter((i) => i.party === 'MATATU')) {
+    for (const [col, type] of Object.entries(SETTLEMENT_COLUMNS)) totals[type] = round2(totals[type] + l[col]);
+  }
+  const owedTo = (party) => round2(items.filter((i) => i.party === party).reduce((sum, i) => sum + i.owed_kes, 0));
+
+  return {
+    id: s?.id || null,
+    sacco_id: saccoId,
+    day,
+    status: s ? 'CLOSED' : 'OPEN',
+    closed_by: s?.closed_by || null,
+    closed_at: s?.closed_at || null,
+    totals: { ...totals, NET_TO_OWNER: owedTo('MATATU') },
+    owed: { owners_kes: owedTo('MATATU'), sacco_kes: owedTo('SACCO'), platform_kes: owedTo('PLATFORM') },
+    items,
+    count: items.length,
+  };
+}
+
+// One day's settlement (with ?date), else the SACCO's closed days, newest first
+app.get('/api/admin/settlements', requireAdmin, async (req, res) => {
+  try {
+    const { sacco_id = '', date = '' } = req.query;
+    const { limit, offset } = pageParams(req.query, { limit: 60, max: 366 });
+    if (!isUuid(sacco_id)) return fail(res, 400, 'sacco_id required');
+    if (date) return ok(res, await settlementFor(sacco_id, dayOfParam(date)));
+
+    const { data, error, count } = await sbAdmin
+      .from('settlements')
+      .select('id,sacco_id,day,closed_by,closed_at', { count: 'exact' })
+      .eq('sacco_id', sacco_id)
+      .order('day', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Closes an ended business day; its ledger rows can't change afterwards
+app.post('/api/admin/settlements/close', requireAdmin, writeLimiter, idempotent, async (req, res) => {
+  try {
+    const { sacco_id = '', date = '' } = req.body || {};
+    if (!isUuid(sacco_id)) return fail(res, 400, 'sacco_id required');
+    if (!date) return fail(res, 400, 'date required');
+    const day = dayOfParam(date);
+    if (day >= bizDay()) return fail(res, 400, 'only a business day that has ended can be closed');
+
+    const { data: sacco, error: sErr } = await sbAdmin.from('saccos').select('id').eq('id', sacco_id).maybeSingle();
+    if (sErr) throw sErr;
+    if (!sacco) return fail(res, 404, 'sacco not found');
+
+    const { error } = await sbAdmin.rpc('close_settlement_day', { p_sacco_id: sacco_id, p_day: day, p_actor: 'admin' });
+    if (error) {
+      if (error.code === '23505') return fail(res, 409, `business day ${day} is already closed`);
+      if (error.code === '23514') return fail(res, 409, error.message);
+      throw error;
+    }
+    return ok(res, await settlementFor(sacco_id, day));
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
 // =======================
 // Summaries & activity
 // =======================
+/**
+ * Per-account debit/credit totals from the double-entry accounts (021_accounts.sql) over
+ * [from, to). Bounds are day-aligned instants from parseRange/startOfDayISO, or null for open.
+ * `client` decides scope: sb/getSbFor(req) go through RLS, sbAdmin sees everything.
+ */
+async function accountActivity(client, { saccoId = null, matatuId = null, from = null, to = null } = {}) {
+  const { data, error } = await client.rpc('account_activity', {
+    p_sacco_id: saccoId,
+    p_matatu_id: matatuId,
+    p_from: from ? bizDay(from) : null,
+    p_to: to ? bizDay(to) : null,
+  });
+  if (error) throw error;
+  return data || [];
+}
+
+// Account balances at the end of business day `asOf`, with a trial balance over the rows
+async function accountBalances({ saccoId = null, matatuId = null, asOf }) {
+  const day = dayOfParam(asOf || new Date());
+  const rows = await accountActivity(sbAdmin, { saccoId, matatuId, to: endOfDayISO(day) });
+  const items = rows.map((r) => ({
+    account_id: r.account_id,
+    owner: r.owner,
+    code: r.code,
+    sacco_id: r.sacco_id,
+    matatu_id: r.matatu_id,
+    normal_side: r.normal_side,
+    debit_kes: Number(r.debit_kes),
+    credit_kes: Number(r.credit_kes),
+    balance_kes: balanceOf(r),
+  }));
+  return { as_of: day, items, count: items.length, totals: trialBalance(rows) };
+}
+
+// Per-type totals plus what the owner keeps: fare minus savings, loan repayment and SACCO fee.
+// Amounts are signed, so reversals and debit adjustments net out here.
+function summarizeLedger(rows) {
+  const totals = (rows || []).reduce((acc, r) => {
+    acc[r.type] = round2((acc[r.type] || 0) + Number(r.amount_kes));
+    return acc;
+  }, {});
+  const fare = totals.FARE || 0,
+    savings = totals.SAVINGS || 0,
+    loan = totals.LOAN_REPAY || 0,
+    saccofee = totals.SACCO_FEE || 0;
+  return { ...totals, NET_TO_OWNER: round2(fare - savings - loan - saccofee) };
+}
 app.get('/api/sacco/:saccoId/summary', async (req, res) => {
   try {
     const { saccoId } = req.params;
     const { from, to } = parseRange(req.query);
-    const { data, error } = await sb.from('ledger_entries').select('type,amount_kes').eq('sacco_id', saccoId).gte('created_at', from).lt('created_at', to);
-    if (error) throw error;
-    const totals = (data || []).reduce((acc, r) => {
-      acc[r.type] = round2((acc[r.type] || 0) + Number(r.amount_kes));
-      return acc;
-    }, {});
-    const fare = totals.FARE || 0,
-      savings = totals.SAVINGS || 0,
-      loan = totals.LOAN_REPAY || 0,
-      saccofee = totals.SACCO_FEE || 0;
-    const net_owner = round2(fare - savings - loan - saccofee);
-    res.json({ range: { from, to }, totals: { ...totals, NET_TO_OWNER: net_owner } });
+    const format = exportFormat(req.query);
+    const activity = await accountActivity(sb, { saccoId, from, to });
+    const totals = totalsFromActivity(activity);
+    if (format) {
+      const days = { from: bizDay(from), to: addDays(bizDay(to), -1) };
+      return await sendExport(req, res, format, {
+        filename: `summary-${saccoId}-${rangeName({ from, to })}`,
+        sheet: 'Summary',
+        columns: [
+          { key: 'from', label: 'From' },
+          { key: 'to', label: 'To' },
+          { key: 'type', label: 'Type' },
+          { key: 'amount_kes', label: 'Amount (KES)' },
+        ],
+        rows: [...LEDGER_TYPES, 'NET_TO_OWNER'].map((type) => ({ ...days, type, amount_kes: totals[type] || 0 })),
+      });
+    }
+    res.json({ range: { from, to }, totals });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// Account balances as of the end of a business day (default today)
+app.get('/api/sacco/:saccoId/accounts', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const { matatu_id = '' } = req.query;
+    if (matatu_id && !isUuid(matatu_id)) return fail(res, 400, 'invalid matatu_id');
+    const out = await accountBalances({ saccoId: req.params.saccoId, matatuId: matatu_id || null, asOf: req.query.as_of });
+    return res.json({ success: true, ...out });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
   }
 });
 
@@ -1162,38 +2432,37 @@ app.get('/api/matatu/:matatuId/summary', async (req, res) => {
   try {
     const { matatuId } = req.params;
     const { from, to } = parseRange(req.query);
-    const { data, error } = await sb.from('ledger_entries').select('type,amount_kes').eq('matatu_id', matatuId).gte('created_at', from).lt('created_at', to);
-    if (error) throw error;
-    const totals = (data || []).reduce((acc, r) => {
-      acc[r.type] = round2((acc[r.type] || 0) + Number(r.amount_kes));
-      return acc;
-    }, {});
-    const fare = totals.FARE || 0,
-      savings = totals.SAVINGS || 0,
-      loan = totals.LOAN_REPAY || 0,
-      saccofee = totals.SACCO_FEE || 0;
-    const net_owner = round2(fare - savings - loan - saccofee);
-    res.json({ range: { from, to }, totals: { ...totals, NET_TO_OWNER: net_owner } });
+    const activity = await accountActivity(sb, { matatuId, from, to });
+    res.json({ range: { from, to }, totals: totalsFromActivity(activity) });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.message });
   }
 });
 
 // =======================
 // Daily fees
 // =======================
-app.post('/fees/record', requireUser, writeLimiter, async (req, res) => {
+app.post('/fees/record', requireUser, writeLimiter, idempotent, async (req, res) => {
   try {
     const sbr = getSbFor(req);
     const { matatu_id, amount, paid_at } = req.body || {};
     if (!matatu_id || !Number.isFinite(Number(amount))) return res.status(422).json({ ok: false, error: 'matatu_id and numeric amount required' });
-    const payload = { matatu_id, amount: round2(amount) };
-    if (paid_at) payload.paid_at = paid_at; // YYYY-MM-DD
+    // YYYY-MM-DD; defaults to today's business day (the column default is the DB's day)
+    const day = paid_at ? dayOfParam(paid_at) : bizDay();
+    const matatu = isUuid(matatu_id) ? await findMatatu({ id: matatu_id }) : null;
+    if (!matatu) return res.status(422).json({ ok: false, error: 'unknown matatu_id' });
+    // Cash and the automatic SACCO_FEE split are the same fee: refuse a day that is already covered
+    const [rules, collected] = await Promise.all([getMatatuRuleset(matatu, startOfDayISO(day)), dailyFeeCollected(matatu.id, day)]);
+    const due = round2(rules.sacco_daily_fee_kes);
+    if (due > 0 && collected.auto_kes + collected.manual_kes >= due) {
+      return res.status(409).json({ ok: false, error: `daily fee for ${day} already collected`, day, due_kes: due, ...collected });
+    }
+    const payload = { matatu_id, amount: round2(amount), paid_at: day };
     const { data, error } = await sbr.from('daily_fees').insert(payload).select().single();
     if (error) return res.status(403).json({ ok: false, error: error.message || String(error) });
     res.json({ ok: true, data });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    res.status(err.status || 500).json({ ok: false, error: err.message });
   }
 });
 
@@ -1203,16 +2472,34 @@ app.get('/fees/by-matatu', async (req, res) => {
     if (!matatu_id) return res.status(400).json({ ok: false, error: 'matatu_id is required' });
     const days = parseInt(req.query.days || '30', 10);
     const since = cutoffDate(isNaN(days) ? 30 : days);
-    const { data, error } = await sb
-      .from('daily_fees')
-      .select('id, matatu_id, amount, paid_at, created_at')
-      .eq('matatu_id', matatu_id)
-      .gte('paid_at', since)
-      .order('paid_at', { ascending: false });
+    const format = exportFormat(req.query);
+    const build = () =>
+      sb
+        .from('daily_fees')
+        .select('id, matatu_id, amount, paid_at, created_at')
+        .eq('matatu_id', matatu_id)
+        .gte('paid_at', since)
+        .order('paid_at', { ascending: false })
+        .order('id', { ascending: false });
+    if (format) {
+      return await sendExport(req, res, format, {
+        filename: `daily-fees-${matatu_id}-since-${since}`,
+        sheet: 'Daily fees',
+        columns: [
+          { key: 'paid_at', label: 'Day' },
+          { key: 'amount', label: 'Amount (KES)' },
+          { key: 'recorded_at', label: 'Recorded at' },
+          { key: 'id', label: 'Fee ID' },
+        ],
+        pages: pagesOf(build),
+        map: (r) => ({ ...r, amount: Number(r.amount || 0), recorded_at: r.created_at ? `${bizDay(r.created_at)} ${bizTime(r.created_at)}` : '' }),
+      });
+    }
+    const { data, error } = await build();
     if (error) throw error;
     res.json({ ok: true, since, days: isNaN(days) ? 30 : days, data: data || [] });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    res.status(err.status || 500).json({ ok: false, error: err.message });
   }
 });
 
@@ -1244,6 +2531,333 @@ app.get('/reports/matatu/:id/fees/summary', async (req, res) => {
   }
 });
 
+// ?from&to business days (inclusive); default the 30 days ending `defaultTo` (arrears end
+// yesterday, since today's fee is only taken with the day's first fare)
+const MAX_FEE_DAYS = 366;
+function feeDayRange(q, defaultTo = addDays(bizDay(), -1)) {
+  const to = q.to ? dayOfParam(q.to) : defaultTo;
+  const from = q.from ? dayOfParam(q.from) : addDays(to, -29);
+  if (from > to) throw Object.assign(new Error('from must not be after to'), { status: 400 });
+  if (dayRange(from, to).length > MAX_FEE_DAYS) throw Object.assign(new Error(`at most ${MAX_FEE_DAYS} days`), { status: 400 });
+  return { from, to };
+}
+
+// REFUND resolutions with the ledger adjustment they posted (026_daily_fee_resolutions.sql)
+const feeRefunds = (saccoId) =>
+  sbAdmin.from('daily_fee_resolutions').select('id,matatu_id,day,amount_kes,ledger_entry_id').eq('sacco_id', saccoId).eq('action', 'REFUND').not('ledger_entry_id', 'is', null);
+
+/**
+ * Daily-fee inputs for all of a SACCO's matatus, parked ones too (or just `matatuId`)
+ * over business days [from, to]: the manual daily_fees rows, the SACCO_FEE split rows (refunds
+ * of double collections on the day they correct) and `dueOn(matatu, day)`. What is due is
+ * sacco_daily_fee_kes of the ruleset version in effect when the day started, or the override
+ * the matatu had then; nothing is due before the matatu was added or on days it was inactive
+ * throughout (030_matatu_fee_history.sql).
+ */
+async function dailyFeeBook(saccoId, { from, to, matatuId = null }) {
+  const matatus = await fetchAll(() => {
+    const q = sbAdmin.from('matatus').select('id,number_plate,owner_name,owner_phone,active,created_at').eq('sacco_id', saccoId).order('number_plate');
+    return matatuId ? q.eq('id', matatuId) : q;
+  });
+  if (!matatus.length) return { matatus, manual: [], splits: [], dueOn: () => 0 };
+
+  const scoped = (q) => (matatuId ? q.eq('matatu_id', matatuId) : q);
+  const [versions, activeRows, overrideRows, manual, splits, dayRefunds] = await Promise.all([
+    fetchAll(() =>
+      sbAdmin.from('sacco_ruleset_versions').select('effective_from,sacco_daily_fee_kes').eq('sacco_id', saccoId).order('effective_from', { ascending: false })
+    ),
+    fetchAll(() =>
+      scoped(sbAdmin.from('matatu_active_history').select('id,matatu_id,active,changed_at,matatus!inner(sacco_id)').eq('matatus.sacco_id', saccoId))
+        .lt('changed_at', endOfDayISO(to))
+        .order('changed_at')
+        .order('id')
+    ),
+    fetchAll(() =>
+      scoped(sbAdmin.from('matatu_override_history').select('id,matatu_id,sacco_daily_fee_kes,changed_at').eq('sacco_id', saccoId))
+        .lt('changed_at', endOfDayISO(to))
+        .order('changed_at')
+        .order('id')
+    ),
+    fetchAll(() =>
+      scoped(sbAdmin.from('daily_fees').select('id,matatu_id,amount,paid_at,created_at,matatus!inner(sacco_id)').eq('matatus.sacco_id', saccoId))
+        .gte('paid_at', from)
+        .lte('paid_at', to)
+        .order('id')
+    ),
+    fetchAll(() =>
+      scoped(sbAdmin.from('ledger_entries').select('id,matatu_id,amount_kes,kind,created_at').eq('sacco_id', saccoId).eq('type', 'SACCO_FEE'))
+        .gte('created_at', startOfDayISO(from))
+        .lt('created_at', endOfDayISO(to))
+        .order('id')
+    ),
+    fetchAll(() => scoped(feeRefunds(saccoId)).gte('day', from).lte('day', to).order('id')),
+  ]);
+  // Refunds posted in the range for days outside it, so placeFeeRefunds can move them out
+  const adjustmentIds = splits.filter((r) => r.kind === 'ADJUSTMENT').map((r) => r.id);
+  const postedRefunds = adjustmentIds.length ? await fetchAll(() => feeRefunds(saccoId).in('ledger_entry_id', adjustmentIds).order('id')) : [];
+  // No versions yet → the legacy sacco_settings fee applies throughout
+  const legacyFee = versions.length ? null : Number((await getRuleset(saccoId)).sacco_daily_fee_kes || 0);
+  const saccoFeeOn = (day) => {
+    if (legacyFee != null) return legacyFee;
+    const start = Date.parse(startOfDayISO(day));
+    const v = versions.find((r) => Date.parse(r.effective_from) <= start);
+    return v ? Number(v.sacco_daily_fee_kes || 0) : 0;
+  };
+  const logOf = (rows) => {
+    const byMatatu = new Map();
+    for (const r of rows) {
+      if (!byMatatu.has(r.matatu_id)) byMatatu.set(r.matatu_id, []);
+      byMatatu.get(r.matatu_id).push({ ...r, day: bizDay(r.changed_at) });
+    }
+    return byMatatu;
+  };
+  const activeLog = logOf(activeRows);
+  const overrideLog = logOf(overrideRows);
+  const dueOn = (m, day) => {
+    const since = m.created_at ? bizDay(m.created_at) : day;
+    const log = activeLog.get(m.id);
+    if (day < since || (log ? !activeOn(log, day) : m.active === false)) return 0;
+    return overrideOn(overrideLog.get(m.id) || [], day) ?? saccoFeeOn(day);
+  };
+  return {
+    matatus,
+    manual: manual.map((r) => ({ ...r, day: String(r.paid_at).slice(0, 10), amount: Number(r.amount) })),
+    splits: placeFeeRefunds(
+      splits.map((r) => ({ ...r, day: bizDay(r.created_at), amount_kes: Number(r.amount_kes) })),
+      [...dayRefunds, ...postedRefunds],
+      { from, to }
+    ),
+    dueOn,
+  };
+}
+
+/**
+ * Daily-fee arrears per matatu over [from, to] (see dailyFeeBook for what is due). Paid =
+ * manual daily_fees (by paid_at) + net SACCO_FEE splits. Listing a SACCO leaves out matatus
+ * that neither owed nor owe anything in the range (e.g. parked throughout); a parked matatu
+ * with old debt stays on.
+ */
+async function feeArrearsFor(saccoId, { from, to, matatuId = null }) {
+  const { matatus, manual, splits, dueOn } = await dailyFeeBook(saccoId, { from, to, matatuId });
+  const paid = new Map(matatus.map((m) => [m.id, new Map()]));
+  const addPaid = (matatu, day, kes) => {
+    const byDay = paid.get(matatu);
+    if (byDay) byDay.set(day, round2((byDay.get(day) || 0) + kes));
+  };
+  for (const r of manual) addPaid(r.matatu_id, r.day, r.amount);
+  for (const r of splits) addPaid(r.matatu_id, r.day, r.amount_kes);
+
+  return matatus
+    .map((m) => ({
+      matatu_id: m.id,
+      number_plate: m.number_plate,
+      owner_name: m.owner_name,
+      owner_phone: m.owner_phone,
+      active: m.active !== false,
+      ...feeArrears({ from, to, expectedFor: (day) => dueOn(m, day), paid: paid.get(m.id) }),
+    }))
+    .filter((a) => matatuId || a.expected_kes > 0 || a.arrears_kes > 0);
+}
+
+// Per-matatu arrears with ageing buckets and the unpaid days
+app.get('/api/sacco/:saccoId/fees/arrears', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const range = feeDayRange(req.query);
+    const items = await feeArrearsFor(req.params.saccoId, range);
+    return res.json({ success: true, range, totals: sumArrears(items), items, count: items.length });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Matatus owing at least min_days unpaid days and min_kes, biggest debt first
+app.get('/api/sacco/:saccoId/fees/defaulters', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const range = feeDayRange(req.query);
+    const minDays = Math.max(1, parseInt(req.query.min_days || '1', 10) || 1);
+    const minKes = Math.max(0, Number(req.query.min_kes) || 0);
+    const items = (await feeArrearsFor(req.params.saccoId, range))
+      .filter((a) => a.arrears_kes > 0 && a.days_unpaid >= minDays && a.arrears_kes >= minKes)
+      .sort((a, b) => b.arrears_kes - a.arrears_kes || a.oldest_unpaid.localeCompare(b.oldest_unpaid))
+      .map(({ unpaid, ...a }) => a);
+    return res.json({ success: true, range, totals: sumArrears(items), items, count: items.length });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+app.get('/api/matatu/:matatuId/fees/arrears', requireUser, requireMatatuOwnerOrSaccoAdmin, async (req, res) => {
+  try {
+    const range = feeDayRange(req.query);
+    const [row] = await feeArrearsFor(req.matatu.sacco_id, { ...range, matatuId: req.matatu.id });
+    if (!row) return fail(res, 404, 'matatu not found');
+    return ok(res, row);
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+const FEE_RESOLUTIONS = { REFUND: 'REFUNDED', CREDIT: 'CREDITED' };
+
+/**
+ * Days in [from, to] on which a matatu paid the daily fee both in cash (daily_fees) and as a
+ * SACCO_FEE split, plus days already resolved (026_daily_fee_resolutions.sql). excess_kes is
+ * what was collected above that day's fee.
+ */
+async function feeDoubles(saccoId, { from, to, matatuId = null }) {
+  const [{ matatus, manual, splits, dueOn }, resolutions] = await Promise.all([
+    dailyFeeBook(saccoId, { from, to, matatuId }),
+    fetchAll(() => {
+      const q = sbAdmin.from('daily_fee_resolutions').select('*').eq('sacco_id', saccoId).gte('day', from).lte('day', to).order('id');
+      return matatuId ? q.eq('matatu_id', matatuId) : q;
+    }),
+  ]);
+  const days = new Map();
+  const dayOf = (matatu_id, day) => {
+    const key = `${matatu_id}|${day}`;
+    if (!days.has(key)) days.set(key, { matatu_id, day, manual_kes: 0, auto_kes: 0, daily_fees: [] });
+    return days.get(key);
+  };
+  for (const r of manual) {
+    const d = dayOf(r.matatu_id, r.day);
+    d.manual_kes = round2(d.manual_kes + r.amount);
+    d.daily_fees.push({ id: r.id, amount: r.amount });
+  }
+  for (const r of splits) {
+    const d = dayOf(r.matatu_id, r.day);
+    d.auto_kes = round2(d.auto_kes + r.amount_kes);
+  }
+  const resolved = new Map(resolutions.map((r) => [`${r.matatu_id}|${r.day}`, r]));
+  for (const r of resolutions) dayOf(r.matatu_id, r.day);
+
+  const matatuById = new Map(matatus.map((m) => [m.id, m]));
+  const items = [];
+  for (const [key, d] of days) {
+    const r = resolved.get(key) || null;
+    const m = matatuById.get(d.matatu_id);
+    if (!m || (!r && !(d.manual_kes > 0 && d.auto_kes > 0))) continue;
+    const due = round2(dueOn(m, d.day));
+    const collected = round2(d.manual_kes + d.auto_kes);
+    items.push({
+      ...d,
+      number_plate: m.number_plate,
+      due_kes: due,
+      collected_kes: collected,
+      excess_kes: round2(Math.max(collected - due, 0)),
+      status: r ? FEE_RESOLUTIONS[r.action] : 'OPEN',
+      resolution: r,
+    });
+  }
+  return items.sort((a, b) => b.day.localeCompare(a.day) || String(a.number_plate).localeCompare(String(b.number_plate)));
+}
+
+// The first `n` business days after `day` on which the matatu paid no daily fee either way
+async function freeFeeDays(matatuId, day, n) {
+  const after = addDays(day, 1);
+  const [manual, splits] = await Promise.all([
+    fetchAll(() => sbAdmin.from('daily_fees').select('id,amount,paid_at').eq('matatu_id', matatuId).gte('paid_at', after).order('id')),
+    fetchAll(() =>
+      sbAdmin.from('ledger_entries').select('id,amount_kes,created_at').eq('matatu_id', matatuId).eq('type', 'SACCO_FEE').neq('kind', 'ADJUSTMENT').gte('created_at', startOfDayISO(after)).order('id')
+    ),
+  ]);
+  const paid = new Map();
+  const add = (d, kes) => paid.set(d, round2((paid.get(d) || 0) + Number(kes || 0)));
+  for (const r of manual) add(String(r.paid_at).slice(0, 10), r.amount);
+  for (const r of splits) add(bizDay(r.created_at), r.amount_kes);
+  const out = [];
+  for (let d = after; out.length < n; d = addDays(d, 1)) if (!((paid.get(d) || 0) > 0)) out.push(d);
+  return out;
+}
+
+// Days the daily fee was collected twice (default the 30 days ending today)
+app.get('/api/sacco/:saccoId/fees/reconciliation', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const range = feeDayRange(req.query, bizDay());
+    const { status = '' } = req.query;
+    let items = await feeDoubles(req.params.saccoId, range);
+    if (status) items = items.filter((i) => i.status === String(status).toUpperCase());
+    const open = items.filter((i) => i.status === 'OPEN');
+    return res.json({
+      success: true,
+      range,
+      totals: { open: open.length, open_excess_kes: round2(open.reduce((sum, i) => sum + i.excess_kes, 0)) },
+      items,
+      count: items.length,
+    });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Settles one double-collected day: REFUND the excess to the owner, or CREDIT the cash to later days
+app.post('/api/sacco/:saccoId/fees/reconciliation/resolve', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    const { saccoId } = req.params;
+    const { matatu_id = '', day: dayParam = '', action = '' } = req.body || {};
+    const note = String(req.body?.note || '').trim().slice(0, 500) || null;
+    if (!isUuid(matatu_id)) return fail(res, 400, 'matatu_id required');
+    if (!dayParam) return fail(res, 400, 'day required');
+    if (!FEE_RESOLUTIONS[action]) return fail(res, 400, `action must be one of ${Object.keys(FEE_RESOLUTIONS).join(', ')}`);
+    const day = dayOfParam(dayParam);
+
+    const [item] = await feeDoubles(saccoId, { from: day, to: day, matatuId: matatu_id });
+    if (!item) return fail(res, 404, 'no double collection for that matatu and day');
+    if (item.status !== 'OPEN') return fail(res, 409, `already ${item.status.toLowerCase()}`);
+    if (!(item.excess_kes > 0)) return fail(res, 409, 'nothing was collected above the daily fee');
+    const amount = action === 'REFUND' ? round2(Math.min(item.excess_kes, item.auto_kes)) : item.manual_kes;
+
+    // Claim the day first: unique (matatu_id, day) stops a second resolution racing this one
+    const { data: claim, error } = await sbAdmin
+      .from('daily_fee_resolutions')
+      .insert([{ sacco_id: saccoId, matatu_id, day, action, amount_kes: amount, note, resolved_by: String(req.user.id) }])
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') return fail(res, 409, 'already resolved');
+      throw error;
+    }
+    try {
+      let patch;
+      if (action === 'REFUND') {
+        // Dated now like any adjustment, so it lands on an open settlement day; dailyFeeBook
+        // counts it on `day` through this resolution and today's fee check ignores it
+        const { data: entry, error: lErr } = await sbAdmin
+          .from('ledger_entries')
+          .insert([{
+            sacco_id: saccoId,
+            matatu_id,
+            type: 'SACCO_FEE',
+            amount_kes: -amount,
+            kind: 'ADJUSTMENT',
+            reason: `Daily fee for ${day} collected twice: refund`,
+            created_by: String(req.user.id),
+          }])
+          .select('id')
+          .single();
+        if (lErr) throw lErr;
+        patch = { ledger_entry_id: entry.id };
+      } else {
+        const toDays = await freeFeeDays(matatu_id, day, item.daily_fees.length);
+        const moved = [];
+        for (const [i, f] of item.daily_fees.entries()) {
+          const { error: uErr } = await sbAdmin.from('daily_fees').update({ paid_at: toDays[i] }).eq('id', f.id).eq('paid_at', day);
+          if (uErr) throw uErr;
+          moved.push({ daily_fee_id: f.id, amount: f.amount, to_day: toDays[i] });
+        }
+        patch = { moved };
+      }
+      const { data, error: pErr } = await sbAdmin.from('daily_fee_resolutions').update(patch).eq('id', claim.id).select().single();
+      if (pErr) throw pErr;
+      return ok(res, { ...item, status: FEE_RESOLUTIONS[action], resolution: data });
+    } catch (e) {
+      await sbAdmin.from('daily_fee_resolutions').delete().eq('id', claim.id);
+      throw e;
+    }
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
 // =======================
 // USSD Pool
 // =======================
@@ -1264,6 +2878,12 @@ function fullCode(prefix, base, check) {
   const p = prefix || '*001*';
   return `${p}${base}${check}#`;
 }
+// Pool prefix from a body/query value (defaults to USSD_PREFIX), or a 400 error
+function poolPrefixOf(prefix) {
+  const p = String(prefix || USSD_PREFIX).trim();
+  if (!/^\*\d{1,4}\*$/.test(p)) throw Object.assign(new Error('prefix must look like *001*'), { status: 400 });
+  return p;
+}
 function resolveTarget(level, ids) {
   const L = String(level || '').toUpperCase();
   if (L === 'MATATU' && ids.matatu_id) return { assigned_type: 'MATATU', assigned_id: ids.matatu_id };
@@ -1271,157 +2891,1811 @@ function resolveTarget(level, ids) {
   throw new Error('level must be SACCO or MATATU (CASHIER no longer supported)');
 }
 
+/**
+ * Claim a code for a SACCO/matatu through ussd_allocate(), which locks and updates the row
+ * in one statement — two concurrent callers can never receive the same code. Pass `base`
+ * for a specific code or `reservation_id` for a previewed one; neither means next free
+ * code under `prefix`.
+ * Allocation failures (pool empty, taken, expired reservation) come back as status 400.
+ */
+async function allocateUssd({ assigned_type, assigned_id }, { prefix = USSD_PREFIX, base = null, reservation_id = null } = {}) {
+  const { data, error } = await sbAdmin.rpc('ussd_allocate', {
+    p_level: assigned_type,
+    p_sacco_id: assigned_type === 'SACCO' ? assigned_id : null,
+    p_matatu_id: assigned_type === 'MATATU' ? assigned_id : null,
+    p_base: base,
+    p_reservation_id: reservation_id,
+    p_actor: 'admin',
+    p_prefix: prefix,
+  });
+  if (error) {
+    if (error.code === 'P0001') throw Object.assign(new Error(error.message), { status: 400 });
+    throw error;
+  }
+  const row = (Array.isArray(data) ? data[0] : data) || null;
+  if (!row) throw Object.assign(new Error('code was taken concurrently; retry'), { status: 409 });
+  return row;
+}
+
 app.get('/api/admin/ussd/pool/available', requireAdmin, async (req, res) => {
   try {
-    const prefix = req.query.prefix || '*001*';
-    const { data, error } = await sb.from('ussd_pool').select('base, checksum').eq('allocated', false).order('base');
+    const prefix = poolPrefixOf(req.query.prefix);
+    const { data, error } = await sb
+      .from('ussd_pool')
+      .select('base, checksum')
+      .eq('prefix', prefix)
+      .eq('allocated', false)
+      .eq('status', 'ACTIVE')
+      .or(`reserved_until.is.null,reserved_until.lt.${new Date().toISOString()}`)
+      .order('base');
     if (error) throw error;
     const items = (data || []).map((r) => ({ base: r.base, checksum: r.checksum, full_code: fullCode(prefix, r.base, r.checksum) }));
     return res.json({ success: true, items });
   } catch (err) {
-    return fail(res, 500, sanitizeErr(err));
+    return fail(res, err.status || 500, sanitizeErr(err));
   }
 });
 
 app.get('/api/admin/ussd/pool/allocated', requireAdmin, async (req, res) => {
   try {
-    const prefix = req.query.prefix || '*001*';
-    const { data, error } = await sb
+    let q = sb
       .from('ussd_pool')
-      .select('base, checksum, level, sacco_id, matatu_id, allocated_at')
+      .select('prefix, base, checksum, level, sacco_id, matatu_id, allocated_at, status, status_reason')
       .eq('allocated', true)
       .order('allocated_at', { ascending: false });
+    // All prefixes unless one is asked for
+    if (req.query.prefix) q = q.eq('prefix', poolPrefixOf(req.query.prefix));
+    const { data, error } = await q;
     if (error) throw error;
     const items = (data || []).map((r) => ({
-      full_code: fullCode(prefix, r.base, r.checksum),
+      full_code: fullCode(r.prefix, r.base, r.checksum),
       level: r.level,
       sacco_id: r.sacco_id,
       matatu_id: r.matatu_id,
       allocated_at: r.allocated_at,
+      status: r.status,
+      status_reason: r.status_reason,
     }));
     return res.json({ success: true, items });
   } catch (err) {
-    return fail(res, 500, sanitizeErr(err));
+    return fail(res, err.status || 500, sanitizeErr(err));
   }
 });
 
-app.post('/api/admin/ussd/pool/assign-next', requireAdmin, async (req, res) => {
+app.post('/api/admin/ussd/pool/assign-next', requireAdmin, idempotent, async (req, res) => {
   try {
-    const { level, sacco_id, matatu_id, cashier_id, prefix = '*001*' } = req.body || {};
+    const { level, sacco_id, matatu_id, reservation_id = null } = req.body || {};
     const L = String(level || '').toUpperCase();
     if (L === 'CASHIER') return res.status(400).json({ success: false, error: 'CASHIER level no longer supported' });
-    const { assigned_type, assigned_id } = resolveTarget(level, { sacco_id, matatu_id, cashier_id });
+    const target = resolveTarget(level, { sacco_id, matatu_id });
+    const prefix = poolPrefixOf(req.body?.prefix);
+    if (reservation_id && !isUuid(reservation_id)) return res.status(400).json({ success: false, error: 'invalid reservation_id' });
 
-    const { data: nextFree, error: qErr } = await sb
-      .from('ussd_pool')
-      .select('base, checksum')
-      .eq('allocated', false)
-      .order('base', { ascending: true })
-      .limit(1)
-      .maybeSingle();
-    if (qErr) throw qErr;
-    if (!nextFree) return res.status(400).json({ success: false, error: 'no free codes in pool' });
+    const got = await allocateUssd(target, { prefix, reservation_id });
+    res.json({ success: true, ussd_code: fullCode(got.prefix, got.base, got.checksum) });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
 
-    const { error: upErr } = await sbAdmin
-      .from('ussd_pool')
-      .update({
-        allocated: true,
-        level: assigned_type,
-        sacco_id: assigned_type === 'SACCO' ? assigned_id : null,
-        matatu_id: assigned_type === 'MATATU' ? assigned_id : null,
-        cashier_id: assigned_type === 'CASHIER' ? assigned_id : null,
-        allocated_at: new Date().toISOString(),
-      })
-      .eq('base', nextFree.base);
-    if (upErr) throw upErr;
+// Preview: hold the next free code (or a given one) for a short while without allocating it
+app.post('/api/admin/ussd/pool/reserve', requireAdmin, async (req, res) => {
+  try {
+    const { ussd_code = null, ttl_seconds = 120 } = req.body || {};
+    const { prefix, base } = ussd_code ? poolCodeOf(ussd_code, req.body?.prefix) : { prefix: poolPrefixOf(req.body?.prefix), base: null };
+    const { data, error } = await sbAdmin.rpc('ussd_reserve', { p_prefix: prefix, p_base: base, p_ttl_seconds: Number(ttl_seconds) || 120 });
+    if (error) {
+      if (error.code === 'P0001') return fail(res, 409, error.message);
+      throw error;
+    }
+    const row = (Array.isArray(data) ? data[0] : data) || {};
+    return ok(res, {
+      ussd_code: fullCode(row.prefix, row.base, row.checksum),
+      reservation_id: row.reservation_id,
+      reserved_until: row.reserved_until,
+    });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
 
-    res.json({ success: true, ussd_code: fullCode(prefix, nextFree.base, nextFree.checksum) });
+app.delete('/api/admin/ussd/pool/reserve/:reservationId', requireAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.reservationId)) return fail(res, 400, 'invalid reservation id');
+    const { data, error } = await sbAdmin.rpc('ussd_cancel_reservation', { p_reservation_id: req.params.reservationId });
+    if (error) throw error;
+    if (!data) return fail(res, 404, 'reservation not found');
+    return ok(res, { cancelled: true });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    return fail(res, 500, sanitizeErr(err));
   }
 });
 
-app.post('/api/admin/ussd/bind-from-pool', requireAdmin, async (req, res) => {
+app.post('/api/admin/ussd/bind-from-pool', requireAdmin, idempotent, async (req, res) => {
   try {
-    const { level, sacco_id, matatu_id, cashier_id, ussd_code, prefix = '*001*' } = req.body || {};
+    const { level, sacco_id, matatu_id, ussd_code, reservation_id = null } = req.body || {};
     const L = String(level || '').toUpperCase();
     if (L === 'CASHIER') return res.status(400).json({ success: false, error: 'CASHIER level no longer supported' });
-    const { assigned_type, assigned_id } = resolveTarget(level, { sacco_id, matatu_id, cashier_id });
+    const target = resolveTarget(level, { sacco_id, matatu_id });
 
-    const parsed = parseUssdDigits(ussd_code);
-    if (!parsed) return res.status(400).json({ success: false, error: 'invalid code format' });
+    const { prefix, base } = poolCodeOf(ussd_code, req.body?.prefix);
+    if (reservation_id && !isUuid(reservation_id)) return res.status(400).json({ success: false, error: 'invalid reservation_id' });
 
-    const want = String(digitalRoot(parsed.base));
-    if (want !== parsed.check) return res.status(400).json({ success: false, error: `checksum mismatch; expected ${want}` });
+    // A reservation for this very code lets the holder bind it; otherwise only a free, unreserved code binds
+    const got = await allocateUssd(target, { prefix, base, reservation_id });
 
-    const { data, error } = await sb.from('ussd_pool').select('allocated, checksum').eq('base', parsed.base).maybeSingle();
-    if (error) throw error;
-    if (!data) return res.status(400).json({ success: false, error: 'base not in pool' });
-    if (data.allocated) return res.status(400).json({ success: false, error: 'already allocated' });
+    return ok(res, { ussd_code: fullCode(got.prefix, got.base, got.checksum) });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
 
-    const { error: upErr } = await sbAdmin
-      .from('ussd_pool')
-      .update({
-        allocated: true,
-        level: assigned_type,
-        sacco_id: assigned_type === 'SACCO' ? assigned_id : null,
-        matatu_id: assigned_type === 'MATATU' ? assigned_id : null,
-        cashier_id: assigned_type === 'CASHIER' ? assigned_id : null,
-        allocated_at: new Date().toISOString(),
-      })
-      .eq('base', parsed.base);
-    if (upErr) throw upErr;
+// ---- Lifecycle: release / suspend / resume / reassign (history is written by DB trigger) ----
+// Checksum-checked { prefix, base } of a code. '*002*1234#' carries its own prefix; bare
+// digits ('1234') use `prefix` (default USSD_PREFIX). Bad input is a 400 error.
+function poolCodeOf(ussd_code, prefix) {
+  const parsed = parseUssdDigits(ussd_code);
+  if (!parsed) throw Object.assign(new Error('invalid code format'), { status: 400 });
+  const want = String(digitalRoot(parsed.base));
+  if (want !== parsed.check) throw Object.assign(new Error(`checksum mismatch; expected ${want}`), { status: 400 });
+  const own = String(ussd_code).trim().match(/^(\*\d{1,4}\*)\d{4}#?$/);
+  return { prefix: own ? own[1] : poolPrefixOf(prefix), base: parsed.base };
+}
+async function ussdLifecycle(fn, args) {
+  const { data, error } = await sbAdmin.rpc(fn, { ...args, p_actor: 'admin' });
+  if (error) {
+    if (error.code === 'P0002') throw Object.assign(new Error(error.message), { status: 404 });
+    if (error.code === '23514') throw Object.assign(new Error(error.message), { status: 400 });
+    throw error;
+  }
+  const row = (Array.isArray(data) ? data[0] : data) || {};
+  return {
+    ussd_code: fullCode(row.prefix, row.base, row.checksum),
+    allocated: row.allocated,
+    level: row.level,
+    sacco_id: row.sacco_id,
+    matatu_id: row.matatu_id,
+    status: row.status,
+  };
+}
 
-    return ok(res, { ussd_code: fullCode(prefix, parsed.base, parsed.check) });
+app.post('/api/admin/ussd/release', requireAdmin, async (req, res) => {
+  try {
+    const { ussd_code, reason = null } = req.body || {};
+    const { prefix, base } = poolCodeOf(ussd_code, req.body?.prefix);
+    return ok(res, await ussdLifecycle('ussd_release', { p_prefix: prefix, p_base: base, p_reason: reason }));
   } catch (err) {
-    return fail(res, 500, sanitizeErr(err));
+    return fail(res, err.status || 500, sanitizeErr(err));
   }
 });
 
-// =======================
-// RLS-scoped activity feed
-// =======================
-app.get('/api/sacco/activity', requireUser, async (req, res) => {
+app.post('/api/admin/ussd/suspend', requireAdmin, async (req, res) => {
   try {
-    const sbr = getSbFor(req);
-    const saccoId = req.query.sacco_id || null;
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 100);
-    const cursor = req.query.cursor || null; // ISO timestamp keyset
-    let txq = sbr.from('transactions').select('id, sacco_id, created_at, fare_amount_kes, status').order('created_at', { ascending: false }).limit(limit);
-    let leq = sbr.from('ledger_entries').select('id, sacco_id, created_at, amount_kes, type').order('created_at', { ascending: false }).limit(limit);
-    if (saccoId) {
-      txq = txq.eq('sacco_id', saccoId);
-      leq = leq.eq('sacco_id', saccoId);
-    }
-    if (cursor) {
-      txq = txq.lt('created_at', cursor);
-      leq = leq.lt('created_at', cursor);
-    }
-    const [tx, le] = await Promise.all([txq, leq]);
-    if (tx.error) return res.status(500).json({ error: String(tx.error.message || tx.error) });
-    if (le.error) return res.status(500).json({ error: String(le.error.message || le.error) });
-    const events = [
-      ...(tx.data || []).map((r) => ({ kind: 'TX', id: r.id, sacco_id: r.sacco_id, created_at: r.created_at, amount_kes: r.fare_amount_kes, status: r.status })),
-      ...(le.data || []).map((r) => ({ kind: 'FEE', id: r.id, sacco_id: r.sacco_id, created_at: r.created_at, amount_kes: r.amount_kes, type: r.type })),
-    ]
-      .sort((a, b) => (a.created_at > b.created_at ? -1 : 1))
-      .slice(0, limit);
-    const next_cursor = events.length ? events[events.length - 1].created_at : null;
-    res.json({ events, next_cursor });
-  } catch (e) {
-    res.status(500).json({ error: String(e.message || e) });
+    const { ussd_code } = req.body || {};
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return fail(res, 400, 'reason required');
+    const { prefix, base } = poolCodeOf(ussd_code, req.body?.prefix);
+    return ok(res, await ussdLifecycle('ussd_set_status', { p_prefix: prefix, p_base: base, p_status: 'SUSPENDED', p_reason: reason }));
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
   }
 });
 
-// =======================
-// Taxi & Boda minimal endpoints for UI (in-memory store)
-// =======================
+app.post('/api/admin/ussd/resume', requireAdmin, async (req, res) => {
+  try {
+    const { ussd_code, reason = null } = req.body || {};
+    const { prefix, base } = poolCodeOf(ussd_code, req.body?.prefix);
+    return ok(res, await ussdLifecycle('ussd_set_status', { p_prefix: prefix, p_base: base, p_status: 'ACTIVE', p_reason: reason }));
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+app.post('/api/admin/ussd/reassign', requireAdmin, async (req, res) => {
+  try {
+    const { ussd_code, level, sacco_id, matatu_id, reason = null } = req.body || {};
+    const { prefix, base } = poolCodeOf(ussd_code, req.body?.prefix);
+    let target;
+    try {
+      target = resolveTarget(level, { sacco_id, matatu_id });
+    } catch (e) {
+      return fail(res, 400, e.message);
+    }
+    if (target.assigned_type === 'MATATU' && !(await findMatatu({ id: target.assigned_id }))) return fail(res, 404, 'matatu not found');
+    return ok(
+      res,
+      await ussdLifecycle('ussd_reassign', {
+        p_prefix: prefix,
+        p_base: base,
+        p_level: target.assigned_type,
+        p_sacco_id: target.assigned_type === 'SACCO' ? target.assigned_id : null,
+        p_matatu_id: target.assigned_type === 'MATATU' ? target.assigned_id : null,
+        p_reason: reason,
+      })
+    );
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+app.get('/api/admin/ussd/history', requireAdmin, async (req, res) => {
+  try {
+    const { ussd_code = '', matatu_id = '', sacco_id = '', limit = 100, offset = 0 } = req.query;
+    if ((matatu_id && !isUuid(matatu_id)) || (sacco_id && !isUuid(sacco_id))) return fail(res, 400, 'invalid matatu_id or sacco_id');
+    let q = sbAdmin
+      .from('ussd_allocation_history')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+    if (ussd_code) {
+      const { prefix, base } = poolCodeOf(ussd_code, req.query.prefix);
+      q = q.eq('prefix', prefix).eq('base', base);
+    }
+    // A holder shows up as current or previous holder
+    if (matatu_id) q = q.or(`matatu_id.eq.${matatu_id},prev_matatu_id.eq.${matatu_id}`);
+    if (sacco_id) q = q.or(`sacco_id.eq.${sacco_id},prev_sacco_id.eq.${sacco_id}`);
+    const { data, error, count } = await q;
+    if (error) throw error;
+    const items = (data || []).map((r) => ({ ...r, ussd_code: fullCode(r.prefix, r.base, digitalRoot(r.base)) }));
+    return res.json({ success: true, items, count: count || 0 });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// ---- Pool ranges + capacity (one pool per prefix, e.g. *001* and *002*) ----
+// Inclusive base range [from, to] as zero-padded strings, or a 400 error
+function poolRangeOf(from, to) {
+  const a = Number(from);
+  const b = Number(to);
+  if (!Number.isInteger(a) || !Number.isInteger(b) || a < 1 || b > 999 || a > b) {
+    throw Object.assign(new Error('from/to must be whole numbers with 1 <= from <= to <= 999'), { status: 400 });
+  }
+  return { from: String(a).padStart(3, '0'), to: String(b).padStart(3, '0'), size: b - a + 1 };
+}
+
+// Adds bases [from, to] under `prefix` with digitalRoot checksums. Existing codes are left
+// as they are; retired ones in the range come back into circulation.
+app.post('/api/admin/ussd/pool/ranges', requireAdmin, writeLimiter, async (req, res) => {
+  try {
+    const prefix = poolPrefixOf(req.body?.prefix);
+    const range = poolRangeOf(req.body?.from, req.body?.to);
+    const rows = [];
+    for (let n = Number(range.from); n <= Number(range.to); n++) {
+      const base = String(n).padStart(3, '0');
+      rows.push({ prefix, base, checksum: String(digitalRoot(base)), allocated: false });
+    }
+    const { data, error } = await sbAdmin
+      .from('ussd_pool')
+      .upsert(rows, { onConflict: 'prefix,base', ignoreDuplicates: true })
+      .select('base');
+    if (error) throw error;
+    const { data: restored, error: rErr } = await sbAdmin.rpc('ussd_restore_range', {
+      p_prefix: prefix,
+      p_from: range.from,
+      p_to: range.to,
+      p_actor: 'admin',
+    });
+    if (rErr) throw rErr;
+    return ok(res, {
+      prefix,
+      from: fullCode(prefix, range.from, digitalRoot(range.from)),
+      to: fullCode(prefix, range.to, digitalRoot(range.to)),
+      added: (data || []).length,
+      restored: Number(restored) || 0,
+      already_present: range.size - (data || []).length - (Number(restored) || 0),
+    });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Retires the free codes in [from, to]; allocated codes keep working and are reported back
+app.post('/api/admin/ussd/pool/ranges/retire', requireAdmin, writeLimiter, async (req, res) => {
+  try {
+    const prefix = poolPrefixOf(req.body?.prefix);
+    const range = poolRangeOf(req.body?.from, req.body?.to);
+    const reason = String(req.body?.reason || '').trim() || null;
+    const { data, error } = await sbAdmin.rpc('ussd_retire_range', {
+      p_prefix: prefix,
+      p_from: range.from,
+      p_to: range.to,
+      p_reason: reason,
+      p_actor: 'admin',
+    });
+    if (error) throw error;
+    const row = (Array.isArray(data) ? data[0] : data) || {};
+    return ok(res, { prefix, retired: Number(row.retired) || 0, skipped_allocated: Number(row.skipped_allocated) || 0 });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+/**
+ * Per-prefix capacity. `days_left` projects the last 30 days' allocation rate onto the codes
+ * still available; a prefix is `low` when available codes drop to USSD_POOL_LOW_WATERMARK
+ * or fewer, or would run out within two weeks at that rate.
+ */
+async function ussdPoolStats() {
+  const since = new Date(Date.now() - 30 * 864e5).toISOString();
+  const [pool, recent] = await Promise.all([
+    fetchAll(() => sbAdmin.from('ussd_pool').select('prefix, allocated, status, reserved_until').order('prefix').order('base')),
+    fetchAll(() =>
+      sbAdmin.from('ussd_allocation_history').select('prefix').eq('action', 'ALLOCATE').gte('created_at', since).order('id')
+    ),
+  ]);
+  const now = new Date().toISOString();
+  const watermark = Number(USSD_POOL_LOW_WATERMARK) || 0;
+  const by = new Map();
+  const get = (prefix) => {
+    if (!by.has(prefix)) {
+      by.set(prefix, { prefix, total: 0, allocated: 0, available: 0, reserved: 0, suspended: 0, retired: 0, allocations_30d: 0 });
+    }
+    return by.get(prefix);
+  };
+  for (const r of pool) {
+    const s = get(r.prefix);
+    if (r.status === 'RETIRED') { s.retired++; continue; }
+    s.total++;
+    if (r.status === 'SUSPENDED') s.suspended++;
+    if (r.allocated) s.allocated++;
+    else if (r.status === 'ACTIVE' && r.reserved_until && r.reserved_until >= now) s.reserved++;
+    else if (r.status === 'ACTIVE') s.available++;
+  }
+  for (const r of recent) get(r.prefix).allocations_30d++;
+
+  const items = [...by.values()].map((s) => {
+    const perDay = s.allocations_30d / 30;
+    const days_left = perDay > 0 ? Math.floor(s.available / perDay) : null;
+    const low = s.available <= watermark || (days_left !== null && days_left < 14);
+    return { ...s, used_pct: s.total ? round2((s.allocated / s.total) * 100) : 0, days_left, low };
+  });
+  const warnings = items
+    .filter((s) => s.low)
+    .map((s) =>
+      s.available === 0
+        ? `${s.prefix} pool is exhausted`
+        : `${s.prefix} pool is low: ${s.available} free` + (s.days_left !== null ? ` (~${s.days_left} days at the current rate)` : '')
+    );
+  return { watermark, items, warnings };
+}
+
+app.get('/api/admin/ussd/pool/stats', requireAdmin, async (_req, res) => {
+  try {
+    return ok(res, await ussdPoolStats());
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// =======================
+// USSD gateway (Africa's Talking style)
+// =======================
+// The gateway POSTs sessionId, serviceCode, phoneNumber and text (all inputs so far joined
+// by '*') on every step and shows our plain-text reply; "CON …" keeps the session open,
+// "END …" closes it. The pool code can arrive in the service code (*001*1234#) or, on a
+// shared *001# code, as the first input. Several shortcodes can point at this callback;
+// the one dialed picks the pool prefix the code is looked up under.
+const USSD_MAX_FARE_KES = 10000;
+const normPlate = (p) => String(p || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function requireUssdGateway(req, res, next) {
+  if (!USSD_CALLBACK_SECRET) {
+    if (NODE_ENV === 'production') return res.status(503).type('text/plain').send('END Service unavailable');
+    return next();
+  }
+  const a = Buffer.from(String(req.query.token || req.headers['x-callback-token'] || ''));
+  const b = Buffer.from(USSD_CALLBACK_SECRET);
+  if (a.length !== b.length || !timingSafeEqual(a, b)) return res.status(401).type('text/plain').send('END Unauthorized');
+  next();
+}
+
+// Checksum-validated pool code → its allocation ({ level, sacco, matatu }), or an error text
+async function resolveUssdCode(digits, prefix = USSD_PREFIX) {
+  const parsed = /^\d{4}$/.test(digits) ? parseUssdDigits(digits) : null;
+  if (!parsed) return { error: 'Invalid code.' };
+  if (String(digitalRoot(parsed.base)) !== parsed.check) return { error: 'Invalid code. Check the number and try again.' };
+  const { data: pool, error } = await sbAdmin
+    .from('ussd_pool')
+    .select('base,checksum,allocated,level,sacco_id,matatu_id,status')
+    .eq('prefix', prefix)
+    .eq('base', parsed.base)
+    .maybeSingle();
+  if (error) throw error;
+  if (!pool || !pool.allocated || pool.checksum !== parsed.check) return { error: 'This code is not in use.' };
+  if (pool.status === 'SUSPENDED') return { error: 'This code is suspended. Please pay the conductor directly.' };
+
+  const code = fullCode(prefix, parsed.base, parsed.check);
+  if (pool.level === 'MATATU' && pool.matatu_id) {
+    const matatu = await findMatatu({ id: pool.matatu_id });
+    if (!matatu) return { error: 'This code is not in use.' };
+    return { code, level: 'MATATU', sacco_id: matatu.sacco_id, matatu };
+  }
+  if (pool.level === 'SACCO' && pool.sacco_id) return { code, level: 'SACCO', sacco_id: pool.sacco_id };
+  return { error: 'This code is not in use.' };
+}
+
+async function saccoName(saccoId) {
+  const { data } = await sbAdmin.from('saccos').select('name').eq('id', saccoId).maybeSingle();
+  return data?.name || 'SACCO';
+}
+
+/**
+ * One menu step. `state.step` is where the passenger is; `input` is their latest entry.
+ * Returns { reply, state, done } — state is persisted between requests by the route.
+ * `claim(next)` saves `next` only if no other request moved the session on first; the STK
+ * Push is sent only when it returns true. A lost claim returns `stale: true` and must not be saved.
+ */
+async function ussdStep(state, input, msisdn, claim) {
+  const end = (msg) => ({ reply: `END ${msg}`, state: { ...state, step: 'ENDED' }, done: true });
+  const con = (msg, next) => ({ reply: `CON ${msg}`, state: { ...state, ...next }, done: false });
+  const vehiclePrompt = async (matatu) =>
+    con(`Pay fare to ${matatu.number_plate} (${await saccoName(matatu.sacco_id)})?\n1. Yes\n2. No`, {
+      step: 'CONFIRM_VEHICLE',
+      matatu_id: matatu.id,
+    });
+
+  switch (state.step || 'CODE') {
+    case 'CODE': {
+      const hit = await resolveUssdCode(input, state.prefix);
+      if (hit.error) return end(hit.error);
+      state = { ...state, code: hit.code, sacco_id: hit.sacco_id };
+      if (hit.level === 'MATATU') return vehiclePrompt(hit.matatu);
+      return con(`${await saccoName(hit.sacco_id)}\nEnter vehicle plate:`, { step: 'PLATE' });
+    }
+    case 'PLATE': {
+      const want = normPlate(input);
+      const { data, error } = await sbAdmin.from('matatus').select('id,sacco_id,number_plate,till_number').eq('sacco_id', state.sacco_id);
+      if (error) throw error;
+      const matatu = (data || []).find((m) => normPlate(m.number_plate) === want);
+      if (!want || !matatu) return con('Vehicle not found in this SACCO.\nEnter vehicle plate:', { step: 'PLATE' });
+      return vehiclePrompt(matatu);
+    }
+    case 'CONFIRM_VEHICLE':
+      if (input === '1') return con('Enter fare (KES):', { step: 'FARE' });
+      return end('Cancelled.');
+    case 'FARE': {
+      const amount = Number(input);
+      if (!Number.isInteger(amount) || amount < 1 || amount > USSD_MAX_FARE_KES) {
+        return con(`Enter fare in whole KES (1-${USSD_MAX_FARE_KES}):`, { step: 'FARE' });
+      }
+      const matatu = await findMatatu({ id: state.matatu_id });
+      if (!matatu) return end('Vehicle no longer available.');
+      const { fare, serviceFee } = await quoteForMatatu(matatu, amount);
+      const charged = Math.ceil(fare + serviceFee);
+      return con(`Pay KES ${charged} (fare ${fare} + fee ${serviceFee}) to ${matatu.number_plate}?\n1. Confirm\n2. Cancel`, {
+        step: 'CONFIRM_PAY',
+        amount,
+        charged,
+      });
+    }
+    case 'CONFIRM_PAY': {
+      if (input !== '1') return end('Cancelled.');
+      if (!darajaConfigured()) return end('Payments are unavailable right now. Please try again later.');
+      const matatu = await findMatatu({ id: state.matatu_id });
+      if (!matatu) return end('Vehicle no longer available.');
+      if (!(await claim({ ...state, step: 'PAYING' }))) {
+        return { reply: 'END Your payment is already being processed.', state, done: true, stale: true };
+      }
+      const r = await initiateStkPayment({ matatu, msisdn, amount: state.amount, ussd_code: state.code });
+      return {
+        reply: `END Enter your M-Pesa PIN on the prompt to pay KES ${r.charged_amount_kes} to ${matatu.number_plate}.`,
+        state: { ...state, step: 'SENT', transaction_id: r.transaction.id },
+        done: true,
+      };
+    }
+    default:
+      return end('Session ended.');
+  }
+}
+
+// Moves a session from the state this request read (`saved`, null when new) to `row.state`.
+// Gateways resend a request that is slow to answer, so two can replay the same input at once;
+// the update only matches while the row still has the step and `seen` that were read.
+async function claimUssdSession(saved, row) {
+  if (!saved) {
+    const { error } = await sbAdmin.from('ussd_sessions').insert(row);
+    if (error?.code === '23505') return false;
+    if (error) throw error;
+    return true;
+  }
+  const { data, error } = await sbAdmin
+    .from('ussd_sessions')
+    .update({ state: row.state, updated_at: row.updated_at })
+    .eq('session_id', row.session_id)
+    .eq('state->>step', String(saved.state.step))
+    .eq('state->>seen', String(saved.state.seen || 0))
+    .select('session_id');
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+app.post('/api/ussd/callback', requireUssdGateway, async (req, res) => {
+  const reply = (text) => res.type('text/plain').send(text);
+  try {
+    const b = req.body || {};
+    const sessionId = String(b.sessionId || '').slice(0, 128);
+    const msisdn = normalizeMsisdn(b.phoneNumber);
+    if (!sessionId || !msisdn) return res.status(400).type('text/plain').send('END Bad request');
+    const serviceCode = String(b.serviceCode || '');
+    const inputs = String(b.text || '') === '' ? [] : String(b.text).split('*');
+
+    const { data: saved, error } = await sbAdmin.from('ussd_sessions').select('state').eq('session_id', sessionId).maybeSingle();
+    if (error) throw error;
+    let state = saved?.state || { seen: 0 };
+
+    // Replay every input the session has not processed yet (gateways resend the whole trail)
+    const pending = [];
+    // '*002*1234#' → prefix '*002*' + code 1234; '*002#' → prefix only; anything else → USSD_PREFIX
+    const sc = serviceCode.trim().match(/^(\*\d{1,4})(?:\*(\d{4}))?#$/);
+    if (!saved) state.prefix = sc ? `${sc[1]}*` : USSD_PREFIX;
+    if (!saved && sc?.[2]) pending.push(sc[2]);
+    pending.push(...inputs.slice(state.seen || 0));
+    if (!pending.length) return reply(saved ? 'END Session ended.' : 'CON Enter the matatu code (e.g. 1234):');
+
+    const row = (st) => ({
+      session_id: sessionId,
+      msisdn,
+      service_code: serviceCode.slice(0, 64),
+      state: st,
+      transaction_id: st.transaction_id || null,
+      updated_at: new Date().toISOString(),
+    });
+    const claim = (next) => claimUssdSession(saved, row({ ...next, seen: inputs.length }));
+
+    let out = null;
+    for (const input of pending) {
+      out = await ussdStep(state, input.trim(), msisdn, claim);
+      if (out.stale) return reply(out.reply);
+      state = { ...out.state, seen: inputs.length };
+      if (out.done) break;
+    }
+
+    const { error: sErr } = await sbAdmin.from('ussd_sessions').upsert(row(state), { onConflict: 'session_id' });
+    if (sErr) throw sErr;
+    return reply(out.reply);
+  } catch (err) {
+    req.log?.error({ err: sanitizeErr(err) }, 'ussd step failed');
+    return reply('END Sorry, something went wrong. Please try again.');
+  }
+});
+
+// =======================
+// Printable stickers (SVG / PDF, rendered in-process)
+// =======================
+// One sticker per matatu: plate, till, USSD code and a QR with the same details. Stickers are
+// laid out 2 × 4 on A4; both formats are drawn from one list of shapes so they match exactly.
+const A4_MM = { w: 210, h: 297 };
+const STICKER_MM = { w: 95, h: 64, gap: 5, cols: 2, rows: 4 };
+const STICKER_MARGIN_MM = {
+  x: (A4_MM.w - STICKER_MM.cols * STICKER_MM.w - (STICKER_MM.cols - 1) * STICKER_MM.gap) / 2,
+  y: (A4_MM.h - STICKER_MM.rows * STICKER_MM.h - (STICKER_MM.rows - 1) * STICKER_MM.gap) / 2,
+};
+const STICKERS_MAX = 400;
+
+// Key:value payload a scanner shows as readable text and an app can split on ';'
+function stickerQrText({ plate, till, ussd }) {
+  const esc = (v) => String(v).replace(/[\\;:]/g, (c) => `\\${c}`);
+  return ['TEKETEKE', `PLATE:${esc(plate)}`, till && `TILL:${esc(till)}`, ussd && `USSD:${esc(ussd)}`].filter(Boolean).join(';') + ';';
+}
+
+// Dark modules as horizontal runs [row, col, length] — far fewer shapes than one per module
+function qrRuns(text) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const runs = [];
+  for (let r = 0; r < modules.size; r++) {
+    for (let c = 0; c < modules.size; c++) {
+      if (!modules.get(r, c)) continue;
+      const start = c;
+      while (c + 1 < modules.size && modules.get(r, c + 1)) c++;
+      runs.push([r, start, c - start + 1]);
+    }
+  }
+  return { size: modules.size, runs };
+}
+
+/**
+ * Matatus to print, with the code a passenger dials: the matatu's own code, else its SACCO's
+ * code (the passenger then enters the plate). Pass `matatu_id` for one or `sacco_id` for all.
+ */
+async function stickerItems({ matatu_id, sacco_id }) {
+  let q = sbAdmin.from('matatus').select('id, sacco_id, number_plate, till_number').order('number_plate');
+  q = matatu_id ? q.eq('id', matatu_id) : q.eq('sacco_id', sacco_id);
+  const { data: matatus, error } = await q.limit(STICKERS_MAX);
+  if (error) throw error;
+  if (!matatus?.length) return [];
+
+  const saccoIds = [...new Set(matatus.map((m) => m.sacco_id).filter(Boolean))];
+  const [{ data: saccos, error: sErr }, { data: codes, error: cErr }] = await Promise.all([
+    sbAdmin.from('saccos').select('id, name').in('id', saccoIds),
+    sbAdmin
+      .from('ussd_pool')
+      .select('prefix, base, checksum, level, sacco_id, matatu_id, allocated_at')
+      .eq('allocated', true)
+      .eq('status', 'ACTIVE')
+      .or([`matatu_id.in.(${matatus.map((m) => m.id).join(',')})`, saccoIds.length && `sacco_id.in.(${saccoIds.join(',')})`].filter(Boolean).join(','))
+      .order('allocated_at', { ascending: false }),
+  ]);
+  if (sErr) throw sErr;
+  if (cErr) throw cErr;
+  const saccoNames = new Map((saccos || []).map((x) => [x.id, x.name]));
+  const codeFor = (pred) => {
+    const row = (codes || []).find(pred);
+    return row ? fullCode(row.prefix, row.base, row.checksum) : null;
+  };
+
+  return matatus.map((m) => {
+    const own = codeFor((c) => c.level === 'MATATU' && c.matatu_id === m.id);
+    const shared = own ? null : codeFor((c) => c.level === 'SACCO' && c.sacco_id === m.sacco_id);
+    return {
+      matatu_id: m.id,
+      plate: m.number_plate,
+      till: m.till_number || null,
+      ussd: own || shared,
+      ussd_needs_plate: Boolean(shared),
+      sacco: saccoNames.get(m.sacco_id) || '',
+    };
+  });
+}
+
+// Shapes for one sticker, in mm from the sheet's top-left corner
+function stickerShapes(item, x, y) {
+  const qr = qrRuns(stickerQrText(item));
+  const qrBox = 40;
+  const unit = qrBox / (qr.size + 4); // 2-module quiet zone on each side
+  return [
+    { t: 'rect', x, y, w: STICKER_MM.w, h: STICKER_MM.h },
+    { t: 'text', x: x + 5, y: y + 8, size: 3.2, text: item.sacco.slice(0, 30), color: 0.35 },
+    { t: 'text', x: x + 5, y: y + 19, size: 8, bold: true, text: item.plate },
+    { t: 'text', x: x + 5, y: y + 28, size: 3, text: 'M-PESA TILL (Buy Goods)', color: 0.35 },
+    { t: 'text', x: x + 5, y: y + 36, size: 6.5, bold: true, text: item.till || '—' },
+    { t: 'text', x: x + 5, y: y + 44, size: 3, text: item.ussd_needs_plate ? 'DIAL, THEN ENTER PLATE' : 'DIAL TO PAY', color: 0.35 },
+    { t: 'text', x: x + 5, y: y + 52, size: 6.5, bold: true, text: item.ussd || '—' },
+    { t: 'qr', x: x + 52 + 2 * unit, y: y + 10 + 2 * unit, unit, runs: qr.runs },
+    { t: 'text', x: x + 62, y: y + 57, size: 3, text: 'Scan to pay', color: 0.35 },
+  ];
+}
+
+function stickerPages(items) {
+  const perPage = STICKER_MM.cols * STICKER_MM.rows;
+  const pages = [];
+  items.forEach((item, i) => {
+    if (i % perPage === 0) pages.push([]);
+    const slot = i % perPage;
+    const x = STICKER_MARGIN_MM.x + (slot % STICKER_MM.cols) * (STICKER_MM.w + STICKER_MM.gap);
+    const y = STICKER_MARGIN_MM.y + Math.floor(slot / STICKER_MM.cols) * (STICKER_MM.h + STICKER_MM.gap);
+    pages[pages.length - 1].push(...stickerShapes(item, x, y));
+  });
+  return pages;
+}
+
+// SVG has no pages: sheets are stacked top to bottom, each A4-sized
+function renderStickersSvg(pages) {
+  const esc = (v) => String(v).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const grey = (g = 0) => `rgb(${Math.round(g * 255)},${Math.round(g * 255)},${Math.round(g * 255)})`;
+  const out = [];
+  pages.forEach((shapes, p) => {
+    const dy = p * A4_MM.h;
+    for (const s of shapes) {
+      if (s.t === 'rect') {
+        out.push(`<rect x="${s.x}" y="${s.y + dy}" width="${s.w}" height="${s.h}" rx="3" fill="none" stroke="#111" stroke-width="0.4"/>`);
+      } else if (s.t === 'text') {
+        out.push(
+          `<text x="${s.x}" y="${s.y + dy}" font-size="${s.size}" fill="${grey(s.color)}"${s.bold ? ' font-weight="bold"' : ''}>${esc(s.text)}</text>`
+        );
+      } else if (s.t === 'qr') {
+        const d = s.runs.map(([r, c, n]) => `M${c} ${r}h${n}v1h-${n}z`).join('');
+        out.push(`<path transform="translate(${s.x} ${s.y + dy}) scale(${s.unit})" d="${d}" fill="#000"/>`);
+      }
+    }
+  });
+  const h = Math.max(1, pages.length) * A4_MM.h;
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${A4_MM.w}mm" height="${h}mm" viewBox="0 0 ${A4_MM.w} ${h}" font-family="Helvetica, Arial, sans-serif">\n` +
+    out.join('\n') +
+    '\n</svg>\n'
+  );
+}
+
+// Minimal PDF 1.4: one content stream per page, standard Helvetica fonts (nothing embedded)
+function renderStickersPdf(pages) {
+  const pt = (mm) => +(mm * (72 / 25.4)).toFixed(2);
+  const H = pt(A4_MM.h);
+  const pdfText = (v) =>
+    String(v)
+      .replace(/[–—]/g, '-')
+      .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+      .replace(/[\\()]/g, (c) => `\\${c}`);
+  const streams = (pages.length ? pages : [[]]).map((shapes) => {
+    const ops = [];
+    for (const s of shapes) {
+      if (s.t === 'rect') {
+        ops.push(`0.4 w 0.07 0.07 0.07 RG ${pt(s.x)} ${+(H - pt(s.y + s.h)).toFixed(2)} ${pt(s.w)} ${pt(s.h)} re S`);
+      } else if (s.t === 'text') {
+        const g = s.color || 0;
+        ops.push(`BT ${g} ${g} ${g} rg /${s.bold ? 'F2' : 'F1'} ${pt(s.size)} Tf ${pt(s.x)} ${+(H - pt(s.y)).toFixed(2)} Td (${pdfText(s.text)}) Tj ET`);
+      } else if (s.t === 'qr') {
+        ops.push('0 0 0 rg');
+        for (const [r, c, n] of s.runs) {
+          ops.push(`${pt(s.x + c * s.unit)} ${+(H - pt(s.y + (r + 1) * s.unit)).toFixed(2)} ${pt(n * s.unit)} ${pt(s.unit)} re`);
+        }
+        ops.push('f');
+      }
+    }
+    return ops.join('\n');
+  });
+
+  const objs = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null, // page tree, filled in once the page ids are known
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  ];
+  const kids = [];
+  for (const body of streams) {
+    objs.push(`<< /Length ${Buffer.byteLength(body, 'latin1')} >>\nstream\n${body}\nendstream`);
+    objs.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pt(A4_MM.w)} ${H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objs.length} 0 R >>`
+    );
+    kids.push(`${objs.length} 0 R`);
+  }
+  objs[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objs.map((o, i) => {
+    const at = Buffer.byteLength(out, 'latin1');
+    out += `${i + 1} 0 obj\n${o}\nendobj\n`;
+    return at;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+app.get('/api/admin/stickers', requireAdmin, async (req, res) => {
+  try {
+    const { matatu_id = '', sacco_id = '' } = req.query;
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!['pdf', 'svg'].includes(format)) return fail(res, 400, 'format must be pdf or svg');
+    if (!matatu_id === !sacco_id) return fail(res, 400, 'matatu_id or sacco_id required (one of them)');
+    if (!isUuid(matatu_id || sacco_id)) return fail(res, 400, 'invalid matatu_id or sacco_id');
+    const copies = Math.min(Math.max(parseInt(req.query.copies, 10) || 1, 1), STICKER_MM.cols * STICKER_MM.rows);
+
+    const found = await stickerItems({ matatu_id, sacco_id });
+    if (!found.length) return fail(res, 404, matatu_id ? 'matatu not found' : 'no matatus in this SACCO');
+    const items = found.flatMap((it) => Array(copies).fill(it));
+    const pages = stickerPages(items);
+
+    const name = `stickers-${(matatu_id ? found[0].plate : sacco_id).replace(/[^A-Za-z0-9-]/g, '')}.${format}`;
+    res.setHeader('Content-Disposition', `${req.query.download === '0' ? 'inline' : 'attachment'}; filename="${name}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    if (format === 'svg') return res.type('image/svg+xml').send(renderStickersSvg(pages));
+    return res.type('application/pdf').send(renderStickersPdf(pages));
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// =======================
+// M-Pesa statement reconciliation
+// =======================
+// Portal CSV exports start with a preamble; the header row is the one with "Receipt No".
+function parseMpesaStatement(text) {
+  const rows = parseCsv(text);
+  const hi = rows.findIndex((r) => r.some((c) => /^receipt\s*no\.?$/i.test(String(c).trim())));
+  if (hi < 0) throw Object.assign(new Error('statement header not found (expected a "Receipt No." column)'), { status: 422 });
+  const head = rows[hi].map((c) => String(c).trim().toLowerCase());
+  const col = (...names) => head.findIndex((h) => names.includes(h));
+  const iReceipt = col('receipt no.', 'receipt no');
+  const iTime = col('completion time', 'completion date', 'transaction time');
+  const iStatus = col('transaction status', 'status');
+  const iIn = col('paid in', 'paid in (kes)');
+  const iOther = col('other party info', 'other party');
+  const iAcc = col('a/c no.', 'a/c no', 'account no.');
+  if (iTime < 0 || iIn < 0) throw Object.assign(new Error('statement needs "Completion Time" and "Paid In" columns'), { status: 422 });
+
+  const out = [];
+  for (const r of rows.slice(hi + 1)) {
+    const receipt = String(r[iReceipt] || '').trim().toUpperCase();
+    const amount = round2(String(r[iIn] || '').replace(/[^0-9.-]/g, ''));
+    if (!receipt || !(amount > 0)) continue; // withdrawals, charges, totals rows
+    if (iStatus >= 0 && r[iStatus] && !/^completed$/i.test(String(r[iStatus]).trim())) continue;
+    const at = parseStatementTime(r[iTime]);
+    out.push({
+      receipt,
+      amount,
+      time: at ? at.toISOString() : null,
+      other_party: iOther >= 0 ? String(r[iOther] || '').trim() || null : null,
+      account: iAcc >= 0 ? String(r[iAcc] || '').trim() || null : null,
+    });
+  }
+  return out;
+}
+// Statement times are Nairobi wall-clock: "2025-01-31 14:05:09" or "31-01-2025 14:05[:09]" (also with /)
+function parseStatementTime(v) {
+  const str = String(v || '').trim();
+  let m = str.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  let y, mo, d;
+  if (m) [, y, mo, d] = m;
+  else {
+    m = str.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    if (!m) return null;
+    [, d, mo, y] = m;
+  }
+  const pad = (x) => String(x || '0').padStart(2, '0');
+  const dt = new Date(`${y}-${pad(mo)}-${pad(d)}T${pad(m[4])}:${pad(m[5])}:${pad(m[6])}+03:00`);
+  return Number.isNaN(dt.getTime()) ? null : dt;
+}
+const txChargedAmount = (t) => round2(t.charged_amount_kes ?? Number(t.fare_amount_kes || 0) + Number(t.service_fee_kes || 0));
+
+/**
+ * Compare statement lines with SUCCESS transactions (others in `txs` are ignored). Lines match
+ * by receipt first; a transaction without a receipt (e.g. settled by the sweeper) can still
+ * match on exact amount within `toleranceSec`. Categories: matched, amount_mismatch, reversed
+ * (matched a payment whose ledger splits were reversed, see reversed_at), missing_in_teketeke
+ * (on the statement only), missing_in_mpesa (in TekeTeke only; reversed payments are left out).
+ */
+function reconcileStatement(lines, allTxs, { toleranceSec = 600 } = {}) {
+  const txs = allTxs.filter((t) => t.status === 'SUCCESS');
+  const byReceipt = new Map();
+  for (const t of txs) if (t.mpesa_receipt) byReceipt.set(String(t.mpesa_receipt).toUpperCase(), t);
+  const used = new Set();
+  const items = [];
+  const txTime = (t) => t.settled_at || t.created_at;
+
+  for (const l of lines) {
+    let t = byReceipt.get(l.receipt);
+    if (t && used.has(t.id)) t = null;
+    if (!t && l.time) {
+      const at = Date.parse(l.time);
+      t = txs.find((x) => !x.mpesa_receipt && !used.has(x.id) && txChargedAmount(x) === l.amount && Math.abs(Date.parse(txTime(x)) - at) <= toleranceSec * 1000);
+    }
+    const base = { receipt: l.receipt, statement_amount: l.amount, statement_time: l.time };
+    if (!t) {
+      items.push({ category: 'missing_in_teketeke', ...base, transaction_id: null, transaction_amount: null, transaction_time: null, sacco_id: null, matatu_id: null });
+      continue;
+    }
+    used.add(t.id);
+    const amt = txChargedAmount(t);
+    items.push({
+      category: t.reversed_at ? 'reversed' : amt === l.amount ? 'matched' : 'amount_mismatch',
+      ...base,
+      transaction_id: t.id,
+      transaction_amount: amt,
+      transaction_time: txTime(t),
+      sacco_id: t.sacco_id || null,
+      matatu_id: t.matatu_id || null,
+    });
+  }
+  for (const t of txs) {
+    if (used.has(t.id) || t.reversed_at) continue;
+    items.push({
+      category: 'missing_in_mpesa',
+      receipt: t.mpesa_receipt || null,
+      statement_amount: null,
+      statement_time: null,
+      transaction_id: t.id,
+      transaction_amount: txChargedAmount(t),
+      transaction_time: txTime(t),
+      sacco_id: t.sacco_id || null,
+      matatu_id: t.matatu_id || null,
+    });
+  }
+
+  const summary = {};
+  for (const c of ['matched', 'amount_mismatch', 'reversed', 'missing_in_teketeke', 'missing_in_mpesa']) {
+    const rows = items.filter((i) => i.category === c);
+    summary[c] = {
+      count: rows.length,
+      statement_kes: round2(rows.reduce((a, r) => a + Number(r.statement_amount || 0), 0)),
+      teketeke_kes: round2(rows.reduce((a, r) => a + Number(r.transaction_amount || 0), 0)),
+    };
+  }
+  return { items, summary };
+}
+
+const RECON_COLUMNS = ['category', 'receipt', 'statement_amount', 'statement_time', 'transaction_id', 'transaction_amount', 'transaction_time', 'sacco_id', 'matatu_id'];
+const TX_RECON_COLS = 'id,sacco_id,matatu_id,mpesa_receipt,charged_amount_kes,fare_amount_kes,service_fee_kes,status,reversed_at,created_at,settled_at';
+
+// Upload: raw CSV body (Content-Type text/csv) with query params, or JSON { csv, ... }
+app.post(
+  '/api/admin/reconciliation/statements',
+  requireAdmin,
+  express.text({ type: ['text/csv', 'text/plain', 'application/vnd.ms-excel'], limit: '10mb' }),
+  async (req, res) => {
+    try {
+      const isText = typeof req.body === 'string';
+      const opts = isText ? req.query : { ...req.query, ...(req.body || {}) };
+      const csv = isText ? req.body : opts.csv;
+      if (!csv || !String(csv).trim()) return res.status(400).json({ success: false, error: 'statement CSV required' });
+      const { sacco_id = null, matatu_id = null, source_name = null } = opts;
+      const toleranceSec = Math.max(0, Math.min(24 * 60, Number(opts.tolerance_minutes ?? 10))) * 60;
+
+      const lines = parseMpesaStatement(csv);
+      if (!lines.length) return res.status(422).json({ success: false, error: 'no paid-in lines found in statement' });
+      const times = lines.map((l) => l.time).filter(Boolean).sort();
+      const from = new Date(Date.parse(times[0] || new Date().toISOString()) - toleranceSec * 1000).toISOString();
+      const to = new Date(Date.parse(times[times.length - 1] || new Date().toISOString()) + toleranceSec * 1000 + 1000).toISOString();
+
+      const inWindow = await fetchAll(() => {
+        let wq = sbAdmin.from('transactions').select(TX_RECON_COLS).eq('status', 'SUCCESS').gte('created_at', from).lt('created_at', to);
+        if (sacco_id) wq = wq.eq('sacco_id', sacco_id);
+        if (matatu_id) wq = wq.eq('matatu_id', matatu_id);
+        return wq.order('created_at').order('id');
+      });
+
+      // Receipts can settle outside the window (late callbacks) — fetch those directly
+      const txs = new Map(inWindow.map((t) => [t.id, t]));
+      const receipts = [...new Set(lines.map((l) => l.receipt))];
+      for (let i = 0; i < receipts.length; i += 100) {
+        const { data, error } = await sbAdmin.from('transactions').select(TX_RECON_COLS).eq('status', 'SUCCESS').in('mpesa_receipt', receipts.slice(i, i + 100));
+        if (error) throw error;
+        for (const t of data || []) txs.set(t.id, t);
+      }
+
+      const { items, summary } = reconcileStatement(lines, [...txs.values()], { toleranceSec });
+      const { data: saved, error: sErr } = await sbAdmin
+        .from('reconciliation_reports')
+        .insert([{ sacco_id, source_name, period_from: times[0] || null, period_to: times[times.length - 1] || null, summary, items, created_by: 'admin' }])
+        .select('id,created_at')
+        .single();
+      if (sErr) throw sErr;
+      return ok(res, { id: saved.id, created_at: saved.created_at, statement_lines: lines.length, summary, items });
+    } catch (err) {
+      return fail(res, err.status || 500, sanitizeErr(err));
+    }
+  }
+);
+
+app.get('/api/admin/reconciliation/reports', requireAdmin, async (req, res) => {
+  try {
+    const { sacco_id = '' } = req.query;
+    const { limit, offset } = pageParams(req.query);
+    let q = sbAdmin
+      .from('reconciliation_reports')
+      .select('id,sacco_id,source_name,period_from,period_to,summary,created_by,created_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (sacco_id) q = q.eq('sacco_id', sacco_id);
+    const { data, error, count } = await q;
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+app.get('/api/admin/reconciliation/reports/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.id)) return fail(res, 404, 'report not found');
+    const { data, error } = await sbAdmin.from('reconciliation_reports').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!data) return fail(res, 404, 'report not found');
+    if (String(req.query.format || '').toLowerCase() === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${data.id}.csv"`);
+      return res.send(toCsv(data.items || [], RECON_COLUMNS));
+    }
+    return ok(res, data);
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// =======================
+// B2C payouts (NET_TO_OWNER → owner_phone)
+// =======================
+function b2cConfigured() {
+  return !!(DARAJA_CONSUMER_KEY && DARAJA_CONSUMER_SECRET && (DARAJA_B2C_SHORTCODE || DARAJA_SHORTCODE) && DARAJA_B2C_INITIATOR && DARAJA_B2C_SECURITY_CREDENTIAL);
+}
+function batchStatusFor(payouts) {
+  const st = payouts.map((p) => p.status);
+  if (!st.length) return 'DRAFT';
+  if (st.every((x) => x === 'PENDING')) return 'DRAFT';
+  if (st.some((x) => x === 'PENDING' || x === 'SENT')) return 'SUBMITTED';
+  if (st.every((x) => x === 'SUCCESS')) return 'COMPLETED';
+  return st.some((x) => x === 'SUCCESS') ? 'PARTIAL' : 'FAILED';
+}
+async function refreshBatchStatus(batchId) {
+  const { data, error } = await sbAdmin.from('payouts').select('status').eq('batch_id', batchId);
+  if (error) throw error;
+  const status = batchStatusFor(data || []);
+  const { error: upErr } = await sbAdmin.from('payout_batches').update({ status }).eq('id', batchId).neq('status', 'CANCELLED');
+  if (upErr) throw upErr;
+  return status;
+}
+
+// What-if: replay the SACCO's SUCCESS fares for a range under the current rules and under a
+// proposed ruleset (omitted fields carry over from current). Matatu overrides apply to both
+// sides. Read-only; the range is capped so a replay stays cheap.
+const SIMULATE_MAX_DAYS = 93;
+function diffTotals(a, b) {
+  const out = {};
+  for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) out[k] = round2((b[k] || 0) - (a[k] || 0));
+  return out;
+}
+app.post('/api/sacco/:saccoId/rulesets/simulate', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const { saccoId } = req.params;
+    if (!isUuid(saccoId)) return fail(res, 400, 'invalid sacco id');
+    const body = req.body || {};
+    const { from, to } = parseRange(body);
+    if (Date.parse(to) - Date.parse(from) > SIMULATE_MAX_DAYS * 864e5) return fail(res, 400, `range is limited to ${SIMULATE_MAX_DAYS} days`);
+
+    const current = await getRuleset(saccoId);
+    const input = body.proposed || {};
+    const proposed = { ...current, version: null, ruleset_version_id: null, effective_from: null };
+    for (const k of RULE_FIELDS) if (input[k] != null) proposed[k] = input[k];
+    if ('fee_rules' in input) proposed.fee_rules = input.fee_rules;
+    const problem = rulesetProblem(proposed);
+    if (problem) return fail(res, 400, `proposed: ${problem}`);
+
+    const [txs, { data: matatus, error: mErr }, { data: overrides, error: oErr }, { data: loans, error: lErr }] = await Promise.all([
+      fetchAll(() =>
+        sbAdmin
+          .from('transactions')
+          .select('id,matatu_id,fare_amount_kes,created_at')
+          .eq('sacco_id', saccoId)
+          .eq('status', 'SUCCESS')
+          .gte('created_at', from)
+          .lt('created_at', to)
+          .order('id')
+      ),
+      sbAdmin.from('matatus').select('id,number_plate').eq('sacco_id', saccoId),
+      sbAdmin.from('matatu_rule_overrides').select('*').eq('sacco_id', saccoId),
+      sbAdmin.from('loans').select('id,matatu_id,total_due_kes').eq('sacco_id', saccoId).eq('status', 'ACTIVE'),
+    ]);
+    if (mErr) throw mErr;
+    if (oErr) throw oErr;
+    if (lErr) throw lErr;
+    const plates = new Map((matatus || []).map((m) => [m.id, m.number_plate]));
+    // Same rule as live quoting: an override only counts while the matatu is still in this SACCO
+    const overrideOf = new Map((overrides || []).filter((o) => plates.has(o.matatu_id)).map((o) => [o.matatu_id, o]));
+    // Loan repayment is capped by what each matatu owes today, as live quoting does; none without an active loan
+    const repaid = await loanRepaid((loans || []).map((l) => l.id));
+    const owed = new Map((loans || []).map((l) => [l.matatu_id, round2(Math.max(Number(l.total_due_kes) - (repaid.get(l.id) || 0), 0))]));
+    const replay = (rules) =>
+      replayTotals({
+        txs,
+        dayOf: bizDay,
+        rulesFor: (matatuId) => mergeOverride(rules, overrideOf.get(matatuId)),
+        loanOutstanding: (matatuId) => owed.get(matatuId) || 0,
+      });
+    const now = replay(current);
+    const next = replay(proposed);
+
+    const flat = (totals) => Object.entries(totals).map(([type, amount_kes]) => ({ type, amount_kes }));
+    const sum = (byMatatu) => summarizeLedger([...byMatatu.values()].flatMap((m) => flat(m.totals)));
+    const rows = [...now.keys()].map((id) => {
+      const a = summarizeLedger(flat(now.get(id).totals));
+      const b = summarizeLedger(flat(next.get(id).totals));
+      return { matatu_id: id, number_plate: plates.get(id) || null, trips: now.get(id).trips, current: a, proposed: b, diff: diffTotals(a, b) };
+    });
+    rows.sort((x, y) => Math.abs(y.diff.NET_TO_OWNER || 0) - Math.abs(x.diff.NET_TO_OWNER || 0));
+    const totalsNow = sum(now);
+    const totalsNext = sum(next);
+
+    return ok(res, {
+      range: { from, to },
+      transactions: txs.length,
+      overrides_applied: rows.filter((r) => overrideOf.has(r.matatu_id)).length,
+      current: { rules: current, totals: totalsNow },
+      proposed: { rules: proposed, totals: totalsNext },
+      diff: diffTotals(totalsNow, totalsNext),
+      matatus: rows,
+    });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+/**
+ * NET_TO_OWNER per matatu for [from, to), read from OWNER_PAYABLE, skipping matatus with nothing to pay, no
+ * owner_phone, or a live (non-FAILED) payout overlapping the period. The
+ * payouts_no_double_period constraint backs the overlap check in the database.
+ * B2C only sends whole shillings: the cents earlier live payouts couldn't send (net_kes - amount_kes)
+ * come in as carry_in_kes, so over time owners are paid all of NET_TO_OWNER (028_payout_carry.sql).
+ */
+async function planPayouts(saccoId, from, to) {
+  const [activity, { data: matatus, error: mErr }, { data: prior, error: pErr }, live] = await Promise.all([
+    accountActivity(sbAdmin, { saccoId, from, to }),
+    sbAdmin.from('matatus').select('id,number_plate,owner_name,owner_phone').eq('sacco_id', saccoId),
+    sbAdmin.from('payouts').select('matatu_id,period_from,period_to,status').eq('sacco_id', saccoId).neq('status', 'FAILED').lt('period_from', to).gt('period_to', from),
+    fetchAll(() => sbAdmin.from('payouts').select('id,matatu_id,net_kes,amount_kes').eq('sacco_id', saccoId).neq('status', 'FAILED').order('id')),
+  ]);
+  if (mErr) throw mErr;
+  if (pErr) throw pErr;
+  const carry = new Map();
+  for (const p of live) carry.set(p.matatu_id, round2((carry.get(p.matatu_id) || 0) + Number(p.net_kes) - Number(p.amount_kes)));
+
+  const rowsByMatatu = new Map();
+  for (const r of activity) {
+    if (!r.matatu_id) continue;
+    if (!rowsByMatatu.has(r.matatu_id)) rowsByMatatu.set(r.matatu_id, []);
+    rowsByMatatu.get(r.matatu_id).push(r);
+  }
+  const paid = new Set((prior || []).map((p) => p.matatu_id));
+  const plan = [];
+  const skipped = [];
+  for (const m of matatus || []) {
+    const net = totalsFromActivity(rowsByMatatu.get(m.id)).NET_TO_OWNER;
+    const carryIn = carry.get(m.id) || 0;
+    const amount = Math.floor(round2(net + carryIn)); // B2C only moves whole shillings
+    const base = { matatu_id: m.id, number_plate: m.number_plate, net_kes: net, carry_in_kes: carryIn };
+    if (paid.has(m.id)) skipped.push({ ...base, reason: 'period already paid' });
+    else if (amount < 1) {
+      if (rowsByMatatu.has(m.id)) skipped.push({ ...base, reason: 'nothing to pay' });
+    } else if (!normalizeMsisdn(m.owner_phone)) skipped.push({ ...base, reason: 'missing or invalid owner_phone' });
+    else plan.push({ ...base, owner_phone: normalizeMsisdn(m.owner_phone), amount_kes: amount });
+  }
+  return { plan, skipped };
+}
+
+async function sendB2C(payout) {
+  return darajaPost('/mpesa/b2c/v3/paymentrequest', {
+    OriginatorConversationID: payout.id,
+    InitiatorName: DARAJA_B2C_INITIATOR,
+    SecurityCredential: DARAJA_B2C_SECURITY_CREDENTIAL,
+    CommandID: 'BusinessPayment',
+    Amount: Number(payout.amount_kes),
+    PartyA: DARAJA_B2C_SHORTCODE || DARAJA_SHORTCODE,
+    PartyB: payout.owner_phone,
+    Remarks: 'TekeTeke owner payout',
+    QueueTimeOutURL: darajaCallbackUrl('/api/payments/b2c/timeout'),
+    ResultURL: darajaCallbackUrl('/api/payments/b2c/result'),
+    // Business days covered; period_to is exclusive
+    Occasion: `${bizDay(payout.period_from)}..${bizDay(new Date(Date.parse(payout.period_to) - 1))}`,
+  });
+}
+
+// Preview what a batch would pay without creating it
+app.get('/api/sacco/:saccoId/payouts/preview', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const { from, to } = parseRange(req.query);
+    const { plan, skipped } = await planPayouts(req.params.saccoId, from, to);
+    return ok(res, { range: { from, to }, total_kes: round2(plan.reduce((a, p) => a + p.amount_kes, 0)), payouts: plan, skipped });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+app.post('/api/sacco/:saccoId/payouts/batches', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    const { saccoId } = req.params;
+    if (!req.body?.from && !req.body?.date) return res.status(400).json({ success: false, error: 'from/to or date required' });
+    const { from, to } = parseRange(req.body);
+    if (Date.parse(to) > Date.now()) return res.status(400).json({ success: false, error: 'period must have ended before it can be paid out' });
+    const { plan, skipped } = await planPayouts(saccoId, from, to);
+    if (!plan.length) return res.status(422).json({ success: false, error: 'nothing to pay for this period', skipped });
+
+    const total = round2(plan.reduce((a, p) => a + p.amount_kes, 0));
+    const { data: batch, error: bErr } = await sbAdmin
+      .from('payout_batches')
+      .insert([{ sacco_id: saccoId, period_from: from, period_to: to, total_kes: total, created_by: req.user?.id || null }])
+      .select()
+      .single();
+    if (bErr) throw bErr;
+    const rows = plan.map((p) => ({
+      batch_id: batch.id,
+      sacco_id: saccoId,
+      matatu_id: p.matatu_id,
+      owner_phone: p.owner_phone,
+      period_from: from,
+      period_to: to,
+      net_kes: p.net_kes,
+      carry_in_kes: p.carry_in_kes,
+      amount_kes: p.amount_kes,
+    }));
+    const { data: payouts, error: pErr } = await sbAdmin.from('payouts').insert(rows).select();
+    if (pErr) {
+      await sbAdmin.from('payout_batches').delete().eq('id', batch.id);
+      if (pErr.code === '23P01') return fail(res, 409, 'a payout for this period was created concurrently; rebuild the batch');
+      throw pErr;
+    }
+    return ok(res, { batch, payouts, skipped });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+app.get('/api/sacco/:saccoId/payouts/batches', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const { data, error, count } = await sbAdmin
+      .from('payout_batches')
+      .select('*', { count: 'exact' })
+      .eq('sacco_id', req.params.saccoId)
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+    if (error) throw error;
+    return res.json({ success: true, items: data || [], count: count || 0 });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+app.get('/api/sacco/:saccoId/payouts/batches/:batchId', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const { saccoId, batchId } = req.params;
+    const [{ data: batch, error: bErr }, { data: payouts, error: pErr }] = await Promise.all([
+      sbAdmin.from('payout_batches').select('*').eq('id', batchId).eq('sacco_id', saccoId).maybeSingle(),
+      sbAdmin.from('payouts').select('*, matatus(number_plate,owner_name)').eq('batch_id', batchId).order('created_at'),
+    ]);
+    if (bErr) throw bErr;
+    if (pErr) throw pErr;
+    if (!batch) return fail(res, 404, 'batch not found');
+    return ok(res, { batch, payouts: payouts || [] });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// Send every PENDING payout in the batch. Each row is claimed (PENDING → SENT) before the
+// B2C call, so a double submit never sends the same payout twice. Only a request Daraja certainly
+// didn't take (err.notSent) marks the payout FAILED, which frees its period; after a timeout, 5xx
+// or dropped connection it stays SENT until the B2C result/timeout callback settles it.
+app.post('/api/sacco/:saccoId/payouts/batches/:batchId/submit', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    if (!b2cConfigured()) return fail(res, 503, 'M-Pesa B2C is not configured');
+    const { saccoId, batchId } = req.params;
+    if (!isUuid(batchId)) return fail(res, 404, 'batch not found');
+    // Stamped before anything is sent, so a cancel racing this submit is refused
+    const { error: sErr } = await sbAdmin
+      .from('payout_batches')
+      .update({ submitted_at: new Date().toISOString() })
+      .eq('id', batchId)
+      .eq('sacco_id', saccoId)
+      .is('submitted_at', null)
+      .neq('status', 'CANCELLED');
+    if (sErr) throw sErr;
+    const { data: batch, error: bErr } = await sbAdmin.from('payout_batches').select('id,status').eq('id', batchId).eq('sacco_id', saccoId).maybeSingle();
+    if (bErr) throw bErr;
+    if (!batch) return fail(res, 404, 'batch not found');
+    if (batch.status === 'CANCELLED') return fail(res, 409, 'batch was cancelled');
+
+    const { data: pending, error: pErr } = await sbAdmin.from('payouts').select('*').eq('batch_id', batchId).eq('status', 'PENDING');
+    if (pErr) throw pErr;
+    const sent = [];
+    const failed = [];
+    const unknown = [];
+    for (const p of pending || []) {
+      const { data: claimed, error: cErr } = await sbAdmin
+        .from('payouts')
+        .update({ status: 'SENT', updated_at: new Date().toISOString() })
+        .eq('id', p.id)
+        .eq('status', 'PENDING')
+        .select('id');
+      if (cErr) throw cErr;
+      if (!claimed || !claimed.length) continue;
+      try {
+        const r = await sendB2C(p);
+        await sbAdmin.from('payouts').update({ conversation_id: r.ConversationID || null }).eq('id', p.id);
+        sent.push(p.id);
+      } catch (e) {
+        if (e.notSent) {
+          await sbAdmin.from('payouts').update({ status: 'FAILED', result_desc: sanitizeErr(e), updated_at: new Date().toISOString() }).eq('id', p.id);
+          failed.push({ id: p.id, error: sanitizeErr(e) });
+        } else {
+          const desc = `outcome unknown, awaiting B2C result: ${sanitizeErr(e)}`.slice(0, 300);
+          await sbAdmin.from('payouts').update({ result_desc: desc, updated_at: new Date().toISOString() }).eq('id', p.id);
+          req.log?.warn({ err: sanitizeErr(e), payout_id: p.id }, 'b2c request outcome unknown; payout left SENT');
+          unknown.push({ id: p.id, error: sanitizeErr(e) });
+        }
+      }
+    }
+    const status = await refreshBatchStatus(batchId);
+    return ok(res, { batch_id: batchId, status, sent: sent.length, failed, unknown });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// Discards a batch nobody has submitted: its payouts become FAILED, so the periods they held can
+// go into a new batch (033_payout_batch_cancel.sql)
+app.post('/api/sacco/:saccoId/payouts/batches/:batchId/cancel', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    const { saccoId, batchId } = req.params;
+    if (!isUuid(batchId)) return fail(res, 404, 'batch not found');
+    const { data: batch, error } = await sbAdmin
+      .from('payout_batches')
+      .update({ status: 'CANCELLED' })
+      .eq('id', batchId)
+      .eq('sacco_id', saccoId)
+      .eq('status', 'DRAFT')
+      .is('submitted_at', null)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!batch) {
+      const { data: cur, error: cErr } = await sbAdmin.from('payout_batches').select('status,submitted_at').eq('id', batchId).eq('sacco_id', saccoId).maybeSingle();
+      if (cErr) throw cErr;
+      if (!cur) return fail(res, 404, 'batch not found');
+      return fail(res, 409, cur.status === 'CANCELLED' ? 'batch already cancelled' : 'batch was already submitted');
+    }
+    const { data: payouts, error: pErr } = await sbAdmin
+      .from('payouts')
+      .update({ status: 'FAILED', result_desc: 'batch cancelled before submit', updated_at: new Date().toISOString() })
+      .eq('batch_id', batchId)
+      .eq('status', 'PENDING')
+      .select('id');
+    if (pErr) throw pErr;
+    return ok(res, { batch, cancelled: (payouts || []).length });
+  } catch (err) {
+    return fail(res, 500, sanitizeErr(err));
+  }
+});
+
+// B2C result: SUCCESS keeps the period paid; FAILED frees it for a later batch
+app.post('/api/payments/b2c/result', requireDarajaCallback, async (req, res) => {
+  const r = req.body?.Result;
+  if (!r || !isUuid(r.OriginatorConversationID)) return res.status(400).json({ ResultCode: 1, ResultDesc: 'Malformed result' });
+  try {
+    const params = {};
+    for (const p of r.ResultParameters?.ResultParameter || []) params[p.Key] = p.Value;
+    const code = Number(r.ResultCode);
+    const { data, error } = await sbAdmin
+      .from('payouts')
+      .update({
+        status: code === 0 ? 'SUCCESS' : 'FAILED',
+        result_code: Number.isFinite(code) ? code : null,
+        result_desc: r.ResultDesc ? String(r.ResultDesc).slice(0, 300) : null,
+        mpesa_receipt: code === 0 ? r.TransactionID || params.TransactionReceipt || null : null,
+        conversation_id: r.ConversationID || null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', String(r.OriginatorConversationID))
+      .eq('status', 'SENT')
+      .select('batch_id');
+    if (error) throw error;
+    if (data && data[0]) await refreshBatchStatus(data[0].batch_id);
+    return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (err) {
+    req.log?.error({ err: sanitizeErr(err) }, 'b2c result failed');
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure' });
+  }
+});
+
+app.post('/api/payments/b2c/timeout', requireDarajaCallback, async (req, res) => {
+  const r = req.body?.Result || req.body || {};
+  try {
+    if (isUuid(r.OriginatorConversationID)) {
+      const { data, error } = await sbAdmin
+        .from('payouts')
+        .update({ status: 'FAILED', result_desc: 'B2C request timed out in queue', updated_at: new Date().toISOString() })
+        .eq('id', String(r.OriginatorConversationID))
+        .eq('status', 'SENT')
+        .select('batch_id');
+      if (error) throw error;
+      if (data && data[0]) await refreshBatchStatus(data[0].batch_id);
+    }
+    return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (err) {
+    req.log?.error({ err: sanitizeErr(err) }, 'b2c timeout failed');
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Temporary failure' });
+  }
+});
+
+// =======================
+// Member savings
+// =======================
+// Savings are the matatu's SAVINGS account with its current SACCO (021_accounts.sql). Owners ask
+// for withdrawals; a SACCO_ADMIN approves, which writes a negative SAVINGS ledger row
+// (022_savings_withdrawals.sql) and returns the money to the owner with the next payout.
+
+// The matatu's OWNER, a SACCO_ADMIN of its SACCO, or SYSTEM_ADMIN. Sets req.matatu.
+async function requireMatatuOwnerOrSaccoAdmin(req, res, next) {
+  try {
+    const m = isUuid(req.params.matatuId) ? await findMatatu({ id: req.params.matatuId }) : null;
+    if (!m) return fail(res, 404, 'matatu not found');
+    req.matatu = m;
+    if (req.user?.role === 'SYSTEM_ADMIN') return next();
+    const [saccos, matatus] = await Promise.all([getSaccoRoles(req.user.id), getMatatuRoles(req.user.id)]);
+    const isOwner = matatus.some((r) => r.matatu_id === m.id && String(r.member_role).toUpperCase() === 'OWNER');
+    const isAdmin = saccos.some((r) => r.sacco_id === m.sacco_id && r.role === 'SACCO_ADMIN');
+    if (!isOwner && !isAdmin) return fail(res, 403, 'Forbidden (not the owner or a SACCO admin of this matatu)');
+    next();
+  } catch (e) {
+    fail(res, 500, sanitizeErr(e));
+  }
+}
+
+// SAVINGS balance before instant `to` (a day start from parseRange), or now when omitted
+async function savingsBalance(matatu, to = null) {
+  const rows = await accountActivity(sbAdmin, { saccoId: matatu.sacco_id, matatuId: matatu.id, to });
+  return round2(rows.filter((r) => r.owner === 'MATATU' && r.code === 'SAVINGS').reduce((a, r) => a + balanceOf(r), 0));
+}
+
+// Balance, requested-but-undecided withdrawals and what is left to request
+async function savingsSummary(matatu) {
+  const [balance, { data: pending, error }] = await Promise.all([
+    savingsBalance(matatu),
+    sbAdmin
+      .from('savings_withdrawals')
+      .select('id,amount_kes,note,requested_by,created_at')
+      .eq('matatu_id', matatu.id)
+      .eq('sacco_id', matatu.sacco_id)
+      .eq('status', 'REQUESTED')
+      .order('created_at', { ascending: false }),
+  ]);
+  if (error) throw error;
+  const pendingKes = round2((pending || []).reduce((a, w) => a + Number(w.amount_kes), 0));
+  return {
+    matatu_id: matatu.id,
+    number_plate: matatu.number_plate,
+    sacco_id: matatu.sacco_id,
+    balance_kes: balance,
+    pending_kes: pendingKes,
+    available_kes: round2(Math.max(balance - pendingKes, 0)),
+    pending: pending || [],
+  };
+}
+
+// Savings of every matatu the caller owns
+app.get('/api/my-savings', requireUser, async (req, res) => {
+  try {
+    const owned = req.user.role === 'SYSTEM_ADMIN' ? [] : (await getMatatuRoles(req.user.id)).filter((r) => String(r.member_role).toUpperCase() === 'OWNER');
+    const items = await Promise.all(owned.map((r) => savingsSummary({ id: r.matatu_id, number_plate: r.plate, sacco_id: r.sacco_id })));
+    return res.json({ success: true, items, count: items.length, total_kes: round2(items.reduce((a, i) => a + i.balance_kes, 0)) });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+app.get('/api/matatu/:matatuId/savings', requireUser, requireMatatuOwnerOrSaccoAdmin, async (req, res) => {
+  try {
+    return ok(res, await savingsSummary(req.matatu));
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Opening balance, every SAVINGS movement in the range with a running balance, closing balance
+app.get('/api/matatu/:matatuId/savings/statement', requireUser, requireMatatuOwnerOrSaccoAdmin, async (req, res) => {
+  try {
+    const m = req.matatu;
+    const { from, to } = parseRange(req.query);
+    const [opening, closing, rows] = await Promise.all([
+      savingsBalance(m, from),
+      savingsBalance(m, to),
+      fetchAll(() =>
+        sbAdmin
+          .from('ledger_entries')
+          .select('id,kind,amount_kes,transaction_id,reason,created_at')
+          .eq('matatu_id', m.id)
+          .eq('sacco_id', m.sacco_id)
+          .eq('type', 'SAVINGS')
+          .gte('created_at', from)
+          .lt('created_at', to)
+          .order('created_at')
+          .order('id')
+      ),
+    ]);
+    let balance = opening;
+    let credits = 0;
+    let debits = 0;
+    const items = rows.map((r) => {
+      const amount = Number(r.amount_kes);
+      if (amount > 0) credits += amount;
+      else debits -= amount;
+      balance = round2(balance + amount);
+      return { ...r, amount_kes: amount, day: bizDay(r.created_at), balance_kes: balance };
+    });
+    return ok(res, {
+      matatu_id: m.id,
+      number_plate: m.number_plate,
+      sacco_id: m.sacco_id,
+      range: { from, to },
+      opening_balance_kes: opening,
+      credits_kes: round2(credits),
+      debits_kes: round2(debits),
+      closing_balance_kes: closing,
+      items,
+    });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Owner (or SACCO_ADMIN on their behalf) asks to withdraw; nothing moves until approval
+app.post('/api/matatu/:matatuId/savings/withdrawals', requireUser, requireMatatuOwnerOrSaccoAdmin, writeLimiter, idempotent, async (req, res) => {
+  try {
+    const amount = round2(req.body?.amount_kes);
+    const note = String(req.body?.note || '').trim().slice(0, 500) || null;
+    if (!(amount > 0)) return fail(res, 400, 'amount_kes must be > 0');
+    const summary = await savingsSummary(req.matatu);
+    if (amount > summary.available_kes) {
+      return res.status(422).json({ success: false, error: `insufficient savings: ${summary.available_kes} KES available`, available_kes: summary.available_kes });
+    }
+    const { data, error } = await sbAdmin
+      .from('savings_withdrawals')
+      .insert([{ sacco_id: req.matatu.sacco_id, matatu_id: req.matatu.id, amount_kes: amount, note, requested_by: req.user.email || req.user.id }])
+      .select()
+      .single();
+    if (error) throw error;
+    return ok(res, data);
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+app.get('/api/sacco/:saccoId/savings/withdrawals', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const { status = '', matatu_id = '' } = req.query;
+    const { limit, offset } = pageParams(req.query);
+    let q = sbAdmin
+      .from('savings_withdrawals')
+      .select('*, matatus(number_plate)', { count: 'exact' })
+      .eq('sacco_id', req.params.saccoId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) q = q.eq('status', String(status).toUpperCase());
+    if (matatu_id) q = q.eq('matatu_id', matatu_id);
+    const { data, error, count } = await q;
+    if (error) throw error;
+    const items = (data || []).map(({ matatus, ...w }) => ({ ...w, number_plate: matatus?.number_plate || null }));
+    return res.json({ success: true, items, count: count || 0 });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+async function getSaccoWithdrawal(saccoId, id) {
+  if (!isUuid(id)) return null;
+  const { data, error } = await sbAdmin.from('savings_withdrawals').select('*').eq('id', id).eq('sacco_id', saccoId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+app.post('/api/sacco/:saccoId/savings/withdrawals/:id/approve', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    const w = await getSaccoWithdrawal(req.params.saccoId, req.params.id);
+    if (!w) return fail(res, 404, 'withdrawal not found');
+    const { data, error } = await sbAdmin.rpc('approve_savings_withdrawal', { p_withdrawal_id: w.id, p_actor: req.user.email || req.user.id });
+    if (error) {
+      if (error.code === 'P0002') return fail(res, 404, error.message);
+      if (error.code === '23514') return fail(res, 409, error.message);
+      throw error;
+    }
+    const row = (Array.isArray(data) ? data[0] : data) || {};
+    return ok(res, { withdrawal_id: w.id, ledger_entry_id: row.ledger_entry_id, balance_kes: Number(row.balance_kes) });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+app.post('/api/sacco/:saccoId/savings/withdrawals/:id/reject', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return fail(res, 400, 'reason required');
+    const w = await getSaccoWithdrawal(req.params.saccoId, req.params.id);
+    if (!w) return fail(res, 404, 'withdrawal not found');
+    const { data, error } = await sbAdmin
+      .from('savings_withdrawals')
+      .update({ status: 'REJECTED', decided_by: req.user.email || req.user.id, decided_at: new Date().toISOString(), decision_reason: reason.slice(0, 500) })
+      .eq('id', w.id)
+      .eq('status', 'REQUESTED')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return fail(res, 409, `withdrawal already ${w.status.toLowerCase()}`);
+    return ok(res, data);
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// =======================
+// Owner loans
+// =======================
+// A loan per matatu (at most one ACTIVE) that LOAN_REPAY splits pay down; schedule and arrears
+// maths in loans.js, tagging and REPAID status in 023_loans.sql.
+
+function loanView(loan, repaid, asOf = bizDay()) {
+  return { ...loan, interest_percent: Number(loan.interest_percent), ...loanPosition(loan, repaid || 0, asOf) };
+}
+
+app.post('/api/sacco/:saccoId/loans', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    const { saccoId } = req.params;
+    const b = req.body || {};
+    const problem = loanProblem(b);
+    if (problem) return fail(res, 400, problem);
+    if (!isUuid(b.matatu_id)) return fail(res, 400, 'matatu_id required');
+    const m = await findMatatu({ id: b.matatu_id });
+    if (!m || m.sacco_id !== saccoId) return fail(res, 400, 'matatu does not belong to sacco');
+    const { data, error } = await sbAdmin
+      .from('loans')
+      .insert([{
+        sacco_id: saccoId,
+        matatu_id: m.id,
+        principal_kes: round2(b.principal_kes),
+        interest_percent: b.interest_percent ?? 0,
+        installments: b.installments,
+        frequency: b.frequency || 'WEEKLY',
+        disbursed_on: b.disbursed_on || bizDay(),
+        note: String(b.note || '').trim().slice(0, 500) || null,
+        created_by: req.user.email || req.user.id,
+      }])
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') return fail(res, 409, 'matatu already has an active loan');
+      throw error;
+    }
+    return ok(res, loanView(data, 0));
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Loans with where each stands today (no schedules); totals cover the listed page
+app.get('/api/sacco/:saccoId/loans', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), async (req, res) => {
+  try {
+    const { status = '', matatu_id = '' } = req.query;
+    const { limit, offset } = pageParams(req.query);
+    let q = sbAdmin
+      .from('loans')
+      .select('*, matatus(number_plate)', { count: 'exact' })
+      .eq('sacco_id', req.params.saccoId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) q = q.eq('status', String(status).toUpperCase());
+    if (matatu_id) q = q.eq('matatu_id', matatu_id);
+    const { data, error, count } = await q;
+    if (error) throw error;
+    const repaid = await loanRepaid((data || []).map((l) => l.id));
+    const items = (data || []).map(({ matatus, ...l }) => {
+      const { schedule, ...view } = loanView(l, repaid.get(l.id));
+      return { ...view, number_plate: matatus?.number_plate || null };
+    });
+    const sum = (k) => round2(items.reduce((a, i) => a + i[k], 0));
+    return res.json({ success: true, items, count: count || 0, totals: { outstanding_kes: sum('outstanding_kes'), arrears_kes: sum('arrears_kes') } });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// Stops an ACTIVE loan without repayment; later LOAN_REPAY splits stop too
+app.post('/api/sacco/:saccoId/loans/:loanId/write-off', requireUser, requireSaccoRoleOrSystem(['SACCO_ADMIN']), writeLimiter, idempotent, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return fail(res, 400, 'reason required');
+    if (!isUuid(req.params.loanId)) return fail(res, 404, 'loan not found');
+    const { data, error } = await sbAdmin
+      .from('loans')
+      .update({ status: 'WRITTEN_OFF', closed_at: new Date().toISOString(), close_reason: reason.slice(0, 500) })
+      .eq('id', req.params.loanId)
+      .eq('sacco_id', req.params.saccoId)
+      .eq('status', 'ACTIVE')
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      const { data: l } = await sbAdmin.from('loans').select('status').eq('id', req.params.loanId).eq('sacco_id', req.params.saccoId).maybeSingle();
+      return l ? fail(res, 409, `loan is ${l.status.toLowerCase()}`) : fail(res, 404, 'loan not found');
+    }
+    return ok(res, data);
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// The matatu's loans with its current SACCO: outstanding, arrears and schedule as of today
+app.get('/api/matatu/:matatuId/loans', requireUser, requireMatatuOwnerOrSaccoAdmin, async (req, res) => {
+  try {
+    const { data, error } = await sbAdmin
+      .from('loans')
+      .select('*')
+      .eq('matatu_id', req.matatu.id)
+      .eq('sacco_id', req.matatu.sacco_id)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    const repaid = await loanRepaid((data || []).map((l) => l.id));
+    const items = (data || []).map((l) => loanView(l, repaid.get(l.id)));
+    return res.json({ success: true, items, count: items.length });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+/**
+ * Repayments over a range (default: disbursement to today) with the balance after each;
+ * a negative balance is an overpayment.
+ */
+app.get('/api/matatu/:matatuId/loans/:loanId/statement', requireUser, requireMatatuOwnerOrSaccoAdmin, async (req, res) => {
+  try {
+    if (!isUuid(req.params.loanId)) return fail(res, 404, 'loan not found');
+    const { data: loan, error } = await sbAdmin.from('loans').select('*').eq('id', req.params.loanId).eq('matatu_id', req.matatu.id).maybeSingle();
+    if (error) throw error;
+    if (!loan) return fail(res, 404, 'loan not found');
+    const q = req.query;
+    const { from, to } = parseRange(q.from || q.to || q.date ? q : { from: loan.disbursed_on });
+    const rows = await fetchAll(() =>
+      sbAdmin
+        .from('ledger_entries')
+        .select('id,kind,amount_kes,transaction_id,reason,created_at')
+        .eq('loan_id', loan.id)
+        .lt('created_at', to)
+        .order('created_at')
+        .order('id')
+    );
+    const total = Number(loan.total_due_kes);
+    const before = rows.filter((r) => Date.parse(r.created_at) < Date.parse(from));
+    let balance = round2(total - before.reduce((a, r) => a + Number(r.amount_kes), 0));
+    const opening = balance;
+    const items = rows
+      .filter((r) => Date.parse(r.created_at) >= Date.parse(from))
+      .map((r) => {
+        balance = round2(balance - Number(r.amount_kes));
+        return { ...r, amount_kes: Number(r.amount_kes), day: bizDay(r.created_at), balance_kes: balance };
+      });
+    const { schedule, ...position } = loanView(loan, round2(total - balance), addDays(bizDay(to), -1));
+    return ok(res, {
+      loan_id: loan.id,
+      matatu_id: loan.matatu_id,
+      status: loan.status,
+      range: { from, to },
+      total_due_kes: total,
+      opening_balance_kes: opening,
+      repaid_kes: round2(opening - balance),
+      closing_balance_kes: balance,
+      arrears_kes: position.arrears_kes,
+      days_in_arrears: position.days_in_arrears,
+      items,
+    });
+  } catch (err) {
+    return fail(res, err.status || 500, sanitizeErr(err));
+  }
+});
+
+// =======================
+// RLS-scoped activity feed
+// =======================
+app.get('/api/sacco/activity', requireUser, async (req, res) => {
+  try {
+    const sbr = getSbFor(req);
+    const saccoId = req.query.sacco_id || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 100);
+    const cursor = req.query.cursor || null; // ISO timestamp keyset
+    let txq = sbr.from('transactions').select('id, sacco_id, created_at, fare_amount_kes, status').order('created_at', { ascending: false }).limit(limit);
+    let leq = sbr.from('ledger_entries').select('id, sacco_id, created_at, amount_kes, type').order('created_at', { ascending: false }).limit(limit);
+    if (saccoId) {
+      txq = txq.eq('sacco_id', saccoId);
+      leq = leq.eq('sacco_id', saccoId);
+    }
+    if (cursor) {
+      txq = txq.lt('created_at', cursor);
+      leq = leq.lt('created_at', cursor);
+    }
+    const [tx, le] = await Promise.all([txq, leq]);
+    if (tx.error) return res.status(500).json({ error: String(tx.error.message || tx.error) });
+    if (le.error) return res.status(500).json({ error: String(le.error.message || le.error) });
+    const events = [
+      ...(tx.data || []).map((r) => ({ kind: 'TX', id: r.id, sacco_id: r.sacco_id, created_at: r.created_at, amount_kes: r.fare_amount_kes, status: r.status })),
+      ...(le.data || []).map((r) => ({ kind: 'FEE', id: r.id, sacco_id: r.sacco_id, created_at: r.created_at, amount_kes: r.amount_kes, type: r.type })),
+    ]
+      .sort((a, b) => (a.created_at > b.created_at ? -1 : 1))
+      .slice(0, limit);
+    const next_cursor = events.length ? events[events.length - 1].created_at : null;
+    res.json({ events, next_cursor });
+  } catch (e) {
+    res.status(500).json({ error: String(e.message || e) });
+  }
+});
+
+// =======================
+// Taxi & Boda minimal endpoints for UI (in-memory store)
+// =======================
 const _mem = {
   taxi: { cash: [], expenses: [] },
   boda: { cash: [], expenses: [] },
 };
-function _todayStr(d = new Date()) { return d.toISOString().slice(0, 10); }
-function _isSameDay(iso, day) { return String(iso || '').slice(0, 10) === day; }
+function _todayStr(d = new Date()) { return bizDay(d); }
+function _isSameDay(iso, day) { return !!iso && bizDay(iso) === day; }
 function _mkRow(kind, body) {
   return {
     id: randomUUID(),
@@ -1458,7 +4732,7 @@ function _bindSimpleBook(namespace) {
     res.json({ date: day, cash: round2(cash), expenses: round2(expenses), net: round2(cash - expenses) });
   });
 
-  app.post(`/api/${namespace}/cash`, requireUser, writeLimiter, async (req, res) => {
+  app.post(`/api/${namespace}/cash`, requireUser, writeLimiter, idempotent, async (req, res) => {
     try {
       const { amount } = req.body || {};
       if (!Number.isFinite(Number(amount))) return res.status(422).json({ success: false, error: 'numeric amount required' });
@@ -1469,7 +4743,7 @@ function _bindSimpleBook(namespace) {
     } catch (e) { res.status(500).json({ success: false, error: sanitizeErr(e) }); }
   });
 
-  app.post(`/api/${namespace}/expenses`, requireUser, writeLimiter, async (req, res) => {
+  app.post(`/api/${namespace}/expenses`, requireUser, writeLimiter, idempotent, async (req, res) => {
     try {
       const { amount } = req.body || {};
       if (!Number.isFinite(Number(amount))) return res.status(422).json({ success: false, error: 'numeric amount required' });
@@ -1534,6 +4808,9 @@ app.use((err, req, res, next) => {
 
 // ---- Start server locally; Vercel will import the app ----
 if (!process.env.VERCEL) {
+  if (SWEEP.intervalMs > 0) {
+    setInterval(() => sweepPendingTransactions().catch(() => {}), SWEEP.intervalMs).unref();
+  }
   app.listen(PORT, () => {
     console.log(`[TekeTeke] Listening on :${PORT}`);
     console.log('[ENV] URL:', !!SUPABASE_URL, 'ANON:', !!SUPABASE_ANON_KEY, 'SRV:', !!SUPABASE_SERVICE_ROLE);
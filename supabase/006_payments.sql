@@ -0,0 +1,14 @@
+-- M-Pesa STK Push payments (safe/idempotent)
+
+-- Split snapshot taken at initiation; the callback settles against this,
+-- so a quote the passenger accepted never changes under them.
+alter table if exists transactions
+  add column if not exists splits jsonb;
+alter table if exists transactions
+  add column if not exists mpesa_merchant_request_id text;
+alter table if exists transactions
+  add column if not exists charged_amount_kes numeric(10,2);
+alter table if exists transactions
+  add column if not exists updated_at timestamptz default now();
+
+create index if not exists transactions_status_created_idx on transactions(status, created_at);
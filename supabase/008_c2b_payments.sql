@@ -0,0 +1,43 @@
+-- C2B (pay-to-till) confirmations (safe/idempotent)
+
+alter table if exists transactions
+  add column if not exists channel text not null default 'STK';
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'chk_transactions_channel') then
+    alter table transactions add constraint chk_transactions_channel check (channel in ('STK','C2B'));
+  end if;
+end $$;
+
+-- Records a confirmed till payment as a SUCCESS transaction plus its ledger splits in
+-- one database transaction. TransID is the idempotency anchor (mpesa_checkout_id), so
+-- a re-delivered confirmation settles nothing twice.
+create or replace function record_c2b_payment(
+  p_trans_id    text,
+  p_sacco_id    uuid,
+  p_matatu_id   uuid,
+  p_msisdn      text,
+  p_fare        numeric,
+  p_service_fee numeric,
+  p_charged     numeric,
+  p_splits      jsonb
+)
+returns table (transaction_id uuid, status text, applied boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into transactions (
+    sacco_id, matatu_id, passenger_msisdn, fare_amount_kes, service_fee_kes,
+    charged_amount_kes, status, channel, mpesa_checkout_id, splits
+  )
+  values (
+    p_sacco_id, p_matatu_id, p_msisdn, p_fare, p_service_fee,
+    p_charged, 'PENDING', 'C2B', p_trans_id, p_splits
+  )
+  on conflict (mpesa_checkout_id) do nothing;
+
+  return query select * from settle_transaction(p_trans_id, 'SUCCESS', 0, 'C2B confirmation', p_trans_id);
+end $$;
+
+revoke all on function record_c2b_payment(text, uuid, uuid, text, numeric, numeric, numeric, jsonb) from public, anon, authenticated;
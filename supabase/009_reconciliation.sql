@@ -0,0 +1,19 @@
+-- M-Pesa statement reconciliation reports (safe/idempotent)
+
+create table if not exists reconciliation_reports (
+  id uuid primary key default gen_random_uuid(),
+  sacco_id uuid references saccos(id) on delete set null,
+  source_name text,                        -- uploaded file name, if given
+  period_from timestamptz,
+  period_to   timestamptz,
+  summary jsonb not null default '{}'::jsonb,  -- counts + totals per category
+  items   jsonb not null default '[]'::jsonb,  -- one row per statement line / missing transaction
+  created_by text,
+  created_at timestamptz default now()
+);
+create index if not exists reconciliation_reports_sacco_idx on reconciliation_reports(sacco_id, created_at desc);
+
+create index if not exists transactions_receipt_idx on transactions(mpesa_receipt) where mpesa_receipt is not null;
+
+-- Service-role only; dashboards read through the admin API
+alter table reconciliation_reports enable row level security;
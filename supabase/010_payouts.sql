@@ -0,0 +1,52 @@
+-- B2C payouts of NET_TO_OWNER to matatu owners (safe/idempotent)
+
+create extension if not exists btree_gist;
+
+create table if not exists payout_batches (
+  id uuid primary key default gen_random_uuid(),
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  period_from timestamptz not null,
+  period_to   timestamptz not null,            -- exclusive
+  status text not null default 'DRAFT'
+    check (status in ('DRAFT','SUBMITTED','COMPLETED','PARTIAL','FAILED')),
+  total_kes numeric(12,2) not null default 0,
+  created_by text,
+  created_at timestamptz default now(),
+  submitted_at timestamptz,
+  check (period_to > period_from)
+);
+create index if not exists payout_batches_sacco_idx on payout_batches(sacco_id, created_at desc);
+
+create table if not exists payouts (
+  id uuid primary key default gen_random_uuid(),   -- doubles as B2C OriginatorConversationID
+  batch_id  uuid not null references payout_batches(id) on delete cascade,
+  sacco_id  uuid not null references saccos(id) on delete cascade,
+  matatu_id uuid not null references matatus(id) on delete cascade,
+  owner_phone text not null,
+  period_from timestamptz not null,
+  period_to   timestamptz not null,
+  net_kes    numeric(12,2) not null,               -- NET_TO_OWNER from the ledger
+  amount_kes numeric(12,2) not null check (amount_kes > 0), -- whole KES actually sent
+  status text not null default 'PENDING'
+    check (status in ('PENDING','SENT','SUCCESS','FAILED')),
+  conversation_id text unique,
+  mpesa_receipt text,
+  result_code integer,
+  result_desc text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+create index if not exists payouts_batch_idx  on payouts(batch_id);
+create index if not exists payouts_matatu_idx on payouts(matatu_id, period_from);
+
+-- A ledger period is paid at most once per matatu; FAILED payouts free the period again.
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'payouts_no_double_period') then
+    alter table payouts add constraint payouts_no_double_period
+      exclude using gist (matatu_id with =, tstzrange(period_from, period_to, '[)') with &&)
+      where (status <> 'FAILED');
+  end if;
+end $$;
+
+alter table payout_batches enable row level security;
+alter table payouts enable row level security;
@@ -0,0 +1,88 @@
+-- Reversals and manual ledger adjustments (safe/idempotent)
+
+-- SPLIT rows come from settlement; REVERSAL rows negate one SPLIT row; ADJUSTMENT rows
+-- are manual credits (+) or debits (-) and always carry a reason.
+alter table if exists ledger_entries
+  add column if not exists kind text not null default 'SPLIT';
+alter table if exists ledger_entries
+  add column if not exists reversal_of uuid references ledger_entries(id) on delete cascade;
+alter table if exists ledger_entries
+  add column if not exists reason text;
+alter table if exists ledger_entries
+  add column if not exists created_by text;
+
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'chk_ledger_kind') then
+    alter table ledger_entries add constraint chk_ledger_kind check (
+      (kind = 'SPLIT'      and amount_kes > 0 and reversal_of is null)
+      or (kind = 'REVERSAL'   and amount_kes < 0 and reversal_of is not null and coalesce(reason, '') <> '')
+      or (kind = 'ADJUSTMENT' and amount_kes <> 0 and reversal_of is null and coalesce(reason, '') <> '')
+    );
+  end if;
+end $$;
+-- Superseded by chk_ledger_kind (SPLIT rows stay positive)
+alter table if exists ledger_entries drop constraint if exists chk_ledger_amount_positive;
+
+-- A SPLIT row is reversed at most once
+create unique index if not exists uq_ledger_reversal_of on ledger_entries(reversal_of) where reversal_of is not null;
+create index if not exists ledger_kind_idx on ledger_entries(kind) where kind <> 'SPLIT';
+
+alter table if exists transactions
+  add column if not exists reversed_at timestamptz;
+alter table if exists transactions
+  add column if not exists reversal_reason text;
+alter table if exists transactions
+  add column if not exists reversed_by text;
+
+-- Writes one negative REVERSAL row per SPLIT row of a SUCCESS transaction and stamps
+-- the transaction, in one database transaction. Already-reversed transactions are
+-- returned with applied = false.
+create or replace function reverse_transaction(
+  p_transaction_id uuid,
+  p_reason         text,
+  p_actor          text default null
+)
+returns table (transaction_id uuid, entries integer, applied boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t transactions%rowtype;
+  n integer;
+begin
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'reason required';
+  end if;
+
+  select * into t from transactions where id = p_transaction_id for update;
+  if not found then
+    return;
+  end if;
+
+  if t.reversed_at is not null then
+    return query select t.id, 0, false;
+    return;
+  end if;
+  if t.status <> 'SUCCESS' then
+    raise exception 'only SUCCESS transactions can be reversed (status %)', t.status
+      using errcode = 'check_violation';
+  end if;
+
+  insert into ledger_entries (transaction_id, sacco_id, matatu_id, type, amount_kes, kind, reversal_of, reason, created_by)
+  select le.transaction_id, le.sacco_id, le.matatu_id, le.type, -le.amount_kes, 'REVERSAL', le.id, p_reason, p_actor
+    from ledger_entries le
+   where le.transaction_id = t.id and le.kind = 'SPLIT';
+  get diagnostics n = row_count;
+
+  update transactions
+     set reversed_at = now(),
+         reversal_reason = p_reason,
+         reversed_by = p_actor,
+         updated_at = now()
+   where id = t.id;
+
+  return query select t.id, n, true;
+end $$;
+
+revoke all on function reverse_transaction(uuid, text, text) from public, anon, authenticated;
@@ -0,0 +1,18 @@
+-- Idempotency-Key store for retried writes (safe/idempotent)
+
+create table if not exists idempotency_keys (
+  actor text not null,                      -- user id, or 'admin' for the root token
+  key   text not null,
+  scope text not null,                      -- "METHOD /path" the key was first used on
+  request_hash text not null,               -- sha256 of the canonical JSON body
+  status_code integer,                      -- null while the first request is in flight
+  response jsonb,
+  created_at timestamptz not null default now(),
+  primary key (actor, key)
+);
+-- Rows past IDEMPOTENCY_TTL_HOURS are replaced on reuse; purge the rest periodically:
+--   delete from idempotency_keys where created_at < now() - interval '7 days';
+create index if not exists idempotency_keys_created_idx on idempotency_keys(created_at);
+
+-- Service-role only
+alter table idempotency_keys enable row level security;
@@ -0,0 +1,19 @@
+-- USSD gateway sessions (safe/idempotent)
+
+-- One row per gateway sessionId; `state` holds the menu step and choices so far.
+create table if not exists ussd_sessions (
+  session_id   text primary key,
+  msisdn       text not null,
+  service_code text,
+  state        jsonb not null default '{}'::jsonb,
+  transaction_id uuid references transactions(id) on delete set null,
+  created_at   timestamptz not null default now(),
+  updated_at   timestamptz not null default now()
+);
+-- Gateways drop sessions after ~3 minutes; old rows are only kept for support lookups:
+--   delete from ussd_sessions where updated_at < now() - interval '7 days';
+create index if not exists ussd_sessions_updated_idx on ussd_sessions(updated_at);
+create index if not exists ussd_sessions_msisdn_idx on ussd_sessions(msisdn, created_at desc);
+
+-- Service-role only
+alter table ussd_sessions enable row level security;
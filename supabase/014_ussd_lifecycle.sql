@@ -0,0 +1,187 @@
+-- USSD code lifecycle: suspend/resume, release, reassign + allocation history (safe/idempotent)
+
+alter table if exists ussd_pool
+  add column if not exists status text not null default 'ACTIVE';
+alter table if exists ussd_pool
+  add column if not exists status_reason text;
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'chk_ussd_pool_status') then
+    alter table ussd_pool add constraint chk_ussd_pool_status check (status in ('ACTIVE','SUSPENDED'));
+  end if;
+end $$;
+
+-- Append-only: one row per change to a code's holder or status, written by trigger
+create table if not exists ussd_allocation_history (
+  id bigserial primary key,
+  base text not null,
+  action text not null check (action in ('ALLOCATE','RELEASE','REASSIGN','SUSPEND','RESUME')),
+  level text,
+  sacco_id uuid,
+  matatu_id uuid,
+  prev_level text,
+  prev_sacco_id uuid,
+  prev_matatu_id uuid,
+  reason text,
+  actor text,
+  created_at timestamptz not null default now()
+);
+create index if not exists ussd_history_base_idx on ussd_allocation_history(base, created_at desc);
+create index if not exists ussd_history_matatu_idx on ussd_allocation_history(matatu_id) where matatu_id is not null;
+create index if not exists ussd_history_sacco_idx on ussd_allocation_history(sacco_id) where sacco_id is not null;
+
+create or replace function ussd_history_is_append_only()
+returns trigger language plpgsql as $$
+begin
+  raise exception 'ussd_allocation_history is append-only';
+end $$;
+drop trigger if exists trg_ussd_history_append_only on ussd_allocation_history;
+create trigger trg_ussd_history_append_only
+  before update or delete on ussd_allocation_history
+  for each row execute function ussd_history_is_append_only();
+
+-- Lifecycle functions pass actor/reason to the trigger through transaction-local settings;
+-- plain updates (assign-next, bind-from-pool) are logged without them.
+create or replace function ussd_pool_log_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_action text;
+begin
+  if old.allocated = false and new.allocated = true then
+    v_action := 'ALLOCATE';
+  elsif old.allocated = true and new.allocated = false then
+    v_action := 'RELEASE';
+  elsif new.allocated and (old.level, old.sacco_id, old.matatu_id) is distinct from (new.level, new.sacco_id, new.matatu_id) then
+    v_action := 'REASSIGN';
+  end if;
+
+  if v_action is not null then
+    insert into ussd_allocation_history (base, action, level, sacco_id, matatu_id, prev_level, prev_sacco_id, prev_matatu_id, reason, actor)
+    values (new.base, v_action, new.level, new.sacco_id, new.matatu_id, old.level, old.sacco_id, old.matatu_id,
+            nullif(current_setting('teketeke.ussd_reason', true), ''), nullif(current_setting('teketeke.ussd_actor', true), ''));
+  end if;
+
+  if old.status is distinct from new.status then
+    insert into ussd_allocation_history (base, action, level, sacco_id, matatu_id, reason, actor)
+    values (new.base, case when new.status = 'SUSPENDED' then 'SUSPEND' else 'RESUME' end,
+            new.level, new.sacco_id, new.matatu_id,
+            nullif(current_setting('teketeke.ussd_reason', true), ''), nullif(current_setting('teketeke.ussd_actor', true), ''));
+  end if;
+  return new;
+end $$;
+drop trigger if exists trg_ussd_pool_log_change on ussd_pool;
+create trigger trg_ussd_pool_log_change
+  after update on ussd_pool
+  for each row execute function ussd_pool_log_change();
+
+create or replace function ussd_set_context(p_reason text, p_actor text)
+returns void language sql as $$
+  select set_config('teketeke.ussd_reason', coalesce(p_reason, ''), true),
+         set_config('teketeke.ussd_actor', coalesce(p_actor, ''), true);
+$$;
+
+-- Frees an allocated code (it goes back to the available list unless suspended)
+create or replace function ussd_release(p_base text, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform ussd_set_context(p_reason, p_actor);
+  return query
+    update ussd_pool
+       set allocated = false, level = null, sacco_id = null, matatu_id = null, cashier_id = null, allocated_at = null
+     where base = p_base and allocated
+    returning *;
+  if not found then
+    raise exception 'code % is not allocated', p_base using errcode = 'no_data_found';
+  end if;
+end $$;
+
+-- Moves an allocated code to another SACCO/matatu without passing through the free list
+create or replace function ussd_reassign(
+  p_base text, p_level text, p_sacco_id uuid, p_matatu_id uuid,
+  p_reason text default null, p_actor text default null
+)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_level not in ('SACCO','MATATU') then
+    raise exception 'level must be SACCO or MATATU' using errcode = 'check_violation';
+  end if;
+  perform ussd_set_context(p_reason, p_actor);
+  return query
+    update ussd_pool
+       set level = p_level,
+           sacco_id = case when p_level = 'SACCO' then p_sacco_id end,
+           matatu_id = case when p_level = 'MATATU' then p_matatu_id end,
+           cashier_id = null,
+           allocated_at = now()
+     where base = p_base and allocated
+    returning *;
+  if not found then
+    raise exception 'code % is not allocated', p_base using errcode = 'no_data_found';
+  end if;
+end $$;
+
+-- SUSPENDED codes stay with their holder but stop answering dials and can't be handed out
+create or replace function ussd_set_status(p_base text, p_status text, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform ussd_set_context(p_reason, p_actor);
+  return query
+    update ussd_pool
+       set status = p_status,
+           status_reason = case when p_status = 'SUSPENDED' then p_reason end
+     where base = p_base
+    returning *;
+  if not found then
+    raise exception 'code % is not in the pool', p_base using errcode = 'no_data_found';
+  end if;
+end $$;
+
+-- Deleting a matatu or SACCO frees its codes (ussd_pool has no FKs to them)
+create or replace function ussd_release_for_deleted_holder()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform ussd_set_context(tg_table_name || ' deleted', 'system');
+  if tg_table_name = 'matatus' then
+    update ussd_pool set allocated = false, level = null, sacco_id = null, matatu_id = null, cashier_id = null, allocated_at = null
+     where matatu_id = old.id;
+  else
+    update ussd_pool set allocated = false, level = null, sacco_id = null, matatu_id = null, cashier_id = null, allocated_at = null
+     where sacco_id = old.id;
+  end if;
+  return old;
+end $$;
+drop trigger if exists trg_matatus_release_ussd on matatus;
+create trigger trg_matatus_release_ussd
+  after delete on matatus
+  for each row execute function ussd_release_for_deleted_holder();
+drop trigger if exists trg_saccos_release_ussd on saccos;
+create trigger trg_saccos_release_ussd
+  after delete on saccos
+  for each row execute function ussd_release_for_deleted_holder();
+
+revoke all on function ussd_release(text, text, text) from public, anon, authenticated;
+revoke all on function ussd_reassign(text, text, uuid, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_set_status(text, text, text, text) from public, anon, authenticated;
+revoke all on function ussd_set_context(text, text) from public, anon, authenticated;
+
+-- Service-role only
+alter table ussd_allocation_history enable row level security;
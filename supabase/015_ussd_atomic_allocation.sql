@@ -0,0 +1,129 @@
+-- Race-free USSD allocation + short-lived reservations (safe/idempotent)
+
+alter table if exists ussd_pool
+  add column if not exists reservation_id uuid;
+alter table if exists ussd_pool
+  add column if not exists reserved_until timestamptz;
+create unique index if not exists uq_ussd_pool_reservation on ussd_pool(reservation_id) where reservation_id is not null;
+
+-- Holds the lowest free code (or p_base) for p_ttl_seconds so the admin UI can preview it.
+-- Expired reservations are simply ignored; nothing needs to clean them up.
+create or replace function ussd_reserve(p_base text default null, p_ttl_seconds integer default 120)
+returns table (base text, checksum text, reservation_id uuid, reserved_until timestamptz)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_base text;
+begin
+  select p.base into v_base
+    from ussd_pool p
+   where not p.allocated
+     and p.status = 'ACTIVE'
+     and (p.reserved_until is null or p.reserved_until < now())
+     and (p_base is null or p.base = p_base)
+   order by p.base
+   limit 1
+   for update skip locked;
+  if v_base is null then
+    if p_base is null then raise exception 'no free codes in pool'; end if;
+    raise exception 'code % is not available', p_base;
+  end if;
+
+  return query
+    update ussd_pool p
+       set reservation_id = gen_random_uuid(),
+           reserved_until = now() + make_interval(secs => greatest(10, least(coalesce(p_ttl_seconds, 120), 600)))
+     where p.base = v_base
+    returning p.base, p.checksum, p.reservation_id, p.reserved_until;
+end $$;
+
+create or replace function ussd_cancel_reservation(p_reservation_id uuid)
+returns boolean
+language sql
+security definer
+set search_path = public
+as $$
+  with u as (
+    update ussd_pool set reservation_id = null, reserved_until = null
+     where reservation_id = p_reservation_id and not allocated
+    returning 1
+  )
+  select exists (select 1 from u);
+$$;
+
+-- Claims one code in a single statement. Which code:
+--   p_reservation_id → the code held by that (unexpired) reservation (and equal to p_base, if given)
+--   p_base           → exactly that code (bind-from-pool)
+--   neither          → the lowest free, unreserved code (assign-next)
+-- Rows are locked with skip locked, so concurrent callers never get the same code.
+create or replace function ussd_allocate(
+  p_level          text,
+  p_sacco_id       uuid default null,
+  p_matatu_id      uuid default null,
+  p_base           text default null,
+  p_reservation_id uuid default null,
+  p_actor          text default null
+)
+returns table (base text, checksum text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_base text;
+begin
+  if p_level = 'SACCO' and p_sacco_id is null or p_level = 'MATATU' and p_matatu_id is null
+     or p_level not in ('SACCO','MATATU') then
+    raise exception 'level must be SACCO (sacco_id) or MATATU (matatu_id)';
+  end if;
+
+  if p_reservation_id is not null then
+    select p.base into v_base from ussd_pool p
+     where p.reservation_id = p_reservation_id and p.reserved_until >= now()
+       and not p.allocated and p.status = 'ACTIVE'
+       and (p_base is null or p.base = p_base)
+     for update;
+    if v_base is null then raise exception 'reservation expired or unknown'; end if;
+  elsif p_base is not null then
+    select p.base into v_base from ussd_pool p
+     where p.base = p_base and not p.allocated and p.status = 'ACTIVE'
+       and (p.reserved_until is null or p.reserved_until < now())
+     for update skip locked;
+    if v_base is null then
+      if not exists (select 1 from ussd_pool p where p.base = p_base) then raise exception 'base not in pool'; end if;
+      if exists (select 1 from ussd_pool p where p.base = p_base and p.status = 'SUSPENDED') then raise exception 'code is suspended'; end if;
+      if exists (select 1 from ussd_pool p where p.base = p_base and not p.allocated) then raise exception 'code is reserved'; end if;
+      raise exception 'already allocated';
+    end if;
+  else
+    select p.base into v_base from ussd_pool p
+     where not p.allocated and p.status = 'ACTIVE'
+       and (p.reserved_until is null or p.reserved_until < now())
+     order by p.base
+     limit 1
+     for update skip locked;
+    if v_base is null then raise exception 'no free codes in pool'; end if;
+  end if;
+
+  perform ussd_set_context(null, p_actor);
+  return query
+    update ussd_pool p
+       set allocated = true,
+           level = p_level,
+           sacco_id = case when p_level = 'SACCO' then p_sacco_id end,
+           matatu_id = case when p_level = 'MATATU' then p_matatu_id end,
+           cashier_id = null,
+           allocated_at = now(),
+           reservation_id = null,
+           reserved_until = null
+     where p.base = v_base and not p.allocated
+    returning p.base, p.checksum;
+end $$;
+
+revoke all on function ussd_reserve(text, integer) from public, anon, authenticated;
+revoke all on function ussd_cancel_reservation(uuid) from public, anon, authenticated;
+revoke all on function ussd_allocate(text, uuid, uuid, text, uuid, text) from public, anon, authenticated;
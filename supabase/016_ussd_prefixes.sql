@@ -0,0 +1,296 @@
+-- USSD pool per prefix (several shortcodes side by side) + retired ranges (safe/idempotent)
+
+-- Every pool row belongs to a service-code prefix; existing rows are *001*
+alter table if exists ussd_pool
+  add column if not exists prefix text not null default '*001*';
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'chk_ussd_pool_prefix') then
+    alter table ussd_pool add constraint chk_ussd_pool_prefix check (prefix ~ '^\*[0-9]{1,4}\*$');
+  end if;
+end $$;
+
+-- Re-key: the same base may exist once per prefix
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'ussd_pool_prefix_base_pkey') then
+    alter table ussd_pool drop constraint if exists ussd_pool_pkey;
+    alter table ussd_pool add constraint ussd_pool_prefix_base_pkey primary key (prefix, base);
+  end if;
+end $$;
+create index if not exists ussd_pool_prefix_free_idx on ussd_pool(prefix, base) where not allocated and status = 'ACTIVE';
+
+-- RETIRED rows are out of circulation (never handed out, excluded from capacity)
+alter table if exists ussd_pool
+  add column if not exists retired_at timestamptz;
+alter table if exists ussd_pool drop constraint if exists chk_ussd_pool_status;
+alter table if exists ussd_pool
+  add constraint chk_ussd_pool_status check (status in ('ACTIVE','SUSPENDED','RETIRED'));
+
+alter table if exists ussd_allocation_history
+  add column if not exists prefix text not null default '*001*';
+alter table if exists ussd_allocation_history drop constraint if exists ussd_allocation_history_action_check;
+alter table if exists ussd_allocation_history
+  add constraint ussd_allocation_history_action_check
+  check (action in ('ALLOCATE','RELEASE','REASSIGN','SUSPEND','RESUME','RETIRE','RESTORE'));
+drop index if exists ussd_history_base_idx;
+create index if not exists ussd_history_code_idx on ussd_allocation_history(prefix, base, created_at desc);
+
+create or replace function ussd_pool_log_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_action text;
+  v_reason text := nullif(current_setting('teketeke.ussd_reason', true), '');
+  v_actor  text := nullif(current_setting('teketeke.ussd_actor', true), '');
+begin
+  if old.allocated = false and new.allocated = true then
+    v_action := 'ALLOCATE';
+  elsif old.allocated = true and new.allocated = false then
+    v_action := 'RELEASE';
+  elsif new.allocated and (old.level, old.sacco_id, old.matatu_id) is distinct from (new.level, new.sacco_id, new.matatu_id) then
+    v_action := 'REASSIGN';
+  end if;
+
+  if v_action is not null then
+    insert into ussd_allocation_history (prefix, base, action, level, sacco_id, matatu_id, prev_level, prev_sacco_id, prev_matatu_id, reason, actor)
+    values (new.prefix, new.base, v_action, new.level, new.sacco_id, new.matatu_id, old.level, old.sacco_id, old.matatu_id, v_reason, v_actor);
+  end if;
+
+  if old.status is distinct from new.status then
+    insert into ussd_allocation_history (prefix, base, action, level, sacco_id, matatu_id, reason, actor)
+    values (new.prefix, new.base,
+            case new.status
+              when 'SUSPENDED' then 'SUSPEND'
+              when 'RETIRED' then 'RETIRE'
+              else case old.status when 'RETIRED' then 'RESTORE' else 'RESUME' end
+            end,
+            new.level, new.sacco_id, new.matatu_id, v_reason, v_actor);
+  end if;
+  return new;
+end $$;
+
+-- Lifecycle + allocation functions gain p_prefix (replaces the base-only signatures)
+drop function if exists ussd_release(text, text, text);
+drop function if exists ussd_reassign(text, text, uuid, uuid, text, text);
+drop function if exists ussd_set_status(text, text, text, text);
+drop function if exists ussd_reserve(text, integer);
+drop function if exists ussd_allocate(text, uuid, uuid, text, uuid, text);
+
+create or replace function ussd_release(p_prefix text, p_base text, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform ussd_set_context(p_reason, p_actor);
+  return query
+    update ussd_pool
+       set allocated = false, level = null, sacco_id = null, matatu_id = null, cashier_id = null, allocated_at = null
+     where prefix = p_prefix and base = p_base and allocated
+    returning *;
+  if not found then
+    raise exception 'code % is not allocated', p_prefix || p_base using errcode = 'no_data_found';
+  end if;
+end $$;
+
+create or replace function ussd_reassign(
+  p_prefix text, p_base text, p_level text, p_sacco_id uuid, p_matatu_id uuid,
+  p_reason text default null, p_actor text default null
+)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_level not in ('SACCO','MATATU') then
+    raise exception 'level must be SACCO or MATATU' using errcode = 'check_violation';
+  end if;
+  perform ussd_set_context(p_reason, p_actor);
+  return query
+    update ussd_pool
+       set level = p_level,
+           sacco_id = case when p_level = 'SACCO' then p_sacco_id end,
+           matatu_id = case when p_level = 'MATATU' then p_matatu_id end,
+           cashier_id = null,
+           allocated_at = now()
+     where prefix = p_prefix and base = p_base and allocated
+    returning *;
+  if not found then
+    raise exception 'code % is not allocated', p_prefix || p_base using errcode = 'no_data_found';
+  end if;
+end $$;
+
+-- Suspend/resume only; RETIRED rows are managed through the range functions below
+create or replace function ussd_set_status(p_prefix text, p_base text, p_status text, p_reason text default null, p_actor text default null)
+returns setof ussd_pool
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_status not in ('ACTIVE','SUSPENDED') then
+    raise exception 'status must be ACTIVE or SUSPENDED' using errcode = 'check_violation';
+  end if;
+  perform ussd_set_context(p_reason, p_actor);
+  return query
+    update ussd_pool
+       set status = p_status,
+           status_reason = case when p_status = 'SUSPENDED' then p_reason end
+     where prefix = p_prefix and base = p_base and status <> 'RETIRED'
+    returning *;
+  if not found then
+    raise exception 'code % is not in the pool', p_prefix || p_base using errcode = 'no_data_found';
+  end if;
+end $$;
+
+create or replace function ussd_reserve(p_prefix text, p_base text default null, p_ttl_seconds integer default 120)
+returns table (prefix text, base text, checksum text, reservation_id uuid, reserved_until timestamptz)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_base text;
+begin
+  select p.base into v_base
+    from ussd_pool p
+   where p.prefix = p_prefix
+     and not p.allocated
+     and p.status = 'ACTIVE'
+     and (p.reserved_until is null or p.reserved_until < now())
+     and (p_base is null or p.base = p_base)
+   order by p.base
+   limit 1
+   for update skip locked;
+  if v_base is null then
+    if p_base is null then raise exception 'no free codes in pool for %', p_prefix; end if;
+    raise exception 'code % is not available', p_prefix || p_base;
+  end if;
+
+  return query
+    update ussd_pool p
+       set reservation_id = gen_random_uuid(),
+           reserved_until = now() + make_interval(secs => greatest(10, least(coalesce(p_ttl_seconds, 120), 600)))
+     where p.prefix = p_prefix and p.base = v_base
+    returning p.prefix, p.base, p.checksum, p.reservation_id, p.reserved_until;
+end $$;
+
+create or replace function ussd_allocate(
+  p_level          text,
+  p_sacco_id       uuid default null,
+  p_matatu_id      uuid default null,
+  p_base           text default null,
+  p_reservation_id uuid default null,
+  p_actor          text default null,
+  p_prefix         text default '*001*'
+)
+returns table (prefix text, base text, checksum text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_base text;
+begin
+  if p_level = 'SACCO' and p_sacco_id is null or p_level = 'MATATU' and p_matatu_id is null
+     or p_level not in ('SACCO','MATATU') then
+    raise exception 'level must be SACCO (sacco_id) or MATATU (matatu_id)';
+  end if;
+
+  if p_reservation_id is not null then
+    select p.base into v_base from ussd_pool p
+     where p.prefix = p_prefix
+       and p.reservation_id = p_reservation_id and p.reserved_until >= now()
+       and not p.allocated and p.status = 'ACTIVE'
+       and (p_base is null or p.base = p_base)
+     for update;
+    if v_base is null then raise exception 'reservation expired or unknown'; end if;
+  elsif p_base is not null then
+    select p.base into v_base from ussd_pool p
+     where p.prefix = p_prefix and p.base = p_base and not p.allocated and p.status = 'ACTIVE'
+       and (p.reserved_until is null or p.reserved_until < now())
+     for update skip locked;
+    if v_base is null then
+      if not exists (select 1 from ussd_pool p where p.prefix = p_prefix and p.base = p_base and p.status <> 'RETIRED') then
+        raise exception 'base not in pool';
+      end if;
+      if exists (select 1 from ussd_pool p where p.prefix = p_prefix and p.base = p_base and p.status = 'SUSPENDED') then raise exception 'code is suspended'; end if;
+      if exists (select 1 from ussd_pool p where p.prefix = p_prefix and p.base = p_base and not p.allocated) then raise exception 'code is reserved'; end if;
+      raise exception 'already allocated';
+    end if;
+  else
+    select p.base into v_base from ussd_pool p
+     where p.prefix = p_prefix and not p.allocated and p.status = 'ACTIVE'
+       and (p.reserved_until is null or p.reserved_until < now())
+     order by p.base
+     limit 1
+     for update skip locked;
+    if v_base is null then raise exception 'no free codes in pool'; end if;
+  end if;
+
+  perform ussd_set_context(null, p_actor);
+  return query
+    update ussd_pool p
+       set allocated = true,
+           level = p_level,
+           sacco_id = case when p_level = 'SACCO' then p_sacco_id end,
+           matatu_id = case when p_level = 'MATATU' then p_matatu_id end,
+           cashier_id = null,
+           allocated_at = now(),
+           reservation_id = null,
+           reserved_until = null
+     where p.prefix = p_prefix and p.base = v_base and not p.allocated
+    returning p.prefix, p.base, p.checksum;
+end $$;
+
+-- Takes free codes in [from, to] out of circulation; allocated ones are left alone and counted
+create or replace function ussd_retire_range(p_prefix text, p_from text, p_to text, p_reason text default null, p_actor text default null)
+returns table (retired integer, skipped_allocated integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  n integer;
+begin
+  perform ussd_set_context(p_reason, p_actor);
+  update ussd_pool
+     set status = 'RETIRED', status_reason = p_reason, retired_at = now(), reservation_id = null, reserved_until = null
+   where prefix = p_prefix and base between p_from and p_to and not allocated and status <> 'RETIRED';
+  get diagnostics n = row_count;
+  return query
+    select n, (select count(*)::integer from ussd_pool
+                where prefix = p_prefix and base between p_from and p_to and allocated);
+end $$;
+
+-- Brings retired codes in [from, to] back (used when a range is added again)
+create or replace function ussd_restore_range(p_prefix text, p_from text, p_to text, p_actor text default null)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  n integer;
+begin
+  perform ussd_set_context('range re-added', p_actor);
+  update ussd_pool
+     set status = 'ACTIVE', status_reason = null, retired_at = null
+   where prefix = p_prefix and base between p_from and p_to and status = 'RETIRED';
+  get diagnostics n = row_count;
+  return n;
+end $$;
+
+revoke all on function ussd_release(text, text, text, text) from public, anon, authenticated;
+revoke all on function ussd_reassign(text, text, text, uuid, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_set_status(text, text, text, text, text) from public, anon, authenticated;
+revoke all on function ussd_reserve(text, text, integer) from public, anon, authenticated;
+revoke all on function ussd_allocate(text, uuid, uuid, text, uuid, text, text) from public, anon, authenticated;
+revoke all on function ussd_retire_range(text, text, text, text, text) from public, anon, authenticated;
+revoke all on function ussd_restore_range(text, text, text, text) from public, anon, authenticated;
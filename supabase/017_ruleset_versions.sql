@@ -0,0 +1,122 @@
+-- Versioned SACCO rulesets with effective dates + ruleset snapshot per transaction (safe/idempotent)
+
+-- One row per version; the version in effect at time T is the latest with effective_from <= T.
+-- sacco_settings stays as the fallback for SACCOs that have no versions yet.
+create table if not exists sacco_ruleset_versions (
+  id bigserial primary key,
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  version integer not null,
+  effective_from timestamptz not null,
+  fare_fee_flat_kes   numeric(10,2) not null default 2.50,
+  savings_percent     numeric(5,2)  not null default 5.00,
+  sacco_daily_fee_kes numeric(10,2) not null default 50.00,
+  loan_repay_percent  numeric(5,2)  not null default 0.00,
+  note text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  unique (sacco_id, version),
+  unique (sacco_id, effective_from)
+);
+create index if not exists ruleset_versions_lookup_idx on sacco_ruleset_versions(sacco_id, effective_from desc);
+
+-- Today's rules become version 1, in effect since forever (epoch) so history quotes resolve to them
+insert into sacco_ruleset_versions (sacco_id, version, effective_from, fare_fee_flat_kes, savings_percent, sacco_daily_fee_kes, loan_repay_percent, note, created_by)
+select s.sacco_id, 1, 'epoch'::timestamptz, s.fare_fee_flat_kes, s.savings_percent, s.sacco_daily_fee_kes, s.loan_repay_percent, 'migrated from sacco_settings', 'system'
+  from sacco_settings s
+ where not exists (select 1 from sacco_ruleset_versions v where v.sacco_id = s.sacco_id);
+
+-- Versions that are (or were) in effect are history and can't change; scheduled ones can be cancelled.
+-- Depth 0 only, so deleting a SACCO still cascades to its versions.
+create or replace function ruleset_versions_guard()
+returns trigger language plpgsql as $$
+begin
+  if old.effective_from <= now() then
+    raise exception 'ruleset version % is already in effect and cannot be changed', old.version using errcode = 'check_violation';
+  end if;
+  return case when tg_op = 'DELETE' then old else new end;
+end $$;
+drop trigger if exists trg_ruleset_versions_guard on sacco_ruleset_versions;
+create trigger trg_ruleset_versions_guard
+  before update or delete on sacco_ruleset_versions
+  for each row when (pg_trigger_depth() = 0)
+  execute function ruleset_versions_guard();
+
+-- Adds the next version for a SACCO. The SACCO row lock serialises concurrent writers so
+-- version numbers never collide.
+create or replace function add_ruleset_version(
+  p_sacco_id            uuid,
+  p_effective_from      timestamptz,
+  p_fare_fee_flat_kes   numeric,
+  p_savings_percent     numeric,
+  p_sacco_daily_fee_kes numeric,
+  p_loan_repay_percent  numeric,
+  p_note                text default null,
+  p_actor               text default null
+)
+returns setof sacco_ruleset_versions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_next integer;
+begin
+  perform 1 from saccos where id = p_sacco_id for update;
+  if not found then
+    raise exception 'sacco % not found', p_sacco_id using errcode = 'no_data_found';
+  end if;
+  select coalesce(max(version), 0) + 1 into v_next from sacco_ruleset_versions where sacco_id = p_sacco_id;
+
+  return query
+    insert into sacco_ruleset_versions (
+      sacco_id, version, effective_from, fare_fee_flat_kes, savings_percent,
+      sacco_daily_fee_kes, loan_repay_percent, note, created_by
+    )
+    values (
+      p_sacco_id, v_next, p_effective_from, p_fare_fee_flat_kes, p_savings_percent,
+      p_sacco_daily_fee_kes, p_loan_repay_percent, p_note, p_actor
+    )
+    returning *;
+end $$;
+
+-- Which version a transaction was split under (null for rows older than this migration)
+alter table if exists transactions
+  add column if not exists ruleset_version_id bigint references sacco_ruleset_versions(id) on delete set null;
+
+-- C2B confirmations now carry the ruleset version too
+drop function if exists record_c2b_payment(text, uuid, uuid, text, numeric, numeric, numeric, jsonb);
+create or replace function record_c2b_payment(
+  p_trans_id           text,
+  p_sacco_id           uuid,
+  p_matatu_id          uuid,
+  p_msisdn             text,
+  p_fare               numeric,
+  p_service_fee        numeric,
+  p_charged            numeric,
+  p_splits             jsonb,
+  p_ruleset_version_id bigint default null
+)
+returns table (transaction_id uuid, status text, applied boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into transactions (
+    sacco_id, matatu_id, passenger_msisdn, fare_amount_kes, service_fee_kes,
+    charged_amount_kes, status, channel, mpesa_checkout_id, splits, ruleset_version_id
+  )
+  values (
+    p_sacco_id, p_matatu_id, p_msisdn, p_fare, p_service_fee,
+    p_charged, 'PENDING', 'C2B', p_trans_id, p_splits, p_ruleset_version_id
+  )
+  on conflict (mpesa_checkout_id) do nothing;
+
+  return query select * from settle_transaction(p_trans_id, 'SUCCESS', 0, 'C2B confirmation', p_trans_id);
+end $$;
+
+revoke all on function add_ruleset_version(uuid, timestamptz, numeric, numeric, numeric, numeric, text, text) from public, anon, authenticated;
+revoke all on function record_c2b_payment(text, uuid, uuid, text, numeric, numeric, numeric, jsonb, bigint) from public, anon, authenticated;
+
+-- Service-role only
+alter table sacco_ruleset_versions enable row level security;
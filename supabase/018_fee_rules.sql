@@ -0,0 +1,53 @@
+-- Richer fee rules (percent with min/max, fare bands) per ruleset version (safe/idempotent)
+
+-- Optional per-component overrides of the flat fields: { service_fee?, savings?, loan_repay? }.
+-- Shape is validated by the API (fee-rules.js); the DB only insists on an object.
+alter table if exists sacco_ruleset_versions
+  add column if not exists fee_rules jsonb;
+do $$ begin
+  if not exists (select 1 from pg_constraint where conname = 'chk_ruleset_fee_rules_object') then
+    alter table sacco_ruleset_versions
+      add constraint chk_ruleset_fee_rules_object check (fee_rules is null or jsonb_typeof(fee_rules) = 'object');
+  end if;
+end $$;
+
+-- add_ruleset_version gains p_fee_rules (replaces the flat-only signature)
+drop function if exists add_ruleset_version(uuid, timestamptz, numeric, numeric, numeric, numeric, text, text);
+create or replace function add_ruleset_version(
+  p_sacco_id            uuid,
+  p_effective_from      timestamptz,
+  p_fare_fee_flat_kes   numeric,
+  p_savings_percent     numeric,
+  p_sacco_daily_fee_kes numeric,
+  p_loan_repay_percent  numeric,
+  p_fee_rules           jsonb default null,
+  p_note                text default null,
+  p_actor               text default null
+)
+returns setof sacco_ruleset_versions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_next integer;
+begin
+  perform 1 from saccos where id = p_sacco_id for update;
+  if not found then
+    raise exception 'sacco % not found', p_sacco_id using errcode = 'no_data_found';
+  end if;
+  select coalesce(max(version), 0) + 1 into v_next from sacco_ruleset_versions where sacco_id = p_sacco_id;
+
+  return query
+    insert into sacco_ruleset_versions (
+      sacco_id, version, effective_from, fare_fee_flat_kes, savings_percent,
+      sacco_daily_fee_kes, loan_repay_percent, fee_rules, note, created_by
+    )
+    values (
+      p_sacco_id, v_next, p_effective_from, p_fare_fee_flat_kes, p_savings_percent,
+      p_sacco_daily_fee_kes, p_loan_repay_percent, p_fee_rules, p_note, p_actor
+    )
+    returning *;
+end $$;
+
+revoke all on function add_ruleset_version(uuid, timestamptz, numeric, numeric, numeric, numeric, jsonb, text, text) from public, anon, authenticated;
@@ -0,0 +1,20 @@
+-- Per-matatu ruleset overrides layered on the SACCO ruleset (safe/idempotent)
+
+-- One optional row per matatu; null columns inherit from the SACCO version in effect.
+-- sacco_id records which SACCO agreed the terms: if the matatu moves, the row stops applying.
+create table if not exists matatu_rule_overrides (
+  matatu_id uuid primary key references matatus(id) on delete cascade,
+  sacco_id uuid not null references saccos(id) on delete cascade,
+  fare_fee_flat_kes   numeric(10,2) check (fare_fee_flat_kes >= 0),
+  savings_percent     numeric(5,2)  check (savings_percent between 0 and 100),
+  sacco_daily_fee_kes numeric(10,2) check (sacco_daily_fee_kes >= 0),
+  loan_repay_percent  numeric(5,2)  check (loan_repay_percent between 0 and 100),
+  fee_rules jsonb check (fee_rules is null or jsonb_typeof(fee_rules) = 'object'),
+  note text,
+  updated_by text,
+  updated_at timestamptz not null default now()
+);
+create index if not exists matatu_rule_overrides_sacco_idx on matatu_rule_overrides(sacco_id);
+
+-- Service-role only
+alter table matatu_rule_overrides enable row level security;
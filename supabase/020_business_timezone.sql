@@ -0,0 +1,85 @@
+-- Business-day model for views and defaults: days run midnight-to-midnight in the business
+-- timezone (default Africa/Nairobi), not the database's UTC day (safe/idempotent)
+
+-- Zone comes from the teketeke.business_tz setting so it can change without a migration:
+--   alter database postgres set teketeke.business_tz = 'Africa/Kampala';
+-- Keep it equal to the app's BUSINESS_TZ env var.
+create or replace function business_tz()
+returns text language sql stable as $$
+  select coalesce(nullif(current_setting('teketeke.business_tz', true), ''), 'Africa/Nairobi')
+$$;
+
+create or replace function business_day(p_ts timestamptz)
+returns date language sql stable as $$
+  select (p_ts at time zone business_tz())::date
+$$;
+
+create or replace function business_today()
+returns date language sql stable as $$
+  select business_day(now())
+$$;
+
+-- Instant the business day starts (use for range filters so created_at indexes still apply)
+create or replace function business_day_start(p_day date)
+returns timestamptz language sql stable as $$
+  select p_day::timestamp at time zone business_tz()
+$$;
+
+-- Dashboard views, re-bucketed by business day.
+-- Superseded by 029_dashboard_views_business_day.sql (these changed fees_sum and the status filter)
+drop view if exists v_tx_today_by_sacco;
+drop view if exists v_tx_yesterday_by_sacco;
+drop view if exists v_tx_daily_by_sacco;
+
+create view v_tx_daily_by_sacco as
+select
+  t.sacco_id,
+  business_day(t.created_at) as day,
+  count(distinct t.id)::bigint as tx_count,
+  coalesce(sum(le.amount_kes), 0)::numeric(12,2) as fees_sum
+from transactions t
+left join ledger_entries le
+  on le.transaction_id = t.id and le.type = 'SERVICE_FEE'
+where t.status = 'SUCCESS'
+group by t.sacco_id, business_day(t.created_at);
+
+create view v_tx_today_by_sacco as
+select
+  t.sacco_id,
+  count(distinct t.id)::bigint as tx_count,
+  coalesce(sum(le.amount_kes), 0)::numeric(12,2) as fees_sum
+from transactions t
+left join ledger_entries le
+  on le.transaction_id = t.id and le.type = 'SERVICE_FEE'
+where t.status = 'SUCCESS'
+  and t.created_at >= business_day_start(business_today())
+  and t.created_at <  business_day_start(business_today() + 1)
+group by t.sacco_id;
+
+create view v_tx_yesterday_by_sacco as
+select
+  t.sacco_id,
+  count(distinct t.id)::bigint as tx_count,
+  coalesce(sum(le.amount_kes), 0)::numeric(12,2) as fees_sum
+from transactions t
+left join ledger_entries le
+  on le.transaction_id = t.id and le.type = 'SERVICE_FEE'
+where t.status = 'SUCCESS'
+  and t.created_at >= business_day_start(business_today() - 1)
+  and t.created_at <  business_day_start(business_today())
+group by t.sacco_id;
+
+-- Net, like the app's check, so a reversed fee doesn't count as paid. `day` becomes a date.
+drop view if exists v_sacco_fee_today;
+create view v_sacco_fee_today as
+select
+  matatu_id,
+  business_day(created_at) as day,
+  count(*) as cnt
+from ledger_entries
+where type = 'SACCO_FEE'
+group by matatu_id, business_day(created_at)
+having sum(amount_kes) > 0;
+
+-- Manual daily fees default to the business day, not the UTC date
+alter table if exists daily_fees alter column paid_at set default business_today();
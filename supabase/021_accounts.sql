@@ -0,0 +1,241 @@
+-- Double-entry accounts behind ledger_entries (safe/idempotent)
+--
+-- Every ledger_entries row posts one balanced pair of journal lines:
+--   FARE         Dr PLATFORM COLLECTIONS    Cr MATATU OWNER_PAYABLE
+--   SERVICE_FEE  Dr PLATFORM COLLECTIONS    Cr PLATFORM SERVICE_FEES
+--   SACCO_FEE    Dr MATATU OWNER_PAYABLE    Cr SACCO DAILY_FEES
+--   SAVINGS      Dr MATATU OWNER_PAYABLE    Cr MATATU SAVINGS
+--   LOAN_REPAY   Dr MATATU OWNER_PAYABLE    Cr MATATU LOAN_REPAYMENTS
+-- Reversals and debit adjustments post the same pair with negative amounts, so each
+-- credit column still totals exactly one split type and OWNER_PAYABLE's balance is
+-- NET_TO_OWNER. Keep in step with ledger-accounts.js.
+
+-- One account per (owner, code, SACCO, matatu); PLATFORM and SACCO accounts also carry the
+-- matatu the money came from so per-matatu reports need no second table. No FKs, like
+-- ledger_entries, so posting never fails on a deleted SACCO or matatu.
+create table if not exists accounts (
+  id          bigserial primary key,
+  owner       text not null check (owner in ('PLATFORM','SACCO','MATATU')),
+  code        text not null check (code in ('COLLECTIONS','SERVICE_FEES','DAILY_FEES','OWNER_PAYABLE','SAVINGS','LOAN_REPAYMENTS')),
+  sacco_id    uuid,
+  matatu_id   uuid,
+  normal_side text not null check (normal_side in ('DEBIT','CREDIT')),
+  created_at  timestamptz not null default now()
+);
+create unique index if not exists uq_accounts_key on accounts (
+  owner, code,
+  coalesce(sacco_id,  '00000000-0000-0000-0000-000000000000'::uuid),
+  coalesce(matatu_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+create index if not exists accounts_sacco_idx  on accounts(sacco_id);
+create index if not exists accounts_matatu_idx on accounts(matatu_id);
+
+-- Exactly one side per line; `day` is the business day of the ledger row
+create table if not exists journal_lines (
+  id              bigserial primary key,
+  ledger_entry_id uuid not null references ledger_entries(id) on delete cascade,
+  account_id      bigint not null references accounts(id) on delete cascade,
+  day             date not null,
+  debit_kes       numeric(12,2) not null default 0,
+  credit_kes      numeric(12,2) not null default 0,
+  created_at      timestamptz not null default now(),
+  constraint chk_journal_one_side check ((debit_kes = 0) <> (credit_kes = 0))
+);
+create unique index if not exists uq_journal_entry_account on journal_lines(ledger_entry_id, account_id);
+create index if not exists journal_account_day_idx on journal_lines(account_id, day);
+
+-- Running totals per account and business day; an as-of balance is a sum over days
+create table if not exists account_daily_totals (
+  account_id bigint not null references accounts(id) on delete cascade,
+  day        date not null,
+  debit_kes  numeric(14,2) not null default 0,
+  credit_kes numeric(14,2) not null default 0,
+  primary key (account_id, day)
+);
+
+create or replace function ledger_account(p_owner text, p_code text, p_sacco_id uuid, p_matatu_id uuid)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id bigint;
+begin
+  insert into accounts (owner, code, sacco_id, matatu_id, normal_side)
+  values (p_owner, p_code, p_sacco_id, p_matatu_id, case when p_code = 'COLLECTIONS' then 'DEBIT' else 'CREDIT' end)
+  on conflict (owner, code,
+               coalesce(sacco_id,  '00000000-0000-0000-0000-000000000000'::uuid),
+               coalesce(matatu_id, '00000000-0000-0000-0000-000000000000'::uuid))
+  do nothing;
+
+  select id into v_id
+    from accounts
+   where owner = p_owner and code = p_code
+     and sacco_id  is not distinct from p_sacco_id
+     and matatu_id is not distinct from p_matatu_id;
+  return v_id;
+end $$;
+
+-- Posts (or re-posts) the journal pair for one ledger row
+create or replace function post_ledger_entry(p_entry ledger_entries)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  dr_owner text; dr_code text;
+  cr_owner text; cr_code text;
+  v_day date := business_day(coalesce(p_entry.created_at, now()));
+begin
+  case p_entry.type
+    when 'FARE'        then dr_owner := 'PLATFORM'; dr_code := 'COLLECTIONS';   cr_owner := 'MATATU';   cr_code := 'OWNER_PAYABLE';
+    when 'SERVICE_FEE' then dr_owner := 'PLATFORM'; dr_code := 'COLLECTIONS';   cr_owner := 'PLATFORM'; cr_code := 'SERVICE_FEES';
+    when 'SACCO_FEE'   then dr_owner := 'MATATU';   dr_code := 'OWNER_PAYABLE'; cr_owner := 'SACCO';    cr_code := 'DAILY_FEES';
+    when 'SAVINGS'     then dr_owner := 'MATATU';   dr_code := 'OWNER_PAYABLE'; cr_owner := 'MATATU';   cr_code := 'SAVINGS';
+    when 'LOAN_REPAY'  then dr_owner := 'MATATU';   dr_code := 'OWNER_PAYABLE'; cr_owner := 'MATATU';   cr_code := 'LOAN_REPAYMENTS';
+    else raise exception 'no posting rule for ledger type %', p_entry.type;
+  end case;
+
+  delete from journal_lines where ledger_entry_id = p_entry.id;
+  insert into journal_lines (ledger_entry_id, account_id, day, debit_kes, credit_kes)
+  values
+    (p_entry.id, ledger_account(dr_owner, dr_code, p_entry.sacco_id, p_entry.matatu_id), v_day, p_entry.amount_kes, 0),
+    (p_entry.id, ledger_account(cr_owner, cr_code, p_entry.sacco_id, p_entry.matatu_id), v_day, 0, p_entry.amount_kes);
+end $$;
+
+create or replace function trg_post_ledger_entry()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform post_ledger_entry(new);
+  return null;
+end $$;
+
+drop trigger if exists ledger_entries_post on ledger_entries;
+create trigger ledger_entries_post
+  after insert or update of type, amount_kes, sacco_id, matatu_id, created_at on ledger_entries
+  for each row execute function trg_post_ledger_entry();
+
+-- Keeps account_daily_totals in step with journal_lines (including cascaded deletes)
+create or replace function trg_journal_daily_totals()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into account_daily_totals (account_id, day, debit_kes, credit_kes)
+    values (new.account_id, new.day, new.debit_kes, new.credit_kes)
+    on conflict (account_id, day) do update
+      set debit_kes  = account_daily_totals.debit_kes  + excluded.debit_kes,
+          credit_kes = account_daily_totals.credit_kes + excluded.credit_kes;
+  else
+    update account_daily_totals
+       set debit_kes  = debit_kes  - old.debit_kes,
+           credit_kes = credit_kes - old.credit_kes
+     where account_id = old.account_id and day = old.day;
+  end if;
+  return null;
+end $$;
+
+drop trigger if exists journal_lines_daily_totals on journal_lines;
+create trigger journal_lines_daily_totals
+  after insert or delete on journal_lines
+  for each row execute function trg_journal_daily_totals();
+
+-- Backfill: post every ledger row that has no journal lines yet
+do $$
+declare
+  r ledger_entries;
+begin
+  for r in
+    select le.* from ledger_entries le
+     where not exists (select 1 from journal_lines jl where jl.ledger_entry_id = le.id)
+     order by le.created_at, le.id
+  loop
+    perform post_ledger_entry(r);
+  end loop;
+end $$;
+
+-- Debit/credit totals per account over business days [p_from, p_to); null bounds are open.
+-- Balance as of day D: p_to = D + 1. Runs as the caller, so RLS below scopes the rows.
+create or replace function account_activity(
+  p_sacco_id  uuid default null,
+  p_matatu_id uuid default null,
+  p_from      date default null,
+  p_to        date default null
+)
+returns table (
+  account_id  bigint,
+  owner       text,
+  code        text,
+  sacco_id    uuid,
+  matatu_id   uuid,
+  normal_side text,
+  debit_kes   numeric,
+  credit_kes  numeric
+)
+language sql
+stable
+set search_path = public
+as $$
+  select a.id, a.owner, a.code, a.sacco_id, a.matatu_id, a.normal_side,
+         coalesce(sum(d.debit_kes), 0)::numeric(14,2),
+         coalesce(sum(d.credit_kes), 0)::numeric(14,2)
+    from accounts a
+    join account_daily_totals d on d.account_id = a.id
+   where (p_sacco_id  is null or a.sacco_id  = p_sacco_id)
+     and (p_matatu_id is null or a.matatu_id = p_matatu_id)
+     and (p_from is null or d.day >= p_from)
+     and (p_to   is null or d.day <  p_to)
+   group by a.id
+   order by a.owner, a.code, a.matatu_id
+$$;
+
+-- Ledger rows whose journal lines are missing or don't balance (should always be empty)
+create or replace view v_unbalanced_ledger_entries as
+select le.id, le.type, le.amount_kes,
+       coalesce(sum(jl.debit_kes), 0) as debit_kes,
+       coalesce(sum(jl.credit_kes), 0) as credit_kes
+  from ledger_entries le
+  left join journal_lines jl on jl.ledger_entry_id = le.id
+ group by le.id
+having count(jl.id) <> 2
+    or coalesce(sum(jl.debit_kes), 0) <> le.amount_kes
+    or coalesce(sum(jl.credit_kes), 0) <> le.amount_kes;
+
+revoke all on function ledger_account(text, text, uuid, uuid) from public, anon, authenticated;
+revoke all on function post_ledger_entry(ledger_entries) from public, anon, authenticated;
+revoke all on function trg_post_ledger_entry() from public, anon, authenticated;
+revoke all on function trg_journal_daily_totals() from public, anon, authenticated;
+revoke all on v_unbalanced_ledger_entries from anon, authenticated;
+
+-- Read-only by SACCO membership, like ledger_entries; writes only through the triggers
+alter table accounts enable row level security;
+alter table journal_lines enable row level security;
+alter table account_daily_totals enable row level security;
+
+do $$
+begin
+  if not exists (select 1 from pg_policies where tablename='accounts' and policyname='accounts_select_by_membership') then
+    create policy accounts_select_by_membership
+      on accounts for select
+      using (sacco_id in (select sacco_id from sacco_users where user_id = auth.uid()));
+  end if;
+  if not exists (select 1 from pg_policies where tablename='journal_lines' and policyname='journal_lines_select_by_membership') then
+    create policy journal_lines_select_by_membership
+      on journal_lines for select
+      using (exists (select 1 from accounts a where a.id = journal_lines.account_id));
+  end if;
+  if not exists (select 1 from pg_policies where tablename='account_daily_totals' and policyname='account_daily_totals_select_by_membership') then
+    create policy account_daily_totals_select_by_membership
+      on account_daily_totals for select
+      using (exists (select 1 from accounts a where a.id = account_daily_totals.account_id));
+  end if;
+end$$;
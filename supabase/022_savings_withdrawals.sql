@@ -0,0 +1,84 @@
+-- Member savings withdrawals (safe/idempotent)
+--
+-- Savings are the matatu's SAVINGS account with its SACCO (021_accounts.sql). An owner asks
+-- for a withdrawal, a SACCO_ADMIN approves it, and approval writes a negative SAVINGS ledger
+-- row (kind WITHDRAWAL). That posts Dr OWNER_PAYABLE / Cr SAVINGS with a negative amount:
+-- savings go down and the money goes back to the owner with the next payout.
+
+alter table if exists ledger_entries drop constraint if exists chk_ledger_kind;
+alter table if exists ledger_entries add constraint chk_ledger_kind check (
+  (kind = 'SPLIT'      and amount_kes > 0 and reversal_of is null)
+  or (kind = 'REVERSAL'   and amount_kes < 0 and reversal_of is not null and coalesce(reason, '') <> '')
+  or (kind = 'ADJUSTMENT' and amount_kes <> 0 and reversal_of is null and coalesce(reason, '') <> '')
+  or (kind = 'WITHDRAWAL' and type = 'SAVINGS' and amount_kes < 0 and reversal_of is null)
+);
+
+create table if not exists savings_withdrawals (
+  id              uuid primary key default gen_random_uuid(),
+  sacco_id        uuid not null references saccos(id) on delete cascade,
+  matatu_id       uuid not null references matatus(id) on delete cascade,
+  amount_kes      numeric(12,2) not null check (amount_kes > 0),
+  note            text,
+  status          text not null default 'REQUESTED' check (status in ('REQUESTED','APPROVED','REJECTED')),
+  requested_by    text,
+  decided_by      text,
+  decided_at      timestamptz,
+  decision_reason text,
+  ledger_entry_id uuid references ledger_entries(id) on delete set null,
+  created_at      timestamptz not null default now()
+);
+create index if not exists savings_withdrawals_sacco_idx  on savings_withdrawals(sacco_id, status, created_at desc);
+create index if not exists savings_withdrawals_matatu_idx on savings_withdrawals(matatu_id, created_at desc);
+
+-- Service-role only
+alter table savings_withdrawals enable row level security;
+
+-- Approves one REQUESTED withdrawal if the SAVINGS balance covers it. Locking the account row
+-- serialises approvals for the same matatu, so two can't both spend the same shillings.
+create or replace function approve_savings_withdrawal(p_withdrawal_id uuid, p_actor text default null)
+returns table (withdrawal_id uuid, ledger_entry_id uuid, balance_kes numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  w savings_withdrawals%rowtype;
+  v_account bigint;
+  v_balance numeric := 0;
+  v_entry uuid;
+begin
+  select * into w from savings_withdrawals where id = p_withdrawal_id for update;
+  if not found then
+    raise exception 'withdrawal not found' using errcode = 'no_data_found';
+  end if;
+  if w.status <> 'REQUESTED' then
+    raise exception 'withdrawal already %', lower(w.status) using errcode = 'check_violation';
+  end if;
+
+  select id into v_account
+    from accounts
+   where owner = 'MATATU' and code = 'SAVINGS'
+     and sacco_id = w.sacco_id and matatu_id = w.matatu_id
+   for update;
+  if found then
+    select coalesce(sum(credit_kes - debit_kes), 0) into v_balance
+      from account_daily_totals where account_id = v_account;
+  end if;
+  if v_balance < w.amount_kes then
+    raise exception 'insufficient savings: balance %, requested %', v_balance, w.amount_kes
+      using errcode = 'check_violation';
+  end if;
+
+  insert into ledger_entries (sacco_id, matatu_id, type, amount_kes, kind, reason, created_by)
+  values (w.sacco_id, w.matatu_id, 'SAVINGS', -w.amount_kes, 'WITHDRAWAL',
+          coalesce(nullif(trim(w.note), ''), 'Savings withdrawal'), p_actor)
+  returning id into v_entry;
+
+  update savings_withdrawals
+     set status = 'APPROVED', decided_by = p_actor, decided_at = now(), ledger_entry_id = v_entry
+   where id = w.id;
+
+  return query select w.id, v_entry, v_balance - w.amount_kes;
+end $$;
+
+revoke all on function approve_savings_withdrawal(uuid, text) from public, anon, authenticated;
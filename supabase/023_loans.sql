@@ -0,0 +1,121 @@
+-- Owner loans that LOAN_REPAY splits pay down (safe/idempotent)
+--
+-- A matatu has at most one ACTIVE loan. LOAN_REPAY ledger rows are tagged with it on insert
+-- (reversals inherit the loan of the row they reverse), and the loan flips to REPAID once the
+-- tagged rows cover principal + interest. The app stops taking LOAN_REPAY when there is no
+-- active loan and caps it at what is outstanding (loans.js, fee-rules.js).
+
+create table if not exists loans (
+  id               uuid primary key default gen_random_uuid(),
+  sacco_id         uuid not null references saccos(id) on delete cascade,
+  matatu_id        uuid not null references matatus(id) on delete cascade,
+  principal_kes    numeric(12,2) not null check (principal_kes > 0),
+  interest_percent numeric(6,2) not null default 0 check (interest_percent between 0 and 100),
+  -- Flat interest on the principal for the whole term
+  total_due_kes    numeric(12,2) generated always as (principal_kes + round(principal_kes * interest_percent / 100, 2)) stored,
+  installments     integer not null check (installments between 1 and 520),
+  frequency        text not null default 'WEEKLY' check (frequency in ('DAILY','WEEKLY','MONTHLY')),
+  disbursed_on     date not null default business_today(),
+  status           text not null default 'ACTIVE' check (status in ('ACTIVE','REPAID','WRITTEN_OFF')),
+  note             text,
+  created_by       text,
+  created_at       timestamptz not null default now(),
+  closed_at        timestamptz,
+  close_reason     text
+);
+-- One active loan per matatu, so a LOAN_REPAY split has exactly one place to go
+create unique index if not exists uq_loans_active_matatu on loans(matatu_id) where status = 'ACTIVE';
+create index if not exists loans_sacco_idx on loans(sacco_id, status, created_at desc);
+
+-- Service-role only
+alter table loans enable row level security;
+
+alter table if exists ledger_entries
+  add column if not exists loan_id uuid references loans(id) on delete set null;
+create index if not exists ledger_loan_idx on ledger_entries(loan_id) where loan_id is not null;
+
+-- Tags LOAN_REPAY rows with the matatu's active loan (else its latest, where an overpayment
+-- then shows); reversals follow the row they reverse
+create or replace function trg_ledger_loan_link()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.type <> 'LOAN_REPAY' or new.loan_id is not null then
+    return new;
+  end if;
+  if new.reversal_of is not null then
+    select le.loan_id into new.loan_id from ledger_entries le where le.id = new.reversal_of;
+  elsif new.matatu_id is not null then
+    select l.id into new.loan_id
+      from loans l
+     where l.matatu_id = new.matatu_id and l.sacco_id = new.sacco_id
+     order by (l.status = 'ACTIVE') desc, l.created_at desc
+     limit 1;
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists ledger_entries_loan_link on ledger_entries;
+create trigger ledger_entries_loan_link
+  before insert on ledger_entries
+  for each row execute function trg_ledger_loan_link();
+
+-- ACTIVE → REPAID when covered; a reversal reopens a REPAID loan unless a newer one is active
+create or replace function refresh_loan_status(p_loan_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  l loans%rowtype;
+  v_repaid numeric;
+begin
+  select * into l from loans where id = p_loan_id for update;
+  if not found or l.status = 'WRITTEN_OFF' then
+    return;
+  end if;
+  select coalesce(sum(amount_kes), 0) into v_repaid from ledger_entries where loan_id = l.id;
+
+  if l.status = 'ACTIVE' and v_repaid >= l.total_due_kes then
+    update loans set status = 'REPAID', closed_at = now() where id = l.id;
+  elsif l.status = 'REPAID' and v_repaid < l.total_due_kes
+        and not exists (select 1 from loans o where o.matatu_id = l.matatu_id and o.status = 'ACTIVE') then
+    update loans set status = 'ACTIVE', closed_at = null where id = l.id;
+  end if;
+end $$;
+
+create or replace function trg_ledger_loan_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.loan_id is not null then
+    perform refresh_loan_status(new.loan_id);
+  end if;
+  return null;
+end $$;
+
+drop trigger if exists ledger_entries_loan_status on ledger_entries;
+create trigger ledger_entries_loan_status
+  after insert on ledger_entries
+  for each row execute function trg_ledger_loan_status();
+
+-- Net repaid per loan
+create or replace view v_loan_repaid as
+select loan_id,
+       sum(amount_kes)::numeric(12,2) as repaid_kes,
+       max(created_at) as last_repayment_at
+  from ledger_entries
+ where loan_id is not null
+ group by loan_id;
+
+revoke all on function trg_ledger_loan_link() from public, anon, authenticated;
+revoke all on function refresh_loan_status(uuid) from public, anon, authenticated;
+revoke all on function trg_ledger_loan_status() from public, anon, authenticated;
+revoke all on v_loan_repaid from anon, authenticated;
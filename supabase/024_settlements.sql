@@ -0,0 +1,137 @@
+-- Daily settlement and close-of-day locking (safe/idempotent)
+--
+-- Closing a SACCO's business day snapshots what its ledger_entries for that day owe to each
+-- matatu owner, the SACCO and the platform. From then on the day's ledger is frozen: any
+-- insert, update or delete of a row dated on a closed day is refused, so corrections go in as
+-- reversals/adjustments dated on an open day. Only days that have ended can be closed, which
+-- keeps today (where new payments land) always open.
+
+create table if not exists settlements (
+  id        uuid primary key default gen_random_uuid(),
+  sacco_id  uuid not null references saccos(id) on delete cascade,
+  day       date not null,
+  closed_by text,
+  closed_at timestamptz not null default now(),
+  unique (sacco_id, day)
+);
+
+-- One MATATU line per matatu that had ledger rows that day (matatu_id null = SACCO-level
+-- rows), plus the SACCO and PLATFORM lines. owed_kes is what the party is due for the day.
+create table if not exists settlement_lines (
+  id              bigserial primary key,
+  settlement_id   uuid not null references settlements(id) on delete cascade,
+  party           text not null check (party in ('MATATU','SACCO','PLATFORM')),
+  matatu_id       uuid,
+  fare_kes        numeric(12,2) not null default 0,
+  service_fee_kes numeric(12,2) not null default 0,
+  sacco_fee_kes   numeric(12,2) not null default 0,
+  savings_kes     numeric(12,2) not null default 0,
+  loan_repay_kes  numeric(12,2) not null default 0,
+  owed_kes        numeric(12,2) not null default 0
+);
+create index if not exists settlement_lines_settlement_idx on settlement_lines(settlement_id);
+
+-- Service-role only
+alter table settlements enable row level security;
+alter table settlement_lines enable row level security;
+
+-- What a SACCO's business day owes, straight from ledger_entries (signed, so reversals and
+-- adjustments net out). Owners get fare less SACCO fee, savings and loan repayment; the SACCO
+-- holds those three; the platform gets the service fee.
+create or replace function settlement_for_day(p_sacco_id uuid, p_day date)
+returns table (
+  party text, matatu_id uuid,
+  fare_kes numeric, service_fee_kes numeric, sacco_fee_kes numeric,
+  savings_kes numeric, loan_repay_kes numeric, owed_kes numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with per_matatu as (
+    select le.matatu_id as m_id,
+           coalesce(sum(le.amount_kes) filter (where le.type = 'FARE'), 0)        as fare,
+           coalesce(sum(le.amount_kes) filter (where le.type = 'SERVICE_FEE'), 0) as service_fee,
+           coalesce(sum(le.amount_kes) filter (where le.type = 'SACCO_FEE'), 0)   as sacco_fee,
+           coalesce(sum(le.amount_kes) filter (where le.type = 'SAVINGS'), 0)     as savings,
+           coalesce(sum(le.amount_kes) filter (where le.type = 'LOAN_REPAY'), 0)  as loan_repay
+      from ledger_entries le
+     where le.sacco_id = p_sacco_id
+       and le.created_at >= business_day_start(p_day)
+       and le.created_at <  business_day_start(p_day + 1)
+     group by le.matatu_id
+  )
+  select 'MATATU', pm.m_id, pm.fare, pm.service_fee, pm.sacco_fee, pm.savings, pm.loan_repay,
+         pm.fare - pm.sacco_fee - pm.savings - pm.loan_repay
+    from per_matatu pm
+  union all
+  select 'SACCO', null, 0, 0, sum(pm.sacco_fee), sum(pm.savings), sum(pm.loan_repay),
+         sum(pm.sacco_fee + pm.savings + pm.loan_repay)
+    from per_matatu pm having count(*) > 0
+  union all
+  select 'PLATFORM', null, 0, sum(pm.service_fee), 0, 0, 0, sum(pm.service_fee)
+    from per_matatu pm having count(*) > 0
+$$;
+
+-- Closes one ended business day: writes the settlement and its lines in one go. A second
+-- close of the same day fails on unique (sacco_id, day).
+create or replace function close_settlement_day(p_sacco_id uuid, p_day date, p_actor text default null)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  if p_day >= business_today() then
+    raise exception 'business day % has not ended yet', p_day using errcode = 'check_violation';
+  end if;
+
+  insert into settlements (sacco_id, day, closed_by)
+  values (p_sacco_id, p_day, p_actor)
+  returning id into v_id;
+
+  insert into settlement_lines (settlement_id, party, matatu_id, fare_kes, service_fee_kes,
+                                sacco_fee_kes, savings_kes, loan_repay_kes, owed_kes)
+  select v_id, s.party, s.matatu_id, s.fare_kes, s.service_fee_kes,
+         s.sacco_fee_kes, s.savings_kes, s.loan_repay_kes, s.owed_kes
+    from settlement_for_day(p_sacco_id, p_day) s;
+
+  return v_id;
+end $$;
+
+-- Refuses ledger writes that land on (or move a row out of) a closed day
+create or replace function trg_ledger_day_lock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') and exists (
+    select 1 from settlements s
+     where s.sacco_id = old.sacco_id and s.day = business_day(old.created_at)
+  ) then
+    raise exception 'business day % is closed for this SACCO; post a correction on an open day',
+      business_day(old.created_at) using errcode = 'check_violation';
+  end if;
+  if tg_op in ('INSERT', 'UPDATE') and exists (
+    select 1 from settlements s
+     where s.sacco_id = new.sacco_id and s.day = business_day(coalesce(new.created_at, now()))
+  ) then
+    raise exception 'business day % is closed for this SACCO; post a correction on an open day',
+      business_day(coalesce(new.created_at, now())) using errcode = 'check_violation';
+  end if;
+  return coalesce(new, old);
+end $$;
+
+drop trigger if exists ledger_entries_day_lock on ledger_entries;
+create trigger ledger_entries_day_lock
+  before insert or update or delete on ledger_entries
+  for each row execute function trg_ledger_day_lock();
+
+revoke all on function settlement_for_day(uuid, date) from public, anon, authenticated;
+revoke all on function close_settlement_day(uuid, date, text) from public, anon, authenticated;
+revoke all on function trg_ledger_day_lock() from public, anon, authenticated;
@@ -0,0 +1,9 @@
+-- Matatus that are off the road (safe/idempotent)
+--
+-- Daily-fee arrears only count active matatus; set active = false (POST /api/admin/update-matatu)
+-- while a vehicle is parked so it doesn't show up as a defaulter.
+
+alter table if exists matatus
+  add column if not exists active boolean not null default true;
+
+create index if not exists matatus_sacco_active_idx on matatus(sacco_id) where active;
@@ -0,0 +1,28 @@
+-- Days a matatu's daily fee was collected twice, and how each was settled (safe/idempotent)
+--
+-- The fee is taken either as cash (/fees/record → daily_fees) or as the SACCO_FEE split on the
+-- day's first fare. Each path now checks the other, but a cash payment and a fare landing at
+-- the same moment can still both go through; the reconciliation report lists those days and a
+-- SACCO_ADMIN resolves each one once:
+--   REFUND  a negative SACCO_FEE adjustment for the excess; the owner gets it with the next payout
+--   CREDIT  the cash rows move to the matatu's next days with nothing collected (prepaid fees)
+
+create table if not exists daily_fee_resolutions (
+  id              uuid primary key default gen_random_uuid(),
+  sacco_id        uuid not null references saccos(id) on delete cascade,
+  matatu_id       uuid not null references matatus(id) on delete cascade,
+  day             date not null,
+  action          text not null check (action in ('REFUND','CREDIT')),
+  amount_kes      numeric(12,2) not null check (amount_kes > 0),
+  ledger_entry_id uuid references ledger_entries(id) on delete set null,
+  -- CREDIT: [{ daily_fee_id, amount, to_day }]
+  moved           jsonb,
+  note            text,
+  resolved_by     text,
+  created_at      timestamptz not null default now(),
+  unique (matatu_id, day)
+);
+create index if not exists daily_fee_resolutions_sacco_idx on daily_fee_resolutions(sacco_id, day desc);
+
+-- Service-role only
+alter table daily_fee_resolutions enable row level security;
@@ -0,0 +1,56 @@
+-- Late M-Pesa results for timed-out STK payments (safe/idempotent)
+--
+-- The sweeper marks an STK payment TIMEOUT when Daraja still hasn't answered after
+-- PENDING_TIMEOUT_SECONDS, but the passenger may have paid: a SUCCESS callback that arrives
+-- after that now settles the row and writes its ledger splits (dated when it arrives) instead
+-- of being dropped. FAILED and SUCCESS rows stay final; replays remain no-ops.
+
+create or replace function settle_transaction(
+  p_checkout_id text,
+  p_status      text,
+  p_result_code integer default null,
+  p_result_desc text default null,
+  p_receipt     text default null
+)
+returns table (transaction_id uuid, status text, applied boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t transactions%rowtype;
+begin
+  if p_status not in ('SUCCESS','FAILED','TIMEOUT') then
+    raise exception 'invalid settlement status %', p_status;
+  end if;
+
+  select * into t from transactions where mpesa_checkout_id = p_checkout_id for update;
+  if not found then
+    return;
+  end if;
+
+  if t.status <> 'PENDING' and not (t.status = 'TIMEOUT' and p_status = 'SUCCESS') then
+    return query select t.id, t.status, false;
+    return;
+  end if;
+
+  update transactions
+     set status = p_status,
+         result_code = p_result_code,
+         result_desc = p_result_desc,
+         mpesa_receipt = coalesce(p_receipt, mpesa_receipt),
+         settled_at = now(),
+         updated_at = now()
+   where id = t.id;
+
+  if p_status = 'SUCCESS' then
+    insert into ledger_entries (transaction_id, sacco_id, matatu_id, type, amount_kes)
+    select t.id, t.sacco_id, t.matatu_id, s->>'type', (s->>'amount_kes')::numeric
+      from jsonb_array_elements(coalesce(t.splits, '[]'::jsonb)) as s
+     where (s->>'amount_kes')::numeric > 0;
+  end if;
+
+  return query select t.id, p_status, true;
+end $$;
+
+revoke all on function settle_transaction(text, text, integer, text, text) from public, anon, authenticated;
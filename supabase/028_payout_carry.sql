@@ -0,0 +1,9 @@
+-- Cents B2C can't send, carried into the owner's next payout (safe/idempotent)
+--
+-- B2C only moves whole shillings. A payout sends floor(net_kes + carry_in_kes); the cents left
+-- over are the sum of net_kes - amount_kes across the matatu's live (non-FAILED) payouts, and
+-- the next payout takes them in as carry_in_kes. A FAILED payout drops out of that sum, so its
+-- cents come back with the rebuilt payout.
+
+alter table if exists payouts
+  add column if not exists carry_in_kes numeric(12,2) not null default 0;
@@ -0,0 +1,30 @@
+-- Dashboard day views on business days, with their original columns (safe/idempotent)
+--
+-- 020_business_timezone.sql moved these views to business days but also changed what they
+-- count: fees_sum became SERVICE_FEE and only SUCCESS transactions were kept. This restores the
+-- 002/004 definitions (every transaction, fees_sum = SACCO_FEE) and changes only the day
+-- boundaries, which now follow business_day() instead of the database's UTC date.
+
+drop view if exists v_tx_today_by_sacco;
+drop view if exists v_tx_yesterday_by_sacco;
+drop view if exists v_tx_daily_by_sacco;
+
+create view v_tx_daily_by_sacco as
+select
+  t.sacco_id,
+  business_day(t.created_at) as day,
+  count(*)::int as tx_count,
+  coalesce(sum(case when le.type = 'SACCO_FEE' then le.amount_kes end),0)::numeric as fees_sum
+from transactions t
+left join ledger_entries le
+  on le.sacco_id = t.sacco_id
+ and business_day(le.created_at) = business_day(t.created_at)
+group by t.sacco_id, business_day(t.created_at);
+
+create view v_tx_today_by_sacco as
+select * from v_tx_daily_by_sacco
+where day = business_today();
+
+create view v_tx_yesterday_by_sacco as
+select * from v_tx_daily_by_sacco
+where day = business_today() - 1;
@@ -0,0 +1,88 @@
+-- When each matatu was on the road and which daily-fee override it had (safe/idempotent)
+--
+-- Arrears used the matatu's current active flag and override for every past day, so parking
+-- a matatu wiped its old debt and a new override repriced days already owed. Triggers now log
+-- every change, and the arrears engine reads the state each day had (fee-arrears.js).
+
+create table if not exists matatu_active_history (
+  id          bigserial primary key,
+  matatu_id   uuid not null references matatus(id) on delete cascade,
+  active      boolean not null,
+  changed_at  timestamptz not null default now()
+);
+create index if not exists matatu_active_history_idx on matatu_active_history(matatu_id, changed_at);
+
+-- sacco_daily_fee_kes null = the SACCO's fee applies (no override, or the override leaves it out)
+create table if not exists matatu_override_history (
+  id                  bigserial primary key,
+  matatu_id           uuid not null references matatus(id) on delete cascade,
+  sacco_id            uuid not null references saccos(id) on delete cascade,
+  sacco_daily_fee_kes numeric(10,2),
+  changed_at          timestamptz not null default now()
+);
+create index if not exists matatu_override_history_idx on matatu_override_history(sacco_id, matatu_id, changed_at);
+
+-- Service-role only
+alter table matatu_active_history enable row level security;
+alter table matatu_override_history enable row level security;
+
+create or replace function trg_matatu_active_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' or new.active is distinct from old.active then
+    insert into matatu_active_history (matatu_id, active) values (new.id, new.active);
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists matatus_active_history on matatus;
+create trigger matatus_active_history
+  after insert or update of active on matatus
+  for each row execute function trg_matatu_active_history();
+
+create or replace function trg_matatu_override_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'DELETE' then
+    insert into matatu_override_history (matatu_id, sacco_id, sacco_daily_fee_kes) values (old.matatu_id, old.sacco_id, null);
+    return old;
+  end if;
+  if tg_op = 'INSERT'
+     or new.sacco_daily_fee_kes is distinct from old.sacco_daily_fee_kes
+     or new.sacco_id is distinct from old.sacco_id then
+    if tg_op = 'UPDATE' and new.sacco_id is distinct from old.sacco_id then
+      insert into matatu_override_history (matatu_id, sacco_id, sacco_daily_fee_kes) values (old.matatu_id, old.sacco_id, null);
+    end if;
+    insert into matatu_override_history (matatu_id, sacco_id, sacco_daily_fee_kes) values (new.matatu_id, new.sacco_id, new.sacco_daily_fee_kes);
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists matatu_rule_overrides_history on matatu_rule_overrides;
+create trigger matatu_rule_overrides_history
+  after insert or update or delete on matatu_rule_overrides
+  for each row execute function trg_matatu_override_history();
+
+revoke all on function trg_matatu_active_history() from public, anon, authenticated;
+revoke all on function trg_matatu_override_history() from public, anon, authenticated;
+
+-- Seed the logs from what is known today. When a matatu went off the road wasn't recorded, so
+-- it counts as inactive since it was registered (what arrears showed until now); an override
+-- counts from its last update.
+insert into matatu_active_history (matatu_id, active, changed_at)
+select m.id, m.active, coalesce(m.created_at, now())
+  from matatus m
+ where not exists (select 1 from matatu_active_history h where h.matatu_id = m.id);
+
+insert into matatu_override_history (matatu_id, sacco_id, sacco_daily_fee_kes, changed_at)
+select o.matatu_id, o.sacco_id, o.sacco_daily_fee_kes, o.updated_at
+  from matatu_rule_overrides o
+ where not exists (select 1 from matatu_override_history h where h.matatu_id = o.matatu_id);
@@ -0,0 +1,12 @@
+-- Day lock only guards the money columns of ledger rows (safe/idempotent)
+--
+-- ledger_entries_day_lock (024_settlements.sql) fired on every UPDATE, so bookkeeping that
+-- doesn't touch amounts was refused on closed days too. Deleting a matatu or SACCO cascades to
+-- its loans, and ledger_entries.loan_id (023_loans.sql) is then set null: that update hit the
+-- lock and the whole delete failed. Updates now only count when they change what a row posts.
+
+drop trigger if exists ledger_entries_day_lock on ledger_entries;
+create trigger ledger_entries_day_lock
+  before insert or delete or update of type, amount_kes, sacco_id, matatu_id, created_at, kind, transaction_id, reversal_of
+  on ledger_entries
+  for each row execute function trg_ledger_day_lock();
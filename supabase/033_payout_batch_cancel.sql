@@ -0,0 +1,9 @@
+-- Draft payout batches can be cancelled (safe/idempotent)
+--
+-- A DRAFT batch's PENDING payouts hold their matatu and period under payouts_no_double_period
+-- (010_payouts.sql). POST /api/sacco/:saccoId/payouts/batches/:batchId/cancel marks an
+-- unsubmitted batch CANCELLED and its payouts FAILED, which frees the periods for a new batch.
+
+alter table if exists payout_batches drop constraint if exists payout_batches_status_check;
+alter table if exists payout_batches add constraint payout_batches_status_check
+  check (status in ('DRAFT','SUBMITTED','COMPLETED','PARTIAL','FAILED','CANCELLED'));
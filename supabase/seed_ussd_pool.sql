@@ -21,7 +21,7 @@ digital_root as (
 insert into ussd_pool (base, checksum, allocated)
 select base_txt, checksum, false
 from digital_root
-on conflict (base) do nothing;
+on conflict do nothing;
 
 -- Verify
 select base, checksum, allocated
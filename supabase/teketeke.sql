@@ -211,7 +211,7 @@ insert into ussd_pool(base, checksum)
 select lpad(n::text, 3, '0') as base,
        (((n - 1) % 9) + 1)::text as checksum
 from generate_series(1, 999) as t(n)
-on conflict (base) do nothing;
+on conflict do nothing;
 
 -- =============================================================
 -- ADMIN VIEWS used by server.js dashboards